@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+
+// Same as `sf-crawler check`, kept for `node check.js`
+require('./lib/cli').main(['check', ...process.argv.slice(2)]);
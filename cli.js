@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+
+// Run the sf-crawler command line tool
+require('./lib/cli').main(process.argv.slice(2));
@@ -0,0 +1,63 @@
+const { loadConfig } = require('./lib/config');
+const {
+  crawlSitemaps,
+  findSitemapsFromRobotsTxt,
+  processSitemap,
+  runScreamingFrog,
+} = require('./lib/sitemap');
+const {
+  WCAG_STANDARDS,
+  auditAccessibility,
+  findSitemapUrl,
+  createUrlListFromSitemap,
+  runAccessibilityAudit,
+  processSummaryReport,
+} = require('./lib/a11y');
+const {
+  findLatestSitemapResults,
+  extractSitemapData,
+} = require('./lib/results');
+const {
+  analyzeSitemaps,
+  createStatusReport,
+  generateAIInsights,
+} = require('./lib/ai');
+const { runStatusCheck, checkSitemapUrls } = require('./lib/check');
+const { reExportCrawls, findSavedCrawls } = require('./lib/reexport');
+const { validateExports, getExportOptions } = require('./lib/exports');
+const { runBatch, readSitesFile } = require('./lib/batch');
+const { listRuns, findRun, pruneRuns } = require('./lib/runs');
+const { diffRuns } = require('./lib/diff');
+const { generatePDF } = require('./lib/pdf');
+
+module.exports = {
+  loadConfig,
+  crawlSitemaps,
+  findSitemapsFromRobotsTxt,
+  processSitemap,
+  runScreamingFrog,
+  WCAG_STANDARDS,
+  auditAccessibility,
+  findSitemapUrl,
+  createUrlListFromSitemap,
+  runAccessibilityAudit,
+  processSummaryReport,
+  findLatestSitemapResults,
+  extractSitemapData,
+  analyzeSitemaps,
+  createStatusReport,
+  generateAIInsights,
+  runStatusCheck,
+  checkSitemapUrls,
+  reExportCrawls,
+  findSavedCrawls,
+  validateExports,
+  getExportOptions,
+  runBatch,
+  readSitesFile,
+  listRuns,
+  findRun,
+  pruneRuns,
+  diffRuns,
+  generatePDF,
+};
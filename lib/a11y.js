@@ -0,0 +1,804 @@
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const {
+  resolveConfig,
+  applyProfile,
+  getProfileArgs,
+  requireScreamingFrogPath,
+} = require('./config');
+const { runCommand, formatCommand } = require('./runner');
+const { RUN_STATE_FILE, createRunState } = require('./state');
+const { createRun, openRun, resolveRunFolder, pruneRuns } = require('./runs');
+const {
+  RUN_MANIFEST_FILE,
+  createRunManifest,
+  toManifestCommand,
+  countViolations,
+} = require('./manifest');
+const { DISCOVERY_SOURCES } = require('./discovery');
+const {
+  fetchWithRetry,
+  validateHttpUrl,
+  isHttpUrl,
+  filterHttpUrls,
+} = require('./http');
+const { loadRobotsTxt } = require('./robots');
+const { HTML_REPORT_STYLES } = require('./html');
+const { readCSV } = require('./csv');
+const {
+  SITEMAP_FORMAT_NAMES,
+  parseSitemap,
+  normalizeSitemapUrl,
+  getMaxSitemapDepth,
+} = require('./sitemap-parser');
+
+// WCAG Standards to check (you can modify this list as needed)
+const WCAG_STANDARDS = [
+  'WCAG 2.0 A:All Violations',
+  'WCAG 2.0 AA:All Violations',
+  'WCAG 2.0 AAA:All Violations',
+  'WCAG 2.1 AA:All Violations',
+];
+
+// File in the run folder with the URLs the audits crawl in list mode
+const URL_LIST_FILE = 'url_list.csv';
+
+// Folder in the audits of a domain with the summaries rebuilt from saved exports
+const REPLAY_FOLDER = 'replay';
+
+// Number of sitemap URLs audited when the profile does not set maxUrls
+const MAX_AUDIT_URLS = 50;
+
+// Function to run the full accessibility audit for a website
+async function auditAccessibility(websiteUrl, options = {}) {
+  validateHttpUrl(websiteUrl, 'Website URL');
+  console.log(`Starting accessibility audit for: ${websiteUrl}`);
+
+  // Extract base URL without trailing slash
+  const baseUrl = websiteUrl.replace(/\/$/, '');
+  const domain = new URL(baseUrl).hostname;
+
+  // Replay saved exports instead of running the audit
+  if (options.fromExports) {
+    return replayAccessibilityExports(websiteUrl, domain, options);
+  }
+
+  const config = applyProfile(resolveConfig(options), {
+    profile: options.profile,
+    domain,
+  });
+  requireScreamingFrogPath(config);
+
+  // Step 1: Create output directory, with a timestamped folder for this run
+  const auditsFolder = createOutputFolder(domain, options.outputFolder);
+  const run = openRun(auditsFolder, { resume: options.resume });
+
+  const manifest = createRunManifest(path.join(run.folder, RUN_MANIFEST_FILE), {
+    command: 'a11y',
+    target: websiteUrl,
+    runId: run.id,
+    config,
+    filesFolder: run.folder,
+  });
+  try {
+    const result = await auditAccessibilityInRun(
+      websiteUrl,
+      run,
+      config,
+      options
+    );
+    manifest.finish(getAccessibilityManifest(result));
+
+    // Delete the runs that the retention settings no longer keep
+    pruneRuns(auditsFolder, {
+      keepRuns: config.keepRuns,
+      keepDays: config.keepDays,
+    });
+    return result;
+  } catch (error) {
+    manifest.fail(error);
+    throw error;
+  }
+}
+
+// Helper function to rebuild the summary of saved audit exports. The summary
+// and the manifest are saved in a new run in the replay folder, so that the
+// exports and the manifest of the audit they came from are left as they are.
+async function replayAccessibilityExports(websiteUrl, domain, options = {}) {
+  const config = resolveConfig(options);
+  const exportsFolder = resolveRunFolder(options.fromExports, options.run);
+  validateAccessibilityExports(exportsFolder);
+
+  const replaysFolder = path.join(
+    createOutputFolder(domain, options.outputFolder),
+    REPLAY_FOLDER
+  );
+  const run = createRun(replaysFolder);
+  const manifest = createRunManifest(path.join(run.folder, RUN_MANIFEST_FILE), {
+    command: 'a11y',
+    target: websiteUrl,
+    runId: run.id,
+    config,
+    filesFolder: run.folder,
+  });
+  try {
+    const summary = await processSummaryReport(
+      exportsFolder,
+      domain,
+      run.folder
+    );
+    manifest.finish({
+      exportsFolder,
+      summary: { violations: countViolations(summary.violationData) },
+    });
+
+    pruneRuns(replaysFolder, {
+      keepRuns: config.keepRuns,
+      keepDays: config.keepDays,
+    });
+    return {
+      websiteUrl,
+      domain,
+      runId: run.id,
+      outputFolder: exportsFolder,
+      audits: [],
+      summaryFile: summary.summaryFile,
+      violationData: summary.violationData,
+    };
+  } catch (error) {
+    manifest.fail(error);
+    throw error;
+  }
+}
+
+// Helper function to run the steps of an accessibility audit in the folder of a run
+async function auditAccessibilityInRun(websiteUrl, run, config, options = {}) {
+  const baseUrl = websiteUrl.replace(/\/$/, '');
+  const domain = new URL(baseUrl).hostname;
+  const OUTPUT_FOLDER = run.folder;
+
+  // Step 2: Find sitemap URL
+  const { sitemapUrl, source } = await locateSitemap(baseUrl);
+
+  if (!sitemapUrl) {
+    throw new Error('Could not find a sitemap for this domain.');
+  }
+
+  // Step 3: Create a crawl list file with URLs from the sitemap. A resumed run
+  // keeps its list, so that the remaining audits check the same URLs.
+  const savedList = path.join(OUTPUT_FOLDER, URL_LIST_FILE);
+  let listPath;
+  if (options.resume && fs.existsSync(savedList)) {
+    console.log(`Using the URL list of the resumed run: ${savedList}`);
+    listPath = savedList;
+  } else {
+    listPath = await createUrlListFromSitemap(sitemapUrl, OUTPUT_FOLDER, {
+      config,
+      maxDepth: options.maxDepth,
+    });
+  }
+
+  if (!listPath) {
+    throw new Error('Could not extract URLs from sitemap.');
+  }
+
+  // Step 4: Run Screaming Frog accessibility audit
+  const audits = await runAccessibilityAudit(listPath, OUTPUT_FOLDER, {
+    config,
+    domain,
+    crawlPool: options.crawlPool,
+    resume: options.resume,
+    verbose: options.verbose,
+  });
+
+  // Step 5: Process and summarize results
+  const summary = await processSummaryReport(OUTPUT_FOLDER, domain);
+
+  return {
+    websiteUrl,
+    domain,
+    runId: run.id,
+    outputFolder: OUTPUT_FOLDER,
+    profile: config.appliedProfile,
+    sitemapUrl,
+    sitemapSource: source,
+    listPath,
+    audits,
+    summaryFile: summary.summaryFile,
+    violationData: summary.violationData,
+  };
+}
+
+// Function to create output folder
+function createOutputFolder(domain, parentFolder) {
+  const OUTPUT_FOLDER = getAuditsFolder(domain, parentFolder);
+
+  if (!fs.existsSync(path.dirname(OUTPUT_FOLDER))) {
+    fs.mkdirSync(path.dirname(OUTPUT_FOLDER), { recursive: true });
+    console.log(
+      `Created parent output directory: ${path.dirname(OUTPUT_FOLDER)}`
+    );
+  }
+
+  if (!fs.existsSync(OUTPUT_FOLDER)) {
+    fs.mkdirSync(OUTPUT_FOLDER, { recursive: true });
+    console.log(`Created output directory: ${OUTPUT_FOLDER}`);
+  } else {
+    console.log(`Using existing output directory: ${OUTPUT_FOLDER}`);
+  }
+
+  return OUTPUT_FOLDER;
+}
+
+// Helper function to get the folder of the accessibility audits of a domain
+function getAuditsFolder(domain, parentFolder = './results/a11y') {
+  const domainName = domain.replace(/^www\./, '').replace(/\./g, '_');
+  return path.resolve(process.cwd(), parentFolder, `a11y_${domainName}`);
+}
+
+// Function to describe an accessibility audit in its run manifest: the
+// sitemap used, the Screaming Frog commands, the violations and the errors
+function getAccessibilityManifest(result) {
+  return {
+    sitemaps: [
+      {
+        url: result.sitemapUrl,
+        foundVia: DISCOVERY_SOURCES[result.sitemapSource] || null,
+        listPath: result.listPath,
+      },
+    ],
+    commands: result.audits.map(toManifestCommand),
+    summary: {
+      audits: {
+        succeeded: result.audits.filter((audit) => audit.success).length,
+        failed: result.audits.filter((audit) => !audit.success).length,
+      },
+      violations: countViolations(result.violationData),
+    },
+    errors: result.audits
+      .filter((audit) => !audit.success)
+      .map((audit) => ({
+        standard: audit.standard,
+        message: audit.error || 'Audit failed',
+      })),
+  };
+}
+
+// Function to find sitemap URL
+async function findSitemapUrl(baseUrl) {
+  return (await locateSitemap(baseUrl)).sitemapUrl;
+}
+
+// Helper function to find the sitemap URL and how it was found
+async function locateSitemap(baseUrl) {
+  const domain = new URL(baseUrl).hostname;
+  console.log(`Looking for sitemap for domain: ${domain}`);
+
+  // First, try robots.txt
+  const robots = await loadRobotsTxt(baseUrl);
+  const robotsSitemap = robots && robots.sitemaps.find((url) => isHttpUrl(url));
+  if (robotsSitemap) {
+    const sitemapUrl = robotsSitemap;
+    console.log(`Found sitemap in robots.txt: ${sitemapUrl}`);
+    return { sitemapUrl, source: 'robots' };
+  }
+
+  // If not found in robots.txt, try common sitemap locations
+  const commonSitemapPaths = [
+    '/sitemap.xml',
+    '/sitemap_index.xml',
+    '/sitemap.php',
+    '/sitemap.txt',
+  ];
+
+  for (const sitemapPath of commonSitemapPaths) {
+    const sitemapUrl = `${baseUrl}${sitemapPath}`;
+    try {
+      console.log(`Checking for sitemap at: ${sitemapUrl}`);
+      await fetchWithRetry(sitemapUrl, 5000); // Short timeout to check existence
+      console.log(`Found sitemap at: ${sitemapUrl}`);
+      return { sitemapUrl, source: 'default' };
+    } catch (error) {
+      console.log(`No sitemap found at ${sitemapUrl}`);
+    }
+  }
+
+  // If we couldn't find a sitemap, return the default path anyway
+  console.log('No sitemap found. Using default sitemap.xml path.');
+  return { sitemapUrl: `${baseUrl}/sitemap.xml`, source: 'default' };
+}
+
+// Function to extract URLs from sitemap and create a list file
+async function createUrlListFromSitemap(
+  sitemapUrl,
+  outputFolder,
+  options = {}
+) {
+  try {
+    let urls = filterHttpUrls(
+      await collectSitemapUrls(sitemapUrl, {
+        maxDepth: getMaxSitemapDepth(options, options.config),
+      })
+    );
+
+    if (urls.length === 0) {
+      console.warn('No URLs found in sitemap');
+      return null;
+    }
+
+    // Limit the number of URLs to process to avoid overwhelming the system
+    const maxUrls =
+      (options.config && options.config.maxUrls) || MAX_AUDIT_URLS;
+    console.log(
+      `Found ${urls.length} URLs in sitemap${
+        urls.length > maxUrls ? ` (limited to ${maxUrls})` : ''
+      }`
+    );
+    urls = urls.slice(0, maxUrls);
+
+    // Create a temporary file with the URLs
+    const listFilePath = path.join(outputFolder, URL_LIST_FILE);
+    fs.writeFileSync(listFilePath, urls.join('\n'));
+
+    console.log(`Created URL list file at: ${listFilePath}`);
+    return listFilePath;
+  } catch (error) {
+    console.error(`Error fetching sitemap: ${error.message}`);
+    return null;
+  }
+}
+
+// Function to collect page URLs from a sitemap, expanding nested sitemap indexes
+async function collectSitemapUrls(sitemapUrl, options = {}) {
+  const depth = options.depth || 0;
+  const maxDepth = getMaxSitemapDepth(options);
+  const visited = options.visited || new Set();
+
+  validateHttpUrl(sitemapUrl, 'Sitemap URL');
+  visited.add(normalizeSitemapUrl(sitemapUrl));
+  console.log(`Fetching sitemap from: ${sitemapUrl}`);
+  const sitemapContent = await fetchWithRetry(sitemapUrl);
+
+  // Try to parse the XML
+  let sitemap;
+  try {
+    sitemap = parseSitemap(sitemapContent);
+  } catch (parseError) {
+    console.error(`Error parsing sitemap XML: ${parseError.message}`);
+    return [];
+  }
+
+  // Regular sitemap, or a text, RSS or Atom sitemap
+  if (sitemap.type === 'urlset') {
+    console.log(
+      sitemap.format === 'xml'
+        ? 'This is a regular sitemap file'
+        : `This sitemap is in ${SITEMAP_FORMAT_NAMES[sitemap.format]} format`
+    );
+    return sitemap.urls;
+  }
+
+  if (sitemap.type !== 'index') {
+    console.warn('Could not determine sitemap type from XML structure');
+    return [];
+  }
+
+  console.log('This is a sitemap index file containing multiple sitemaps');
+
+  if (depth >= maxDepth) {
+    console.warn(
+      `Maximum sitemap depth (${maxDepth}) reached, skipping child sitemaps of ${sitemapUrl}`
+    );
+    return [];
+  }
+
+  // Only process the first few sitemaps to avoid long processing times
+  const childSitemaps = filterHttpUrls(sitemap.sitemaps).filter(
+    (url) => !visited.has(normalizeSitemapUrl(url))
+  );
+  const maxSitemaps = Math.min(3, childSitemaps.length);
+  console.log(
+    `Processing ${maxSitemaps} out of ${childSitemaps.length} child sitemaps`
+  );
+
+  const urls = [];
+  for (const childUrl of childSitemaps.slice(0, maxSitemaps)) {
+    try {
+      const childUrls = await collectSitemapUrls(childUrl, {
+        depth: depth + 1,
+        maxDepth,
+        visited,
+      });
+      urls.push(...childUrls);
+    } catch (childError) {
+      console.error(
+        `Error processing child sitemap ${childUrl}: ${childError.message}`
+      );
+    }
+  }
+
+  return urls;
+}
+
+// Function to run accessibility audit using Screaming Frog
+async function runAccessibilityAudit(listPath, outputFolder, options = {}) {
+  const config = applyProfile(resolveConfig(options), {
+    profile: options.profile,
+    domain: options.domain,
+  });
+  requireScreamingFrogPath(config);
+
+  // Ensure list file exists
+  if (!fs.existsSync(listPath)) {
+    throw new Error(`URL list file not found: ${listPath}`);
+  }
+
+  console.log('Starting Screaming Frog accessibility audit...');
+
+  // Record each standard in the run state, so that an interrupted audit can be resumed
+  const runState =
+    options.runState ||
+    createRunState(path.join(outputFolder, RUN_STATE_FILE), {
+      resume: options.resume,
+      command: 'a11y',
+      target: options.domain,
+    });
+  WCAG_STANDARDS.forEach((standard) => runState.add(standard));
+
+  // For each WCAG standard, run a separate audit
+  const results = [];
+  for (const standard of WCAG_STANDARDS) {
+    const standardFolder = getStandardFolder(outputFolder, standard);
+
+    // Skip standards audited before a resumed run was interrupted
+    if (runState.isDone(standard) && fs.existsSync(standardFolder)) {
+      console.log(`Skipping audit completed in the previous run: ${standard}`);
+      results.push({
+        standard,
+        outputFolder: standardFolder,
+        success: true,
+        resumed: true,
+        files: fs
+          .readdirSync(standardFolder)
+          .filter((file) => !file.startsWith('.')),
+      });
+      continue;
+    }
+
+    if (!fs.existsSync(standardFolder)) {
+      fs.mkdirSync(standardFolder, { recursive: true });
+    }
+
+    // Build the arguments for this WCAG standard, passed to Screaming Frog without a shell
+    const args = [
+      '--headless',
+      '--crawl-list',
+      listPath,
+      ...getProfileArgs(config),
+      '--bulk-export',
+      `Accessibility:${standard}`,
+      '--output-folder',
+      standardFolder,
+      '--overwrite',
+      '--export-format',
+      'csv',
+    ];
+    const command = formatCommand(config.screamingFrogPath, args);
+
+    console.log(`Running audit for ${standard}...`);
+    console.log(`Command: ${command}`);
+    runState.update(standard, 'running', { outputFolder: standardFolder });
+
+    const result = {
+      standard,
+      outputFolder: standardFolder,
+      command,
+      success: false,
+      files: [],
+    };
+    results.push(result);
+
+    // Run the audit without blocking, streaming its progress, in the crawl
+    // pool when one is shared with other crawls
+    const audit = () =>
+      runCommand(config.screamingFrogPath, args, {
+        label: `Audit for ${standard}`,
+        timeout: config.crawlTimeout,
+        verbose: options.verbose,
+      });
+    const run = await (options.crawlPool
+      ? options.crawlPool.run(audit)
+      : audit());
+    result.durationMs = run.durationMs;
+    result.exitCode = run.exitCode;
+
+    if (!run.error) {
+      console.log(`Completed audit for ${standard}`);
+      result.success = true;
+
+      // Check if files were created
+      const files = fs
+        .readdirSync(standardFolder)
+        .filter((file) => !file.startsWith('.'));
+      result.files = files;
+      console.log(`Generated ${files.length} files for ${standard}`);
+
+      if (files.length > 0) {
+        console.log('Generated files:');
+        files.forEach((file) => console.log(`- ${file}`));
+      } else {
+        console.log(
+          'No files were generated. This could mean no violations were found or there was an error.'
+        );
+      }
+    } else {
+      console.error(
+        `Error during accessibility audit for ${standard}: ${run.error}`
+      );
+      result.error = run.error;
+      result.timedOut = run.timedOut;
+      result.cancelled = run.cancelled;
+      // Continue with other standards even if one fails
+    }
+    runState.update(standard, result.success ? 'done' : 'failed', {
+      error: result.error && result.error.substring(0, 500),
+    });
+  }
+
+  return results;
+}
+
+// Helper function to get the export folder of a WCAG standard
+function getStandardFolder(outputFolder, standard) {
+  return path.join(
+    outputFolder,
+    standard.replace(/:/g, '_').replace(/\s/g, '_')
+  );
+}
+
+// Helper function to find the violations CSV files in an export folder
+function findViolationFiles(standardFolder) {
+  return fs
+    .readdirSync(standardFolder)
+    .filter(
+      (file) =>
+        file.endsWith('.csv') && file.toLowerCase().includes('violation')
+    );
+}
+
+// Function to check that a folder of saved exports has violation CSVs for the WCAG standards
+function validateAccessibilityExports(outputFolder) {
+  if (
+    !fs.existsSync(outputFolder) ||
+    !fs.statSync(outputFolder).isDirectory()
+  ) {
+    throw new Error(`Exports folder not found: ${outputFolder}`);
+  }
+
+  console.log(`Using exports from: ${outputFolder}`);
+  const found = WCAG_STANDARDS.filter((standard) => {
+    const standardFolder = getStandardFolder(outputFolder, standard);
+    const hasExport =
+      fs.existsSync(standardFolder) &&
+      findViolationFiles(standardFolder).length > 0;
+    console.log(
+      `- ${standard}: ${
+        hasExport
+          ? 'found'
+          : `missing (expected a violations CSV in ${path.basename(
+              standardFolder
+            )}/)`
+      }`
+    );
+    return hasExport;
+  });
+
+  if (found.length === 0) {
+    throw new Error(
+      `No accessibility violation exports found in ${outputFolder}`
+    );
+  }
+
+  return found;
+}
+
+// Function to process and create summary report, next to the exports unless
+// another folder is given
+async function processSummaryReport(
+  outputFolder,
+  domain,
+  summaryFolder = outputFolder
+) {
+  const summaryFile = path.join(summaryFolder, 'accessibility_summary.html');
+  const violationData = await readViolationData(outputFolder);
+
+  // Generate HTML summary report
+  const html = generateHtmlSummary(violationData, domain);
+  fs.writeFileSync(summaryFile, html);
+
+  console.log(`Generated accessibility summary report: ${summaryFile}`);
+
+  return { summaryFile, violationData };
+}
+
+// Function to read the violations of each WCAG standard from the exports of an audit
+async function readViolationData(outputFolder) {
+  const violationData = {};
+
+  // Process each WCAG standard export
+  for (const standard of WCAG_STANDARDS) {
+    const standardFolder = getStandardFolder(outputFolder, standard);
+    const standardKey = standard.split(':')[0]; // e.g., "WCAG 2.0 A"
+
+    if (!fs.existsSync(standardFolder)) {
+      violationData[standardKey] = {
+        count: 0,
+        details: [],
+        error: 'Folder not found',
+      };
+      continue;
+    }
+
+    // Find the violations CSV file
+    const violationFiles = findViolationFiles(standardFolder);
+
+    if (violationFiles.length === 0) {
+      violationData[standardKey] = {
+        count: 0,
+        details: [],
+        error: 'No violation file found',
+      };
+      continue;
+    }
+
+    // Read the violations file
+    const violationFile = path.join(standardFolder, violationFiles[0]);
+    let data;
+
+    try {
+      data = await readCSV(violationFile);
+    } catch (error) {
+      violationData[standardKey] = {
+        count: 0,
+        details: [],
+        error: `Error reading file: ${error.message}`,
+      };
+      continue;
+    }
+
+    // Group violations by type
+    const violationTypes = {};
+    data.forEach((row) => {
+      const violationType = row['Violation Type'] || 'Unknown';
+      if (!violationTypes[violationType]) {
+        violationTypes[violationType] = 0;
+      }
+      violationTypes[violationType]++;
+    });
+
+    violationData[standardKey] = {
+      count: data.length,
+      types: violationTypes,
+      details: data,
+    };
+  }
+
+  return violationData;
+}
+
+// Function to generate HTML summary
+function generateHtmlSummary(violationData, domain) {
+  // Count total violations
+  let totalViolations = 0;
+  Object.values(violationData).forEach((data) => {
+    if (data.count) totalViolations += data.count;
+  });
+
+  // Generate HTML
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Accessibility Audit Summary for ${domain}</title>
+  <style>
+${HTML_REPORT_STYLES}
+  </style>
+</head>
+<body>
+  <h1>Accessibility Audit Summary for ${domain}</h1>
+  <p>Report generated on ${new Date().toLocaleString()}</p>
+  
+  <div class="summary-box">
+    <h2>Overview</h2>
+    <p>Total Accessibility Violations: <span class="summary-stat">${totalViolations}</span></p>
+    <p>This report summarizes accessibility violations found according to various WCAG standards.</p>
+  </div>
+  
+  <div class="chart-container">
+    <div class="chart">
+      <h3>Violations by Standard</h3>
+      <p><em>Chart data visualization would appear here in a real implementation</em></p>
+      <ul>
+        ${Object.entries(violationData)
+          .map(
+            ([standard, data]) =>
+              `<li>${standard}: ${data.count || 0} violations</li>`
+          )
+          .join('')}
+      </ul>
+    </div>
+  </div>
+  
+  ${Object.entries(violationData)
+    .map(
+      ([standard, data]) => `
+    <div class="standard-section">
+      <h2>${standard} Audit Results</h2>
+      ${
+        data.error
+          ? `<p>Error: ${data.error}</p>`
+          : data.count === 0
+          ? `<p>No violations found for this standard.</p>`
+          : `
+            <p>Total violations: ${data.count}</p>
+            <h3>Violation Types:</h3>
+            <table>
+              <tr>
+                <th>Violation Type</th>
+                <th>Count</th>
+              </tr>
+              ${Object.entries(data.types || {})
+                .map(
+                  ([type, count]) => `
+                  <tr>
+                    <td class="violation-type">${type}</td>
+                    <td>${count}</td>
+                  </tr>
+                `
+                )
+                .join('')}
+            </table>
+            <p>See the detailed export files for more information about each violation.</p>
+          `
+      }
+    </div>
+  `
+    )
+    .join('')}
+  
+  <div class="summary-box">
+    <h2>Next Steps</h2>
+    <p>To improve accessibility compliance:</p>
+    <ul>
+      <li>Address high-severity violations first</li>
+      <li>Focus on violations that appear across multiple pages</li>
+      <li>Implement fixes following WCAG guidelines</li>
+      <li>Re-run the audit after making changes to verify improvements</li>
+    </ul>
+  </div>
+  
+  <footer>
+    <p><small>Generated using Screaming Frog SEO Spider and Node.js</small></p>
+  </footer>
+</body>
+</html>
+  `;
+}
+
+module.exports = {
+  WCAG_STANDARDS,
+  auditAccessibility,
+  createOutputFolder,
+  getAuditsFolder,
+  findSitemapUrl,
+  createUrlListFromSitemap,
+  collectSitemapUrls,
+  runAccessibilityAudit,
+  validateAccessibilityExports,
+  processSummaryReport,
+  readViolationData,
+  generateHtmlSummary,
+};
@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { resolveConfig, requireGoogleApiKey } = require('./config');
+const { crawlSitemaps, getSitemapManifest } = require('./sitemap');
+const {
+  findLatestSitemapResults,
+  extractSitemapData,
+  validateSitemapExports,
+} = require('./results');
+const { generateStatusReport } = require('./pdf');
+const { validateHttpUrl } = require('./http');
+const { createRun, resolveRunFolder, pruneRuns } = require('./runs');
+const {
+  RUN_MANIFEST_FILE,
+  createRunManifest,
+  countStatusCodes,
+} = require('./manifest');
+
+// Function to crawl a website's sitemaps and analyze the results with AI
+async function analyzeSitemaps(targetUrl, options = {}) {
+  const config = resolveConfig(options);
+  validateHttpUrl(targetUrl, 'Website URL');
+
+  // Check the Google API key before anything is crawled
+  requireGoogleApiKey(config);
+
+  console.log(
+    `Starting sitemap analysis with AI integration for: ${targetUrl}`
+  );
+
+  // Save the reports of this analysis in their own timestamped folder
+  const analysesFolder = path.join(
+    createReportFolder(options.outputFolder),
+    `ai_${getReportName(targetUrl)}`
+  );
+  const run = createRun(analysesFolder);
+
+  const manifest = createRunManifest(path.join(run.folder, RUN_MANIFEST_FILE), {
+    command: 'ai',
+    target: targetUrl,
+    runId: run.id,
+    config,
+    filesFolder: run.folder,
+  });
+  try {
+    const result = await analyzeSitemapsInRun(targetUrl, run, config, options);
+    manifest.finish(await getAnalysisManifest(result));
+
+    // Delete the runs that the retention settings no longer keep
+    pruneRuns(analysesFolder, {
+      keepRuns: config.keepRuns,
+      keepDays: config.keepDays,
+    });
+    return result;
+  } catch (error) {
+    manifest.fail(error);
+    throw error;
+  }
+}
+
+// Helper function to run the steps of the AI analysis of a website in the folder of a run
+async function analyzeSitemapsInRun(targetUrl, run, config, options = {}) {
+  let crawl = null;
+  let sitemapResultsPath;
+  if (options.fromExports) {
+    // Replay saved exports instead of crawling
+    sitemapResultsPath = resolveRunFolder(options.fromExports);
+    validateSitemapExports(sitemapResultsPath);
+  } else {
+    // 1. Run sitemap crawler to get data
+    console.log('Running sitemap crawler to gather data...');
+    crawl = await crawlSitemaps(targetUrl, {
+      config,
+      profile: options.profile,
+      gapAnalysis: options.gapAnalysis,
+      resume: options.resume,
+      verbose: options.verbose,
+    });
+    console.log('Sitemap crawler completed successfully');
+
+    // 2. Use the results of the run that was just crawled
+    sitemapResultsPath = crawl.runFolder;
+  }
+
+  // 3. Extract data from sitemap results
+  const sitemapData = await extractSitemapData(sitemapResultsPath);
+
+  // 4. Generate AI insights
+  const insights = await generateAIInsights(targetUrl, sitemapData, {
+    config,
+    outputFolder: run.folder,
+  });
+
+  return {
+    targetUrl,
+    runId: run.id,
+    runFolder: run.folder,
+    crawl,
+    resultsPath: sitemapResultsPath,
+    sitemapData,
+    ...insights,
+  };
+}
+
+// Function to describe an AI analysis in its run manifest: the sitemap crawl it
+// ran, if any, the URLs by status code and the errors
+async function getAnalysisManifest(result) {
+  const crawlManifest = result.crawl
+    ? await getSitemapManifest(result.crawl)
+    : null;
+  const errors = crawlManifest ? crawlManifest.errors : [];
+  if (result.error) errors.push({ message: result.error });
+
+  return {
+    // A failed analysis fails the run, failed crawls only make it partial
+    ...(result.error ? { status: 'failed' } : {}),
+    resultsPath: result.resultsPath,
+    crawlManifest: result.crawl
+      ? path.join(result.crawl.runFolder, RUN_MANIFEST_FILE)
+      : null,
+    sitemaps: crawlManifest ? crawlManifest.sitemaps : [],
+    commands: crawlManifest ? crawlManifest.commands : [],
+    summary: {
+      sitemaps: crawlManifest ? crawlManifest.summary.sitemaps : null,
+      urls: countStatusCodes(result.sitemapData.urls),
+      blockedSitemaps: result.sitemapData.blockedSitemaps.length,
+    },
+    errors,
+  };
+}
+
+// Function to create the PDF status report from saved sitemap results,
+// without crawling or calling the AI
+async function createStatusReport(targetUrl, options = {}) {
+  const config = resolveConfig(options);
+  validateHttpUrl(targetUrl, 'Website URL');
+
+  let resultsPath;
+  if (options.fromExports) {
+    resultsPath = resolveRunFolder(options.fromExports, options.run);
+    validateSitemapExports(resultsPath);
+  } else {
+    resultsPath = findLatestSitemapResults(targetUrl, {
+      config,
+      run: options.run,
+    });
+    if (!resultsPath) {
+      throw new Error(
+        'No sitemap results found. Please run the sitemap crawler first.'
+      );
+    }
+  }
+
+  const sitemapData = await extractSitemapData(resultsPath);
+  const outputDir = createReportFolder(options.outputFolder);
+  const pdfFile = await generateStatusReport(
+    sitemapData.urls,
+    path.join(outputDir, `${getReportName(targetUrl)}_status_report.pdf`),
+    {
+      blockedSitemaps: sitemapData.blockedSitemaps,
+      gapAnalysis: sitemapData.gapAnalysis,
+    }
+  );
+
+  return { targetUrl, resultsPath, sitemapData, pdfFile };
+}
+
+// Helper function to create the folder of the AI insights and status reports
+function createReportFolder(outputFolder) {
+  const outputDir = path.resolve(
+    process.cwd(),
+    outputFolder || path.join('results', 'sitemap-ai')
+  );
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  return outputDir;
+}
+
+// Helper function to create a friendly domain name for the report files
+function getReportName(targetUrl) {
+  return new URL(targetUrl).hostname.replace('www.', '').replace(/\./g, '_');
+}
+
+// Generate AI insights using Gemini
+async function generateAIInsights(targetUrl, sitemapData, options = {}) {
+  const config = resolveConfig(options);
+  console.log('Generating AI insights from sitemap data...');
+
+  const result = { insightsFile: null, pdfFile: null, response: null };
+
+  try {
+    // Create a model instance - try to use the preferred model, fallback to stable model
+    let modelName = 'gemini-1.5-pro';
+    console.log(`Using Gemini model: ${modelName}`);
+    const genAI = new GoogleGenerativeAI(config.googleApiKey);
+    const model = genAI.getGenerativeModel({ model: modelName });
+
+    // Prepare sitemap summary for the prompt
+    const urlCount = sitemapData.urls.length;
+    const uniqueStatusCodes = new Set(
+      sitemapData.urls.map((url) => url['Status Code'] || 'Unknown')
+    );
+    const statusCodeDistribution = Array.from(uniqueStatusCodes)
+      .map((code) => {
+        const count = sitemapData.urls.filter(
+          (url) => (url['Status Code'] || 'Unknown') === code
+        ).length;
+        return `${code}: ${count} URLs (${((count / urlCount) * 100).toFixed(
+          1
+        )}%)`;
+      })
+      .join(', ');
+
+    // Gather path patterns
+    const pathPatterns = {};
+    sitemapData.urls.forEach((url) => {
+      try {
+        const urlPath = new URL(url.Address).pathname;
+        const pathSegments = urlPath.split('/').filter(Boolean);
+
+        if (pathSegments.length > 0) {
+          const firstSegment = pathSegments[0];
+          pathPatterns[firstSegment] = (pathPatterns[firstSegment] || 0) + 1;
+        }
+      } catch (error) {
+        // Skip invalid URLs
+      }
+    });
+
+    // Sort path patterns by frequency
+    const sortedPathPatterns = Object.entries(pathPatterns)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([path, count]) => `/${path}/: ${count} URLs`)
+      .join(', ');
+
+    // List sitemaps that robots.txt blocks for one or more crawlers
+    const blockedSitemaps = (sitemapData.blockedSitemaps || []).map(
+      (row) =>
+        `  - ${row['Sitemap URL']} blocked for ${row['User Agent']} (${row['Matched Rule']})`
+    );
+
+    // Summarize the comparison with the spider crawl if it was run
+    const gapAnalysis = sitemapData.gapAnalysis
+      ? formatGapAnalysis(sitemapData.gapAnalysis)
+      : '- Not run (use --gap to compare the sitemaps with a site crawl)';
+
+    // Create the prompt with sitemap data insights
+    const prompt = `
+You are an SEO expert analyzing a sitemap for ${targetUrl}. Please provide insights and recommendations based on the following sitemap data:
+
+SITEMAP STRUCTURE:
+- Total sitemaps: ${
+      sitemapData.sitemapStructure.mainSitemapCount +
+      sitemapData.sitemapStructure.childSitemapCount
+    }
+- Main sitemaps: ${sitemapData.sitemapStructure.mainSitemapCount}
+- Child sitemaps: ${sitemapData.sitemapStructure.childSitemapCount}
+- Languages detected: ${
+      sitemapData.sitemapStructure.languages.join(', ') || 'None'
+    }
+- Content types detected: ${
+      sitemapData.sitemapStructure.contentTypes.join(', ') || 'None'
+    }
+- Sitemap extensions: ${
+      sitemapData.sitemapStructure.extensions.images
+    } image(s), ${sitemapData.sitemapStructure.extensions.videos} video(s), ${
+      sitemapData.sitemapStructure.extensions.news
+    } news article(s)
+
+URL DATA:
+- Total URLs: ${urlCount}
+- Status code distribution: ${statusCodeDistribution}
+- Top URL patterns: ${sortedPathPatterns}
+
+CRAWL STATISTICS:
+${Object.entries(sitemapData.overview)
+  .map(([key, value]) => `- ${key}: ${value}`)
+  .join('\n')}
+
+ROBOTS.TXT:
+- Sitemaps blocked by robots.txt: ${
+      blockedSitemaps.length > 0 ? `\n${blockedSitemaps.join('\n')}` : 'None'
+    }
+
+SITEMAP VERSUS SITE CRAWL:
+${gapAnalysis}
+
+Based on this information, please provide:
+1. A brief overview of the sitemap structure and quality
+2. Key SEO issues or opportunities identified from the sitemap data
+3. Specific recommendations for improving the sitemap and overall site structure
+4. An analysis of URL patterns and content organization
+5. Suggestions for better organizing content or implementing additional sitemaps if needed
+
+Focus on actionable insights that would have the most impact on SEO performance.
+`;
+
+    // Generate AI response
+    const generation = await model.generateContent(prompt);
+    const response = generation.response.text();
+
+    // Create output directory
+    const outputDir = createReportFolder(options.outputFolder);
+
+    // Create a friendly domain name for the output file
+    const domain = getReportName(targetUrl);
+    const outputFile = path.join(outputDir, `${domain}_ai_insights.md`);
+
+    // Save the AI insights to a file
+    const markdown = `# Sitemap AI Analysis for ${targetUrl}
+> Generated on: ${new Date().toLocaleString()}
+
+${response}
+`;
+    fs.writeFileSync(outputFile, markdown);
+    result.insightsFile = outputFile;
+    result.response = response;
+
+    console.log('\n=== AI ANALYSIS COMPLETED ===');
+    console.log(`Insights saved to: ${outputFile}`);
+    console.log('\nSummary of AI insights:');
+    console.log(response.substring(0, 500) + '...');
+    console.log('\nFor the complete analysis, please open the generated file.');
+
+    // Generate PDF report with status code analysis
+    console.log('\nGenerating PDF status report...');
+
+    const pdfOutputPath = path.join(outputDir, `${domain}_status_report.pdf`);
+    result.pdfFile = await generateStatusReport(
+      sitemapData.urls,
+      pdfOutputPath,
+      {
+        blockedSitemaps: sitemapData.blockedSitemaps,
+        gapAnalysis: sitemapData.gapAnalysis,
+      }
+    );
+  } catch (error) {
+    console.error(`Error generating AI insights: ${error.message}`);
+    if (error.message.includes('API key')) {
+      console.error(
+        'Please ensure your Google API key is valid and has access to the Gemini API.'
+      );
+    }
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+// Helper function to describe the gap analysis in the prompt, with a few example URLs
+function formatGapAnalysis(gap) {
+  const examples = (rows) =>
+    rows.length > 0
+      ? ` (e.g. ${rows
+          .slice(0, 5)
+          .map((row) => row.Address)
+          .join(', ')})`
+      : '';
+
+  const issues = {};
+  gap.nonIndexable.forEach((row) => {
+    issues[row.Issue] = (issues[row.Issue] || 0) + 1;
+  });
+  const issueCounts = Object.entries(issues)
+    .map(([issue, count]) => `${issue}: ${count}`)
+    .join(', ');
+
+  return [
+    `- Indexable pages missing from the sitemaps: ${
+      gap.missing.length
+    }${examples(gap.missing)}`,
+    `- Sitemap URLs not linked internally (orphans): ${
+      gap.orphans.length
+    }${examples(gap.orphans)}`,
+    `- Non-indexable URLs in the sitemaps: ${gap.nonIndexable.length}${
+      issueCounts ? ` (${issueCounts})` : ''
+    }${examples(gap.nonIndexable)}`,
+  ].join('\n');
+}
+
+module.exports = {
+  analyzeSitemaps,
+  createStatusReport,
+  generateAIInsights,
+};
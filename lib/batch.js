@@ -0,0 +1,425 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  resolveConfig,
+  requireScreamingFrogPath,
+  requireGoogleApiKey,
+} = require('./config');
+const { validateHttpUrl } = require('./http');
+const { mapWithConcurrency, createConfiguredCrawlPool } = require('./pool');
+const { crawlSitemaps } = require('./sitemap');
+const { auditAccessibility } = require('./a11y');
+const { analyzeSitemaps } = require('./ai');
+const { findLatestSitemapResults } = require('./results');
+const { HTML_REPORT_STYLES, escapeHtml } = require('./html');
+const { RUN_MANIFEST_FILE, countViolations } = require('./manifest');
+
+// Steps run for every site, in this order
+const BATCH_STEPS = ['sitemap', 'a11y', 'ai'];
+
+// Number of sites processed at the same time when config.json does not set "batchConcurrency"
+const DEFAULT_BATCH_CONCURRENCY = 1;
+
+// Default folder of the batch index
+const DEFAULT_BATCH_FOLDER = './results/batch';
+const BATCH_INDEX_JSON = 'index.json';
+const BATCH_INDEX_HTML = 'index.html';
+
+// Settings a site in the sites file can have
+const SITE_SETTINGS = [
+  'url',
+  'profile',
+  'steps',
+  'gap',
+  'exportTabs',
+  'bulkExport',
+  'saveReport',
+];
+
+// Function to run the sitemap crawl, accessibility audit and AI analysis for
+// every site in a sites file and write an index of the results
+async function runBatch(sitesFile, options = {}) {
+  const config = resolveConfig(options);
+  const sites = readSitesFile(sitesFile, {
+    steps: options.steps ? parseSteps(options.steps) : BATCH_STEPS,
+  });
+  const concurrency = Math.max(
+    1,
+    options.concurrency || config.batchConcurrency || DEFAULT_BATCH_CONCURRENCY
+  );
+
+  // Check the Screaming Frog path and the API key before any site is crawled
+  if (
+    sites.some((site) =>
+      site.steps.some((step) => ['sitemap', 'a11y'].includes(step))
+    )
+  ) {
+    requireScreamingFrogPath(config);
+  }
+  if (sites.some((site) => site.steps.includes('ai'))) {
+    requireGoogleApiKey(config);
+  }
+
+  console.log(
+    `Starting batch of ${sites.length} site(s), ${concurrency} at a time`
+  );
+
+  // All sites share one crawl pool, so that the memory limits still apply
+  const crawlPool = createConfiguredCrawlPool(config);
+  const startedAt = new Date();
+  const results = await mapWithConcurrency(sites, concurrency, (site, index) =>
+    runSite(site, {
+      config,
+      crawlPool,
+      resume: options.resume,
+      verbose: options.verbose,
+      label: `[${index + 1}/${sites.length}] ${site.url}`,
+    })
+  );
+
+  const batch = {
+    sitesFile: path.resolve(sitesFile),
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    sites: results,
+    summary: {
+      total: results.length,
+      done: results.filter((site) => site.status === 'done').length,
+      partial: results.filter((site) => site.status === 'partial').length,
+      failed: results.filter((site) => site.status === 'failed').length,
+    },
+  };
+
+  const outputFolder = path.resolve(
+    process.cwd(),
+    options.outputFolder || DEFAULT_BATCH_FOLDER
+  );
+  batch.indexFiles = writeBatchIndex(batch, outputFolder);
+  logBatchSummary(batch);
+
+  return batch;
+}
+
+// Function to read a sites file: a JSON array of URLs or site objects, or a
+// text file with one URL and an optional profile per line
+function readSitesFile(sitesFile, defaults = {}) {
+  if (!fs.existsSync(sitesFile)) {
+    throw new Error(`Sites file not found: ${sitesFile}`);
+  }
+
+  const content = fs.readFileSync(sitesFile, 'utf8');
+  let entries;
+  if (path.extname(sitesFile).toLowerCase() === '.json') {
+    try {
+      entries = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${sitesFile}: ${error.message}`);
+    }
+    if (entries && Array.isArray(entries.sites)) entries = entries.sites;
+    if (!Array.isArray(entries)) {
+      throw new Error(
+        `${sitesFile} must contain an array of sites or an object with a "sites" array`
+      );
+    }
+  } else {
+    entries = content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'))
+      .map((line) => {
+        const [url, profile] = line.split(/\s+/);
+        return profile ? { url, profile } : url;
+      });
+  }
+
+  if (entries.length === 0) {
+    throw new Error(`No sites found in ${sitesFile}`);
+  }
+
+  return entries.map((entry, index) =>
+    normalizeSite(entry, defaults, `Site ${index + 1} in ${sitesFile}`)
+  );
+}
+
+// Helper function to check a site entry and fill in the default steps
+function normalizeSite(entry, defaults, label) {
+  const site = typeof entry === 'string' ? { url: entry } : entry;
+  if (!site || typeof site !== 'object' || Array.isArray(site)) {
+    throw new Error(`${label} must be a URL or an object with a "url"`);
+  }
+
+  const unknown = Object.keys(site).filter(
+    (key) => !SITE_SETTINGS.includes(key)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `${label} has unknown setting(s): ${unknown.join(
+        ', '
+      )}. Allowed: ${SITE_SETTINGS.join(', ')}`
+    );
+  }
+
+  validateHttpUrl(site.url, `${label} URL`);
+  return {
+    ...site,
+    steps: site.steps ? parseSteps(site.steps) : defaults.steps || BATCH_STEPS,
+  };
+}
+
+// Helper function to parse a list of steps, in the order they are run
+function parseSteps(value) {
+  const steps = (Array.isArray(value) ? value : String(value).split(','))
+    .map((step) => step.trim())
+    .filter(Boolean);
+  const unknown = steps.filter((step) => !BATCH_STEPS.includes(step));
+  if (unknown.length > 0 || steps.length === 0) {
+    throw new Error(
+      `Unknown batch step(s): ${
+        unknown.join(', ') || 'none given'
+      }. Valid steps: ${BATCH_STEPS.join(', ')}`
+    );
+  }
+  return BATCH_STEPS.filter((step) => steps.includes(step));
+}
+
+// Function to run the steps of one site, recording the failures of each step
+// so that the other steps and sites still run
+async function runSite(site, options = {}) {
+  const { config } = options;
+  const domain = new URL(site.url).hostname;
+  const result = {
+    url: site.url,
+    domain,
+    profile: site.profile || null,
+    status: 'done',
+    steps: {},
+  };
+  const start = Date.now();
+  console.log(`\n=== ${options.label} ===`);
+
+  const runStep = async (step, fn) => {
+    if (!site.steps.includes(step)) return;
+    try {
+      result.steps[step] = { status: 'done', ...(await fn()) };
+    } catch (error) {
+      console.error(`${step} failed for ${site.url}: ${error.message}`);
+      result.steps[step] = { status: 'failed', error: error.message };
+    }
+  };
+
+  await runStep('sitemap', async () => {
+    const crawl = await crawlSitemaps(site.url, {
+      config,
+      profile: site.profile,
+      gapAnalysis: site.gap,
+      exportTabs: site.exportTabs,
+      bulkExport: site.bulkExport,
+      saveReport: site.saveReport,
+      crawlPool: options.crawlPool,
+      resume: options.resume,
+      verbose: options.verbose,
+    });
+    const resultsFolder = crawl.runFolder;
+
+    // The run manifest counts the URLs of every sitemap of the run, once each
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(resultsFolder, RUN_MANIFEST_FILE), 'utf8')
+    );
+    return {
+      status: crawl.summary.failed.length > 0 ? 'partial' : 'done',
+      resultsFolder,
+      sitemaps: {
+        succeeded: crawl.summary.succeeded.length,
+        failed: crawl.summary.failed.length,
+        skipped: crawl.summary.skipped.length,
+      },
+      urls: manifest.summary.urls,
+    };
+  });
+
+  await runStep('a11y', async () => {
+    const audit = await auditAccessibility(site.url, {
+      config,
+      profile: site.profile,
+      crawlPool: options.crawlPool,
+      resume: options.resume,
+      verbose: options.verbose,
+    });
+    const failed = audit.audits.filter((item) => !item.success).length;
+    const violations = countViolations(audit.violationData);
+    return {
+      status:
+        failed === 0
+          ? 'done'
+          : failed < audit.audits.length
+          ? 'partial'
+          : 'failed',
+      outputFolder: audit.outputFolder,
+      summaryFile: audit.summaryFile,
+      violations,
+      totalViolations: Object.values(violations).reduce((a, b) => a + b, 0),
+    };
+  });
+
+  // The AI analysis uses the sitemap results of this batch instead of crawling again
+  await runStep('ai', async () => {
+    if (result.steps.sitemap && result.steps.sitemap.status === 'failed') {
+      throw new Error('Skipped because the sitemap crawl failed');
+    }
+    const fromExports = site.steps.includes('sitemap')
+      ? result.steps.sitemap.resultsFolder
+      : findLatestSitemapResults(site.url, { config });
+    if (!fromExports) {
+      throw new Error(
+        'No sitemap results found. Please run the sitemap step first.'
+      );
+    }
+    const analysis = await analyzeSitemaps(site.url, {
+      config,
+      profile: site.profile,
+      fromExports,
+    });
+    return {
+      status: analysis.error ? 'failed' : 'done',
+      error: analysis.error,
+      insightsFile: analysis.insightsFile,
+      pdfFile: analysis.pdfFile,
+    };
+  });
+
+  const statuses = Object.values(result.steps).map((step) => step.status);
+  if (statuses.every((status) => status === 'failed')) {
+    result.status = 'failed';
+  } else if (statuses.some((status) => status !== 'done')) {
+    result.status = 'partial';
+  }
+  result.durationMs = Date.now() - start;
+  return result;
+}
+
+// Function to write the JSON and HTML index of a batch
+function writeBatchIndex(batch, outputFolder) {
+  fs.mkdirSync(outputFolder, { recursive: true });
+
+  const jsonFile = path.join(outputFolder, BATCH_INDEX_JSON);
+  fs.writeFileSync(jsonFile, JSON.stringify(batch, null, 2));
+
+  const htmlFile = path.join(outputFolder, BATCH_INDEX_HTML);
+  fs.writeFileSync(htmlFile, generateBatchHtml(batch, outputFolder));
+
+  console.log(`\nBatch index saved to: ${htmlFile}`);
+  return { json: jsonFile, html: htmlFile };
+}
+
+// Function to generate the HTML index of a batch, with links relative to the index
+function generateBatchHtml(batch, outputFolder) {
+  const link = (file, text) =>
+    file
+      ? `<a href="${escapeHtml(
+          path.relative(outputFolder, file).split(path.sep).join('/')
+        )}">${escapeHtml(text)}</a>`
+      : '';
+  const cell = (step, render) => {
+    if (!step) return '<td>-</td>';
+    if (step.status === 'failed') {
+      return `<td class="severity-high" title="${escapeHtml(
+        step.error
+      )}">Failed</td>`;
+    }
+    return `<td>${render(step)}</td>`;
+  };
+
+  const rows = batch.sites
+    .map(
+      (site) => `
+      <tr>
+        <td>${escapeHtml(site.url)}</td>
+        <td>${escapeHtml(site.profile || 'default')}</td>
+        <td class="${
+          site.status === 'done' ? '' : 'severity-high'
+        }">${escapeHtml(site.status)}</td>
+        ${cell(
+          site.steps.sitemap,
+          (step) =>
+            `${step.sitemaps.succeeded} crawled, ${step.sitemaps.failed} failed`
+        )}
+        ${cell(site.steps.sitemap, (step) => step.urls.total)}
+        ${cell(site.steps.sitemap, (step) => step.urls.total - step.urls.ok)}
+        ${cell(site.steps.a11y, (step) => step.totalViolations)}
+        <td>${[
+          site.steps.sitemap &&
+            link(site.steps.sitemap.resultsFolder, 'Sitemaps'),
+          site.steps.a11y && link(site.steps.a11y.summaryFile, 'Accessibility'),
+          site.steps.ai && link(site.steps.ai.insightsFile, 'AI insights'),
+          site.steps.ai && link(site.steps.ai.pdfFile, 'Status PDF'),
+        ]
+          .filter(Boolean)
+          .join(' | ')}</td>
+      </tr>`
+    )
+    .join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Batch Audit Summary</title>
+  <style>
+${HTML_REPORT_STYLES}
+  </style>
+</head>
+<body>
+  <h1>Batch Audit Summary</h1>
+  <p>Started ${new Date(batch.startedAt).toLocaleString()}, finished ${new Date(
+    batch.finishedAt
+  ).toLocaleString()}</p>
+
+  <div class="summary-box">
+    <h2>Overview</h2>
+    <p>Sites: <span class="summary-stat">${batch.summary.total}</span></p>
+    <p>Completed: ${batch.summary.done}, partly failed: ${
+    batch.summary.partial
+  }, failed: ${batch.summary.failed}</p>
+  </div>
+
+  <table>
+    <tr>
+      <th>Site</th>
+      <th>Profile</th>
+      <th>Status</th>
+      <th>Sitemaps</th>
+      <th>URLs</th>
+      <th>Non-200 URLs</th>
+      <th>Accessibility Violations</th>
+      <th>Results</th>
+    </tr>${rows}
+  </table>
+</body>
+</html>
+`;
+}
+
+// Helper function to log the outcome of every site in a batch
+function logBatchSummary(batch) {
+  console.log('\n=== BATCH SUMMARY ===');
+  console.log(
+    `${batch.summary.done} of ${batch.summary.total} site(s) completed, ${batch.summary.partial} partly failed, ${batch.summary.failed} failed`
+  );
+  batch.sites
+    .filter((site) => site.status !== 'done')
+    .forEach((site) => {
+      const failed = Object.keys(site.steps).filter(
+        (step) => site.steps[step].status !== 'done'
+      );
+      console.log(`- ${site.url}: ${failed.join(', ')}`);
+    });
+}
+
+module.exports = {
+  BATCH_STEPS,
+  runBatch,
+  readSitesFile,
+  writeBatchIndex,
+};
@@ -0,0 +1,434 @@
+const fs = require('fs');
+const path = require('path');
+const { STATUS_CODES } = require('http');
+const { resolveConfig } = require('./config');
+const {
+  MAX_REDIRECTS,
+  fetchWithRetry,
+  fetchStatus,
+  validateHttpUrl,
+  isHttpUrl,
+  filterHttpUrls,
+} = require('./http');
+const { writeCSV } = require('./csv');
+const { loadRobotsTxt } = require('./robots');
+const {
+  discoverCmsSitemaps,
+  discoverRelatedSitemaps,
+  collectPathPrefixes,
+} = require('./discovery');
+const { generateStatusReport } = require('./pdf');
+const { mapWithConcurrency } = require('./pool');
+const {
+  parseSitemap,
+  normalizeSitemapUrl,
+  getMaxSitemapDepth,
+} = require('./sitemap-parser');
+const {
+  findSitemapsFromRobotsTxt,
+  checkSitemapsAgainstRobots,
+  getDomainFolder,
+} = require('./sitemap');
+const { createRun, pruneRuns } = require('./runs');
+
+const DEFAULT_CHECK_CONCURRENCY = 10;
+const DEFAULT_CHECK_TIMEOUT = 15000;
+
+// Folder and file name of the status check, named like the Screaming Frog export
+const STATUS_CHECK_FOLDER = 'status_check';
+const STATUS_CHECK_FILE = 'response_codes_all.csv';
+const STATUS_CHECK_HEADERS = [
+  'Address',
+  'Content Type',
+  'Status Code',
+  'Status',
+  'Indexability',
+  'Indexability Status',
+  'Response Time',
+  'Redirect URL',
+  'Redirect Type',
+  'Final Address',
+  'Final Status Code',
+  'Redirect Chain',
+  'Redirect Count',
+  'Method',
+  'Sitemap',
+  'Crawl Timestamp',
+];
+
+// Function to check the status code of every URL in a website's sitemaps without Screaming Frog
+async function runStatusCheck(websiteUrl, options = {}) {
+  const config = resolveConfig(options);
+  validateHttpUrl(websiteUrl, 'Website URL');
+  if (options.sitemapUrl) validateHttpUrl(options.sitemapUrl, 'Sitemap URL');
+  console.log(`Starting status check for: ${websiteUrl}`);
+
+  const baseUrl = websiteUrl.replace(/\/$/, '');
+  const domain = new URL(baseUrl).hostname;
+
+  // Step 1: Find the sitemaps, unless one was given
+  let robots = null;
+  let sitemapUrls;
+  const known = new Set();
+  if (options.sitemapUrl) {
+    sitemapUrls = [options.sitemapUrl];
+  } else {
+    robots = await loadRobotsTxt(baseUrl);
+    sitemapUrls = await findSitemapsFromRobotsTxt(baseUrl, { robots });
+    sitemapUrls.forEach((sitemapUrl) =>
+      known.add(normalizeSitemapUrl(sitemapUrl))
+    );
+    (await discoverCmsSitemaps(baseUrl, known)).forEach(({ sitemapUrl }) =>
+      sitemapUrls.push(sitemapUrl)
+    );
+    if (sitemapUrls.length === 0) sitemapUrls.push(`${baseUrl}/sitemap.xml`);
+  }
+
+  // Step 2: Collect the page URLs of every sitemap
+  const visited = new Set();
+  const urls = new Map();
+  const pathPrefixes = new Set();
+  const collectUrls = async (entries) => {
+    for (const sitemapUrl of entries) {
+      if (visited.has(normalizeSitemapUrl(sitemapUrl))) continue;
+      await collectUrlsFromSitemap(sitemapUrl, {
+        maxDepth: getMaxSitemapDepth(options, config),
+        visited,
+        urls,
+        pathPrefixes,
+      });
+    }
+  };
+  await collectUrls(sitemapUrls);
+
+  // Look for locale and section sitemaps next to the URLs, like the sitemap crawl
+  if (!options.sitemapUrl) {
+    const related = await discoverRelatedSitemaps(
+      baseUrl,
+      [...visited, ...pathPrefixes],
+      new Set([...visited, ...known])
+    );
+    await collectUrls(related.map(({ sitemapUrl }) => sitemapUrl));
+  }
+
+  if (urls.size === 0) {
+    throw new Error('Could not extract any URLs from the sitemaps.');
+  }
+
+  // Step 3: Check every URL
+  const checks = await checkUrls(Array.from(urls.keys()), {
+    concurrency: options.concurrency || config.checkConcurrency,
+    timeout: options.timeout || config.checkTimeout,
+  });
+
+  // Step 4: Save the results like Screaming Frog's response codes export
+  // Checks keep their own runs, so that "latest" of the sitemap crawls stays a crawl
+  const checksFolder = path.join(
+    getDomainFolder(domain, config),
+    STATUS_CHECK_FOLDER
+  );
+  const run = createRun(checksFolder);
+  const outputFolder = run.folder;
+
+  const rows = checks.map((check) => toStatusRow(check, urls.get(check.url)));
+  const csvFile = writeCSV(
+    path.join(outputFolder, STATUS_CHECK_FILE),
+    rows,
+    STATUS_CHECK_HEADERS
+  );
+  console.log(`Status check saved to: ${csvFile}`);
+
+  // Step 5: Check the sitemaps against robots.txt and generate the status PDF
+  const blockedSitemaps = [];
+  if (robots) {
+    checkSitemapsAgainstRobots(robots, Array.from(visited), {
+      config,
+      domain,
+      runFolder: run.folder,
+    }).forEach((check) => {
+      check.results
+        .filter((result) => !result.allowed)
+        .forEach((result) => {
+          blockedSitemaps.push({
+            'Sitemap URL': check.url,
+            'User Agent': result.userAgent,
+            'Matched Rule': result.rule,
+          });
+        });
+    });
+  }
+
+  const domainName = domain.replace(/^www\./, '').replace(/\./g, '_');
+  const pdfFile = await generateStatusReport(
+    rows,
+    path.join(outputFolder, `${domainName}_status_report.pdf`),
+    { blockedSitemaps }
+  );
+
+  const summary = summarizeChecks(checks);
+  console.log(
+    `\nChecked ${summary.total} URLs: ${summary.ok} OK, ${summary.redirects.length} redirect(s), ${summary.errors.length} error(s)`
+  );
+
+  pruneRuns(checksFolder, {
+    keepRuns: config.keepRuns,
+    keepDays: config.keepDays,
+  });
+
+  return {
+    websiteUrl,
+    domain,
+    runId: run.id,
+    sitemapUrls: Array.from(visited),
+    outputFolder,
+    csvFile,
+    pdfFile,
+    checks,
+    ...summary,
+  };
+}
+
+// Function to check the status code of every URL in a sitemap
+async function checkSitemapUrls(sitemapUrl, options = {}) {
+  const config = resolveConfig(options);
+  validateHttpUrl(sitemapUrl, 'Sitemap URL');
+  const urls = new Map();
+  await collectUrlsFromSitemap(sitemapUrl, {
+    maxDepth: getMaxSitemapDepth(options, config),
+    urls,
+  });
+
+  const checks = await checkUrls(Array.from(urls.keys()), {
+    concurrency: options.concurrency || config.checkConcurrency,
+    timeout: options.timeout || config.checkTimeout,
+  });
+
+  return { ...summarizeChecks(checks), checks };
+}
+
+// Helper function to collect page URLs from a sitemap, expanding nested indexes
+async function collectUrlsFromSitemap(sitemapUrl, options = {}) {
+  const depth = options.depth || 0;
+  const visited = options.visited || new Set();
+  const urls = options.urls || new Map();
+
+  visited.add(normalizeSitemapUrl(sitemapUrl));
+  console.log(`Reading sitemap: ${sitemapUrl}`);
+
+  let sitemap;
+  try {
+    sitemap = parseSitemap(await fetchWithRetry(sitemapUrl));
+  } catch (error) {
+    console.error(`Error reading sitemap ${sitemapUrl}: ${error.message}`);
+    return urls;
+  }
+
+  if (sitemap.type === 'index') {
+    if (depth >= options.maxDepth) {
+      console.log(
+        `Warning: Maximum sitemap depth (${options.maxDepth}) reached, skipping ${sitemap.sitemaps.length} child sitemaps of ${sitemapUrl}`
+      );
+      return urls;
+    }
+
+    for (const childUrl of sitemap.sitemaps) {
+      if (!isHttpUrl(childUrl)) {
+        console.log(
+          `Skipping invalid child sitemap URL: ${JSON.stringify(childUrl)}`
+        );
+        continue;
+      }
+      if (visited.has(normalizeSitemapUrl(childUrl))) continue;
+      await collectUrlsFromSitemap(childUrl, {
+        ...options,
+        depth: depth + 1,
+        visited,
+        urls,
+      });
+    }
+  } else {
+    // Remember where the pages live to look for related sitemaps later
+    if (options.pathPrefixes) {
+      collectPathPrefixes(sitemap.urls, options.pathPrefixes);
+    }
+
+    // Remember the first sitemap that lists each URL
+    filterHttpUrls(sitemap.urls).forEach((url) => {
+      const key = normalizeSitemapUrl(url);
+      if (!urls.has(key)) urls.set(key, sitemapUrl);
+    });
+    console.log(`Found ${sitemap.urls.length} URLs in ${sitemapUrl}`);
+  }
+
+  return urls;
+}
+
+// Function to check a list of URLs with a limited number of requests at a time
+async function checkUrls(urls, options = {}) {
+  const concurrency = options.concurrency || DEFAULT_CHECK_CONCURRENCY;
+  console.log(
+    `Checking ${urls.length} URLs with ${concurrency} concurrent requests`
+  );
+
+  let done = 0;
+  return mapWithConcurrency(urls, concurrency, async (url) => {
+    const check = await checkUrlStatus(url, options);
+    done++;
+    if (done % 50 === 0 || done === urls.length) {
+      console.log(`Checked ${done}/${urls.length} URLs`);
+    }
+    return check;
+  });
+}
+
+// Function to check a URL, following redirects one hop at a time to record the chain
+async function checkUrlStatus(url, options = {}) {
+  const timeout = options.timeout || DEFAULT_CHECK_TIMEOUT;
+  const result = {
+    url,
+    statusCode: 0,
+    status: '',
+    contentType: '',
+    responseTime: 0,
+    method: 'HEAD',
+    redirectChain: [],
+    finalUrl: url,
+    finalStatusCode: 0,
+    error: null,
+  };
+
+  let currentUrl = url;
+  try {
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      let response = await fetchStatus(currentUrl, {
+        method: result.method,
+        timeout,
+      });
+
+      // Some servers do not implement HEAD, so ask again with GET
+      if (
+        result.method === 'HEAD' &&
+        (response.statusCode === 405 || response.statusCode === 501)
+      ) {
+        result.method = 'GET';
+        response = await fetchStatus(currentUrl, { method: 'GET', timeout });
+      }
+
+      result.responseTime += response.responseTime;
+      result.redirectChain.push({
+        url: currentUrl,
+        statusCode: response.statusCode,
+      });
+      result.finalUrl = currentUrl;
+      result.finalStatusCode = response.statusCode;
+      result.contentType = response.headers['content-type'] || '';
+
+      const location = response.headers.location;
+      if (response.statusCode < 300 || response.statusCode >= 400 || !location)
+        break;
+
+      const nextUrl = new URL(location, currentUrl).href;
+      if (result.redirectChain.some((step) => step.url === nextUrl)) {
+        result.error = 'Redirect loop';
+        break;
+      }
+      if (hop === MAX_REDIRECTS) {
+        result.error = 'Too many redirects';
+        break;
+      }
+      currentUrl = nextUrl;
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  const first = result.redirectChain[0];
+  if (first) {
+    result.statusCode = first.statusCode;
+    result.status = STATUS_CODES[first.statusCode] || '';
+  } else {
+    // Screaming Frog reports connection failures with status code 0
+    result.status = /timed out/i.test(result.error)
+      ? 'Connection Timeout'
+      : 'Connection Error';
+  }
+
+  return result;
+}
+
+// Helper function to turn a URL check into a row of response_codes_all.csv
+function toStatusRow(check, sitemapUrl) {
+  const redirected = check.redirectChain.length > 1;
+  const indexable = check.statusCode === 200;
+
+  let indexabilityStatus = '';
+  if (!indexable) {
+    if (check.statusCode === 0) indexabilityStatus = check.status;
+    else if (redirected || (check.statusCode >= 300 && check.statusCode < 400))
+      indexabilityStatus = 'Redirected';
+    else if (check.statusCode >= 400 && check.statusCode < 500)
+      indexabilityStatus = 'Client Error';
+    else if (check.statusCode >= 500) indexabilityStatus = 'Server Error';
+  }
+
+  return {
+    Address: check.url,
+    'Content Type': check.contentType,
+    'Status Code': check.statusCode,
+    Status: check.status,
+    Indexability: indexable ? 'Indexable' : 'Non-Indexable',
+    'Indexability Status': indexabilityStatus,
+    'Response Time': (check.responseTime / 1000).toFixed(3),
+    'Redirect URL': redirected ? check.redirectChain[1].url : '',
+    'Redirect Type': redirected ? 'HTTP Redirect' : '',
+    'Final Address': check.finalUrl,
+    'Final Status Code': check.finalStatusCode,
+    'Redirect Chain': check.redirectChain
+      .map((step) => `${step.statusCode} ${step.url}`)
+      .join(' -> '),
+    'Redirect Count': Math.max(check.redirectChain.length - 1, 0),
+    Method: check.method,
+    Sitemap: sitemapUrl || '',
+    'Crawl Timestamp': new Date().toISOString(),
+  };
+}
+
+// Helper function to count the OK, redirected and failed URLs
+function summarizeChecks(checks) {
+  const summary = {
+    total: checks.length,
+    ok: 0,
+    redirects: [],
+    errors: [],
+    statusCounts: {},
+  };
+
+  checks.forEach((check) => {
+    const status = check.statusCode;
+    summary.statusCounts[status] = (summary.statusCounts[status] || 0) + 1;
+
+    if (status === 200) {
+      summary.ok++;
+    } else if (status >= 300 && status < 400) {
+      summary.redirects.push({
+        url: check.url,
+        status,
+        finalUrl: check.finalUrl,
+        finalStatus: check.finalStatusCode,
+      });
+    } else {
+      summary.errors.push({ url: check.url, status, error: check.error });
+    }
+  });
+
+  return summary;
+}
+
+module.exports = {
+  STATUS_CHECK_FOLDER,
+  STATUS_CHECK_FILE,
+  runStatusCheck,
+  checkSitemapUrls,
+  checkUrls,
+  checkUrlStatus,
+};
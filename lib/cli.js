@@ -0,0 +1,555 @@
+const path = require('path');
+const { loadConfig } = require('./config');
+const { crawlSitemaps } = require('./sitemap');
+const { auditAccessibility } = require('./a11y');
+const { analyzeSitemaps, createStatusReport } = require('./ai');
+const { runStatusCheck } = require('./check');
+const { reExportCrawls } = require('./reexport');
+const { runBatch } = require('./batch');
+const { DIFF_TYPES, diffRuns } = require('./diff');
+const { version } = require('../package.json');
+
+// Name of the command line tool, as installed by package.json
+const CLI_NAME = 'sf-crawler';
+
+// Exit codes shared by every command
+const EXIT_CODES = {
+  success: 0,
+  failed: 1,
+  usage: 2,
+  partial: 3,
+};
+
+// Options accepted by every command
+const GLOBAL_OPTIONS = {
+  config: {
+    value: '<path>',
+    description: 'Configuration file to use (default: ./config.json)',
+  },
+  output: {
+    value: '<folder>',
+    description: 'Folder to save the results in',
+  },
+  verbose: {
+    description: 'Show the full Screaming Frog output',
+  },
+  help: {
+    alias: 'h',
+    description: 'Show help for the command',
+  },
+};
+
+// Options shared by the commands that create Screaming Frog exports
+const EXPORT_OPTIONS = {
+  'export-tabs': {
+    value: '<tabs>',
+    description: 'Comma-separated tabs and filters, e.g. "URL:All,H1:All"',
+  },
+  'bulk-export': {
+    value: '<exports>',
+    description: 'Comma-separated bulk exports, e.g. "Links:All Inlinks"',
+  },
+  'save-report': {
+    value: '<reports>',
+    description: 'Comma-separated reports, e.g. "Crawl Overview"',
+  },
+};
+
+const PROFILE_OPTION = {
+  profile: {
+    value: '<name>',
+    description: 'Crawl profile from the configuration file',
+  },
+};
+
+const RESUME_OPTION = {
+  resume: {
+    description:
+      'Continue the latest run in its folder, skipping the crawls that completed',
+  },
+};
+
+const RUN_OPTION = {
+  run: {
+    value: '<timestamp>',
+    description:
+      'Use the run with this timestamp, or a unique start of it, instead of the latest run',
+  },
+};
+
+const GAP_OPTION = {
+  gap: {
+    description: 'Also run a spider crawl and compare it with the sitemaps',
+  },
+};
+
+// The commands of the tool, with their arguments, options and handler
+const COMMANDS = {
+  sitemap: {
+    description: 'Crawl the sitemaps of a website with Screaming Frog',
+    args: ['<website-url>'],
+    options: {
+      ...PROFILE_OPTION,
+      ...GAP_OPTION,
+      ...RESUME_OPTION,
+      ...EXPORT_OPTIONS,
+    },
+    outputSetting: 'outputFolder',
+    run: runSitemapCommand,
+  },
+  a11y: {
+    description: 'Audit the sitemap pages of a website for accessibility',
+    args: ['<website-url>'],
+    options: {
+      ...PROFILE_OPTION,
+      ...RESUME_OPTION,
+      'from-exports': {
+        value: '<folder>',
+        description: 'Rebuild the summary from saved exports',
+      },
+      ...RUN_OPTION,
+    },
+    run: runA11yCommand,
+  },
+  ai: {
+    description: 'Crawl the sitemaps and analyze the results with AI',
+    args: ['<website-url>'],
+    options: {
+      ...PROFILE_OPTION,
+      ...GAP_OPTION,
+      ...RESUME_OPTION,
+      'from-exports': {
+        value: '<folder>',
+        description: 'Analyze saved exports instead of crawling',
+      },
+    },
+    run: runAiCommand,
+  },
+  check: {
+    description: 'Check the status of every sitemap URL without Screaming Frog',
+    args: ['<website-url>', '[sitemap-url]'],
+    options: {},
+    outputSetting: 'outputFolder',
+    run: runCheckCommand,
+  },
+  report: {
+    description: 'Create the PDF status report from the saved sitemap results',
+    args: ['<website-url>'],
+    options: {
+      'from-exports': {
+        value: '<folder>',
+        description: 'Use this results folder instead of the latest results',
+      },
+      ...RUN_OPTION,
+    },
+    run: runReportCommand,
+  },
+  batch: {
+    description:
+      'Run the sitemap crawl, accessibility audit and AI analysis for many sites',
+    args: ['<sites-file>'],
+    options: {
+      concurrency: {
+        value: '<number>',
+        description: 'Number of sites to process at the same time',
+      },
+      steps: {
+        value: '<steps>',
+        description: 'Comma-separated steps to run: sitemap, a11y, ai',
+      },
+      ...RESUME_OPTION,
+    },
+    run: runBatchCommand,
+  },
+  're-export': {
+    description: 'Create more exports from saved crawls without crawling again',
+    args: ['<website-url|results-folder>'],
+    options: { ...EXPORT_OPTIONS, ...RUN_OPTION },
+    outputSetting: 'outputFolder',
+    run: runReExportCommand,
+  },
+  diff: {
+    description: 'Compare two runs of a website: sitemap URLs and violations',
+    args: ['<website-url>'],
+    options: {
+      from: {
+        value: '<timestamp>',
+        description:
+          'Earlier run of --type to compare (default: the run before --to)',
+      },
+      to: {
+        value: '<timestamp>',
+        description: 'Later run of --type to compare (default: the latest run)',
+      },
+      type: {
+        value: '<type>',
+        description: `Only compare one type of results: ${DIFF_TYPES.join(
+          ', '
+        )}`,
+      },
+    },
+    run: runDiffCommand,
+  },
+};
+
+// Function to run the command line tool and return its exit code
+async function runCli(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    const command = name === 'help' && rest[0];
+    if (command && COMMANDS[command]) {
+      console.log(formatCommandHelp(command));
+    } else {
+      console.log(formatHelp());
+    }
+    return name ? EXIT_CODES.success : EXIT_CODES.usage;
+  }
+
+  if (name === '--version') {
+    console.log(version);
+    return EXIT_CODES.success;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command "${name}".\n`);
+    console.error(formatHelp());
+    return EXIT_CODES.usage;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(rest, { ...command.options, ...GLOBAL_OPTIONS });
+    if (parsed.options.help) {
+      console.log(formatCommandHelp(name));
+      return EXIT_CODES.success;
+    }
+    checkArgs(parsed.args, command.args);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n`);
+    console.error(formatCommandHelp(name));
+    return EXIT_CODES.usage;
+  }
+
+  try {
+    const config = loadConfig(parsed.options.config, {
+      overrides: getConfigOverrides(command, parsed.options),
+    });
+    return await command.run(parsed.args, parsed.options, config);
+  } catch (error) {
+    console.error(`Error during ${name}: ${error.message}`);
+    return error.exitCode || EXIT_CODES.failed;
+  }
+}
+
+// Function to split command line arguments into positional arguments and
+// options. Options take their value as the next argument or after "=", and
+// "--" ends the options.
+function parseArgs(argv, definitions) {
+  const aliases = {};
+  Object.keys(definitions).forEach((key) => {
+    if (definitions[key].alias) aliases[definitions[key].alias] = key;
+  });
+
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      args.push(arg);
+      continue;
+    }
+
+    const match = arg.match(/^--?([^=]+)(?:=(.*))?$/s);
+    const key = match && (aliases[match[1]] || match[1]);
+    const definition = key && definitions[key];
+    if (!definition || (!arg.startsWith('--') && !aliases[match[1]])) {
+      throw new Error(`Unknown option ${arg.split('=')[0]}`);
+    }
+
+    if (!definition.value) {
+      if (match[2] !== undefined) {
+        throw new Error(`Option --${key} does not take a value`);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined || value === '' || value.startsWith('--')) {
+      throw new Error(`Option --${key} needs a value ${definition.value}`);
+    }
+    options[key] = value;
+  }
+
+  return { args, options };
+}
+
+// Helper function to check the number of positional arguments of a command
+function checkArgs(args, expected) {
+  const required = expected.filter((arg) => arg.startsWith('<')).length;
+  if (args.length < required) {
+    throw new Error(`Missing argument ${expected[args.length]}`);
+  }
+  if (args.length > expected.length) {
+    throw new Error(`Unexpected argument "${args[expected.length]}"`);
+  }
+}
+
+// Helper function to format a list of options for the help text
+function formatOptions(definitions) {
+  const rows = Object.keys(definitions).map((key) => {
+    const definition = definitions[key];
+    const flag = `${definition.alias ? `-${definition.alias}, ` : ''}--${key}${
+      definition.value ? ` ${definition.value}` : ''
+    }`;
+    return [flag, definition.description];
+  });
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows
+    .map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`)
+    .join('\n');
+}
+
+// Function to format the help text of the tool
+function formatHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => name.length));
+  const commands = Object.keys(COMMANDS)
+    .map((name) => `  ${name.padEnd(width)}  ${COMMANDS[name].description}`)
+    .join('\n');
+
+  return `Usage: ${CLI_NAME} <command> [options]
+
+Commands:
+${commands}
+
+Global options:
+${formatOptions(GLOBAL_OPTIONS)}
+
+Run "${CLI_NAME} <command> --help" for the options of a command.`;
+}
+
+// Function to format the help text of a command
+function formatCommandHelp(name) {
+  const command = COMMANDS[name];
+  const sections = [
+    `Usage: ${CLI_NAME} ${name} ${command.args.join(' ')} [options]`,
+    command.description,
+  ];
+  if (Object.keys(command.options).length > 0) {
+    sections.push(`Options:\n${formatOptions(command.options)}`);
+  }
+  sections.push(`Global options:\n${formatOptions(GLOBAL_OPTIONS)}`);
+  sections.push(`Exit codes:
+  ${EXIT_CODES.success}  Success
+  ${EXIT_CODES.failed}  The command failed
+  ${EXIT_CODES.usage}  Invalid arguments or options
+  ${EXIT_CODES.partial}  Some crawls, audits, exports or URL checks failed`);
+  return sections.join('\n\n');
+}
+
+// Helper function to get the settings given on the command line, which
+// override the configuration file and the environment
+function getConfigOverrides(command, options) {
+  const overrides = {};
+  if (options.output && command.outputSetting) {
+    overrides[command.outputSetting] = path.resolve(options.output);
+  }
+  return overrides;
+}
+
+// Function to run the sitemap command
+async function runSitemapCommand([websiteUrl], options, config) {
+  const result = await crawlSitemaps(websiteUrl, {
+    config,
+    profile: options.profile,
+    gapAnalysis: options.gap,
+    exportTabs: options['export-tabs'],
+    bulkExport: options['bulk-export'],
+    saveReport: options['save-report'],
+    resume: options.resume,
+    verbose: options.verbose,
+  });
+
+  if (result.summary.failed.length > 0) {
+    console.log(
+      `${result.summary.failed.length} sitemap(s) could not be crawled.`
+    );
+    return EXIT_CODES.partial;
+  }
+  console.log('All sitemaps have been processed successfully!');
+  return EXIT_CODES.success;
+}
+
+// Function to run the a11y command
+async function runA11yCommand([websiteUrl], options, config) {
+  const result = await auditAccessibility(websiteUrl, {
+    config,
+    profile: options.profile,
+    fromExports: options['from-exports'],
+    run: options.run,
+    outputFolder: options.output,
+    resume: options.resume,
+    verbose: options.verbose,
+  });
+
+  console.log(
+    `Accessibility audit completed for ${result.domain}. Results are available in: ${result.outputFolder}`
+  );
+  const failed = result.audits.filter((audit) => !audit.success);
+  if (failed.length > 0) {
+    console.log(
+      `Failed audits: ${failed.map((audit) => audit.standard).join(', ')}`
+    );
+    return failed.length === result.audits.length
+      ? EXIT_CODES.failed
+      : EXIT_CODES.partial;
+  }
+  return EXIT_CODES.success;
+}
+
+// Function to run the ai command
+async function runAiCommand([websiteUrl], options, config) {
+  const result = await analyzeSitemaps(websiteUrl, {
+    config,
+    profile: options.profile,
+    gapAnalysis: options.gap,
+    fromExports: options['from-exports'],
+    outputFolder: options.output,
+    resume: options.resume,
+    verbose: options.verbose,
+  });
+
+  if (result.error) return EXIT_CODES.failed;
+  if (result.crawl && result.crawl.summary.failed.length > 0) {
+    return EXIT_CODES.partial;
+  }
+  return EXIT_CODES.success;
+}
+
+// Function to run the check command
+async function runCheckCommand([websiteUrl, sitemapUrl], options, config) {
+  const result = await runStatusCheck(websiteUrl, {
+    config,
+    sitemapUrl,
+  });
+
+  console.log(`\nStatus check results saved to: ${result.outputFolder}`);
+  return result.errors.length > 0 ? EXIT_CODES.partial : EXIT_CODES.success;
+}
+
+// Function to run the report command
+async function runReportCommand([websiteUrl], options, config) {
+  const result = await createStatusReport(websiteUrl, {
+    config,
+    fromExports: options['from-exports'],
+    run: options.run,
+    outputFolder: options.output,
+  });
+
+  if (!result.pdfFile) {
+    console.error(
+      `No URLs found in the sitemap results: ${result.resultsPath}`
+    );
+    return EXIT_CODES.failed;
+  }
+  console.log(`Status report saved to: ${result.pdfFile}`);
+  return EXIT_CODES.success;
+}
+
+// Function to run the re-export command
+async function runReExportCommand([target], options, config) {
+  const result = await reExportCrawls(target, {
+    config,
+    exportTabs: options['export-tabs'],
+    bulkExport: options['bulk-export'],
+    saveReport: options['save-report'],
+    run: options.run,
+    verbose: options.verbose,
+  });
+
+  return result.crawls.some((crawl) => !crawl.success)
+    ? EXIT_CODES.partial
+    : EXIT_CODES.success;
+}
+
+// Function to run the diff command
+async function runDiffCommand([websiteUrl], options, config) {
+  if ((options.from || options.to) && !options.type) {
+    const error = new Error(
+      `--from and --to need --type (${DIFF_TYPES.join(
+        ' or '
+      )}), since sitemap and accessibility runs have different timestamps`
+    );
+    error.exitCode = EXIT_CODES.usage;
+    throw error;
+  }
+
+  const result = await diffRuns(websiteUrl, {
+    config,
+    from: options.from,
+    to: options.to,
+    type: options.type,
+    outputFolder: options.output,
+  });
+
+  console.log(`Run comparison report saved to: ${result.pdfFile}`);
+  return EXIT_CODES.success;
+}
+
+// Function to run the batch command
+async function runBatchCommand([sitesFile], options, config) {
+  let concurrency;
+  if (options.concurrency) {
+    concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      const error = new Error(
+        '--concurrency must be a whole number of at least 1'
+      );
+      error.exitCode = EXIT_CODES.usage;
+      throw error;
+    }
+  }
+
+  const batch = await runBatch(sitesFile, {
+    config,
+    concurrency,
+    steps: options.steps,
+    outputFolder: options.output,
+    resume: options.resume,
+    verbose: options.verbose,
+  });
+
+  if (batch.summary.done === batch.summary.total) return EXIT_CODES.success;
+  return batch.summary.failed === batch.summary.total
+    ? EXIT_CODES.failed
+    : EXIT_CODES.partial;
+}
+
+// Function to run the tool from a script and set the exit code of the process
+function main(argv) {
+  runCli(argv)
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Unhandled error:', error);
+      process.exitCode = EXIT_CODES.failed;
+    });
+}
+
+module.exports = {
+  CLI_NAME,
+  EXIT_CODES,
+  COMMANDS,
+  runCli,
+  parseArgs,
+  formatHelp,
+  formatCommandHelp,
+  main,
+};
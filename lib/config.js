@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const { suggestName } = require('./exports');
+
+// Default location of the configuration file, relative to the working directory
+const DEFAULT_CONFIG_PATH = './config.json';
+
+// Built-in settings, used for everything the configuration file leaves out
+const DEFAULT_CONFIG = {
+  outputFolder: './results/sitemap',
+  exportTabs: 'URL:All,Response Codes:All,Page Titles:All,Meta Description:All',
+  saveOptions: '--headless --save-crawl --save-report "Crawl Overview"',
+  exportFormat: 'csv',
+};
+
+// Environment variables that override the configuration file
+const ENV_OVERRIDES = {
+  SF_PATH: 'screamingFrogPath',
+  SF_OUTPUT_FOLDER: 'outputFolder',
+  GOOGLE_API_KEY: 'googleApiKey',
+};
+
+// Environment variable with the path of the configuration file
+const CONFIG_PATH_ENV = 'SF_CONFIG';
+
+// Example API key of config.json, which has to be replaced
+const PLACEHOLDER_API_KEYS = ['your-google-api-key'];
+
+// Settings that can be used at the top level, in profiles and for domains
+const CRAWL_SETTINGS = {
+  screamingFrogPath: { type: 'string' },
+  outputFolder: { type: 'string' },
+  exportTabs: { type: 'list' },
+  'bulk-export': { type: 'list' },
+  saveReport: { type: 'list' },
+  saveOptions: { type: 'list' },
+  exportFormat: { type: 'string', values: ['csv', 'xls', 'xlsx', 'gsheet'] },
+  validateExports: { type: 'boolean' },
+  seoSpiderConfig: { type: 'string' },
+  authConfig: { type: 'string' },
+  maxUrls: { type: 'integer', min: 1 },
+  maxSitemapDepth: { type: 'integer', min: 0 },
+  robotsUserAgent: { type: 'string' },
+  checkConcurrency: { type: 'integer', min: 1 },
+  checkTimeout: { type: 'integer', min: 1 },
+  crawlTimeout: { type: 'integer', min: 0 },
+  crawlConcurrency: { type: 'integer', min: 1 },
+  crawlMemoryMb: { type: 'integer', min: 1 },
+  crawlRetries: { type: 'integer', min: 0 },
+};
+
+// Schema of the configuration file
+const CONFIG_SCHEMA = {
+  ...CRAWL_SETTINGS,
+  googleApiKey: { type: 'string' },
+  batchConcurrency: { type: 'integer', min: 1 },
+  keepRuns: { type: 'integer', min: 1 },
+  keepDays: { type: 'integer', min: 1 },
+  profiles: { type: 'object' },
+  domains: { type: 'object' },
+};
+
+// Function to load the configuration: the built-in settings, then the
+// configuration file, then the environment variables, then the overrides
+// given on the command line
+function loadConfig(configPath, options = {}) {
+  const env = options.env || process.env;
+  const explicitPath = configPath || env[CONFIG_PATH_ENV];
+  const resolvedPath = path.resolve(
+    process.cwd(),
+    explicitPath || DEFAULT_CONFIG_PATH
+  );
+
+  // Without a configuration file, the environment has to provide the settings
+  let fileConfig = {};
+  let source = resolvedPath;
+  if (fs.existsSync(resolvedPath)) {
+    fileConfig = readConfigFile(resolvedPath);
+  } else if (explicitPath) {
+    throw new Error(`Config file not found: ${resolvedPath}`);
+  } else {
+    source = `the environment (no config file at ${resolvedPath})`;
+  }
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...fileConfig,
+    ...getEnvOverrides(env),
+    ...(options.overrides || {}),
+  };
+  validateConfig(config, source);
+  return config;
+}
+
+// Helper function to read and parse a configuration file
+function readConfigFile(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+  if (!isPlainObject(config)) {
+    throw new Error(`${configPath} must contain a JSON object`);
+  }
+  return config;
+}
+
+// Helper function to get the settings set by environment variables
+function getEnvOverrides(env) {
+  const overrides = {};
+  Object.keys(ENV_OVERRIDES).forEach((name) => {
+    if (env[name]) overrides[ENV_OVERRIDES[name]] = env[name];
+  });
+  return overrides;
+}
+
+// Function to check a configuration against the schema, throwing one error
+// that lists every unknown or invalid setting
+function validateConfig(config, source = 'the configuration') {
+  const problems = [
+    ...checkSettings(config, CONFIG_SCHEMA, ''),
+    ...checkProfiles(config),
+  ];
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid configuration in ${source}:\n${problems
+        .map((problem) => `- ${problem}`)
+        .join('\n')}`
+    );
+  }
+  return config;
+}
+
+// Helper function to check settings against a schema, returning the problems
+function checkSettings(settings, schema, prefix) {
+  const problems = [];
+
+  Object.keys(settings).forEach((key) => {
+    const rule = schema[key];
+    if (!rule) {
+      const suggestion = suggestName(key, Object.keys(schema));
+      problems.push(
+        `Unknown setting "${prefix}${key}"${
+          suggestion ? `, did you mean "${suggestion}"?` : ''
+        }`
+      );
+      return;
+    }
+
+    const problem = checkValue(settings[key], rule);
+    if (problem) problems.push(`"${prefix}${key}" ${problem}`);
+  });
+
+  return problems;
+}
+
+// Helper function to check one setting, returning what is wrong with it
+function checkValue(value, rule) {
+  if (value === undefined || value === null) return null;
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (rule.values && !rule.values.includes(value)) {
+        return `must be one of ${rule.values.join(', ')}`;
+      }
+      return null;
+    case 'list':
+      return typeof value === 'string' ||
+        (Array.isArray(value) &&
+          value.every((item) => typeof item === 'string'))
+        ? null
+        : 'must be a string or an array of strings';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'integer':
+      return Number.isInteger(value) && value >= rule.min
+        ? null
+        : `must be a whole number of at least ${rule.min}`;
+    case 'object':
+      return isPlainObject(value) ? null : 'must be an object';
+    default:
+      return null;
+  }
+}
+
+// Helper function to check the crawl profiles and the domain overrides
+function checkProfiles(config) {
+  const problems = [];
+  const profiles = isPlainObject(config.profiles) ? config.profiles : {};
+  const domains = isPlainObject(config.domains) ? config.domains : {};
+
+  Object.keys(profiles).forEach((name) => {
+    if (!isPlainObject(profiles[name])) {
+      problems.push(`"profiles.${name}" must be an object`);
+      return;
+    }
+    problems.push(
+      ...checkSettings(profiles[name], CRAWL_SETTINGS, `profiles.${name}.`)
+    );
+  });
+
+  Object.keys(domains).forEach((domain) => {
+    if (!isPlainObject(domains[domain])) {
+      problems.push(`"domains.${domain}" must be an object`);
+      return;
+    }
+    const { profile, ...overrides } = domains[domain];
+    if (profile !== undefined && !profiles[profile]) {
+      problems.push(
+        `"domains.${domain}.profile" refers to the unknown profile "${profile}"`
+      );
+    }
+    problems.push(
+      ...checkSettings(overrides, CRAWL_SETTINGS, `domains.${domain}.`)
+    );
+  });
+
+  return problems;
+}
+
+// Function to check that the Screaming Frog executable is set, for the commands
+// that start Screaming Frog. The status check, diff and report never need it.
+function requireScreamingFrogPath(config) {
+  if (isMissing(config.screamingFrogPath)) {
+    throw new Error(
+      'Screaming Frog path is missing. Please set the SF_PATH environment variable or "screamingFrogPath" in config.json.'
+    );
+  }
+  return config.screamingFrogPath;
+}
+
+// Function to check that a usable Google API key is set, before anything is crawled
+function requireGoogleApiKey(config) {
+  if (isMissing(config.googleApiKey)) {
+    throw new Error(
+      'Google API key is missing. Please set the GOOGLE_API_KEY environment variable or "googleApiKey" in config.json.'
+    );
+  }
+  if (PLACEHOLDER_API_KEYS.includes(config.googleApiKey.trim())) {
+    throw new Error(
+      `Google API key is still the placeholder "${config.googleApiKey}". Please set the GOOGLE_API_KEY environment variable or your own "googleApiKey" in config.json.`
+    );
+  }
+  return config.googleApiKey;
+}
+
+// Helper function to tell whether a setting is not set
+function isMissing(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === 'string' && !value.trim())
+  );
+}
+
+// Helper function to tell whether a value is a plain JSON object
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Helper function to use a config passed in the options or load the default one
+function resolveConfig(options = {}) {
+  return options.config || loadConfig(options.configPath);
+}
+
+// Function to apply a named crawl profile and the overrides of the matching
+// domain on top of the global settings. Domain overrides win over the profile,
+// so that site-specific settings such as authentication always apply.
+function applyProfile(config, options = {}) {
+  // Profiles are only applied once, even when the config is passed along
+  if (config.appliedProfile) return config;
+
+  const domainKey = findDomainKey(config.domains, options.domain);
+  const { profile: domainProfile, ...domainOverrides } = domainKey
+    ? config.domains[domainKey]
+    : {};
+  const profileName = options.profile || domainProfile;
+
+  let profile = {};
+  if (profileName) {
+    const profiles = config.profiles || {};
+    if (!profiles[profileName]) {
+      throw new Error(
+        `Unknown profile "${profileName}". Available profiles: ${
+          Object.keys(profiles).join(', ') || 'none'
+        }`
+      );
+    }
+    profile = profiles[profileName];
+  }
+
+  if (profileName || domainKey) {
+    console.log(
+      `Using crawl profile: ${profileName || 'default'}${
+        domainKey ? ` with overrides for ${domainKey}` : ''
+      }`
+    );
+  }
+
+  const applied = {
+    ...config,
+    ...profile,
+    ...domainOverrides,
+    appliedProfile: { name: profileName || null, domain: domainKey || null },
+  };
+
+  // Fail before crawling when a Screaming Frog configuration file is missing
+  getProfileArgs(applied);
+  return applied;
+}
+
+// Helper function to find the domain overrides for a hostname: an exact match,
+// or the most specific parent domain (e.g. "example.com" for "shop.example.com")
+function findDomainKey(domains, hostname) {
+  if (!domains || !hostname) return null;
+
+  const host = hostname.toLowerCase().replace(/^www\./, '');
+  const matches = Object.keys(domains).filter((key) => {
+    const domain = key.toLowerCase().replace(/^www\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+  return matches.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// Function to build the Screaming Frog arguments set by a profile
+function getProfileArgs(config) {
+  const args = [];
+  if (config.seoSpiderConfig) {
+    args.push('--config', resolveProfileFile(config.seoSpiderConfig));
+  }
+  if (config.authConfig) {
+    args.push('--auth-config', resolveProfileFile(config.authConfig));
+  }
+  return args;
+}
+
+// Helper function to check that a file referenced by a profile exists
+function resolveProfileFile(filePath) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`Screaming Frog configuration file not found: ${filePath}`);
+  }
+  return resolvedPath;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_CONFIG,
+  ENV_OVERRIDES,
+  loadConfig,
+  validateConfig,
+  requireScreamingFrogPath,
+  requireGoogleApiKey,
+  resolveConfig,
+  applyProfile,
+  getProfileArgs,
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+
+// Read a CSV file and return its contents as an array of objects
+function readCSV(filePath) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (data) => results.push(data))
+      .on('end', () => resolve(results))
+      .on('error', (error) => reject(error));
+  });
+}
+
+// Helper function to quote a CSV value when needed
+function escapeCSV(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to write an array of objects to a CSV file with the given columns
+function writeCSV(filePath, rows, headers) {
+  const lines = [headers.map(escapeCSV).join(',')];
+  rows.forEach((row) => {
+    lines.push(headers.map((header) => escapeCSV(row[header])).join(','));
+  });
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+  return filePath;
+}
+
+module.exports = {
+  readCSV,
+  escapeCSV,
+  writeCSV,
+};
@@ -0,0 +1,514 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig } = require('./config');
+const { validateHttpUrl } = require('./http');
+const { readCSV, writeCSV } = require('./csv');
+const { HTML_REPORT_STYLES, escapeHtml } = require('./html');
+const { generateDiffPDF } = require('./pdf');
+const { listRuns, findRun, createRun } = require('./runs');
+const { getDomainFolder } = require('./sitemap');
+const { findFiles } = require('./results');
+const { getAuditsFolder, readViolationData } = require('./a11y');
+
+// Results that can be compared between two runs
+const DIFF_TYPES = ['sitemap', 'a11y'];
+
+const DEFAULT_DIFF_FOLDER = './results/diff';
+const SITEMAP_DIFF_FILE = 'sitemap_diff.csv';
+const A11Y_DIFF_FILE = 'a11y_diff.csv';
+const DIFF_SUMMARY_FILE = 'run_diff.html';
+
+const SITEMAP_DIFF_HEADERS = [
+  'Sitemap',
+  'Change',
+  'Address',
+  'Previous Status Code',
+  'Status Code',
+];
+const A11Y_DIFF_HEADERS = ['Standard', 'Violation Type', 'Change', 'Address'];
+
+// Number of changes listed per section in the HTML summary
+const DIFF_HTML_LIMIT = 20;
+
+// Function to compare two runs of a website: by default the latest run and the
+// run before it, or the runs of options.type given in options.from and options.to
+async function diffRuns(websiteUrl, options = {}) {
+  const config = resolveConfig(options);
+  validateHttpUrl(websiteUrl, 'Website URL');
+  const domain = new URL(websiteUrl).hostname;
+
+  if (options.type && !DIFF_TYPES.includes(options.type)) {
+    throw new Error(
+      `Unknown diff type "${options.type}". Use one of: ${DIFF_TYPES.join(
+        ', '
+      )}`
+    );
+  }
+  // Sitemap crawls and audits start at different times, so a run name only
+  // identifies the runs of one type
+  if ((options.from || options.to) && !options.type) {
+    throw new Error(
+      `Pick the type of runs to compare (${DIFF_TYPES.join(
+        ' or '
+      )}) when comparing specific runs`
+    );
+  }
+  const types = options.type ? [options.type] : DIFF_TYPES;
+  console.log(`Comparing runs for: ${domain}`);
+
+  // Step 1: Pick the two runs of each type to compare
+  const sitemapRuns = types.includes('sitemap')
+    ? selectRuns(getDomainFolder(domain, config), options)
+    : null;
+  const a11yRuns = types.includes('a11y')
+    ? selectRuns(getAuditsFolder(domain, options.a11yFolder), options)
+    : null;
+  if (!sitemapRuns && !a11yRuns) {
+    throw new Error(
+      `Nothing to compare for ${domain}: at least two ${types.join(
+        ' or '
+      )} runs are needed.`
+    );
+  }
+
+  // Step 2: Compare the results of the runs
+  const diff = {
+    domain,
+    sitemaps: sitemapRuns ? await diffSitemapRuns(sitemapRuns) : null,
+    a11y: a11yRuns ? await diffAccessibilityRuns(a11yRuns) : null,
+  };
+  logDiff(diff);
+
+  // Step 3: Save the changes as CSV, an HTML summary and a PDF report
+  const domainName = domain.replace(/^www\./, '').replace(/\./g, '_');
+  const run = createRun(
+    path.resolve(
+      process.cwd(),
+      options.outputFolder || DEFAULT_DIFF_FOLDER,
+      `diff_${domainName}`
+    )
+  );
+
+  const csvFiles = [];
+  if (diff.sitemaps) {
+    csvFiles.push(
+      writeCSV(
+        path.join(run.folder, SITEMAP_DIFF_FILE),
+        diff.sitemaps.rows,
+        SITEMAP_DIFF_HEADERS
+      )
+    );
+  }
+  if (diff.a11y) {
+    csvFiles.push(
+      writeCSV(
+        path.join(run.folder, A11Y_DIFF_FILE),
+        diff.a11y.rows,
+        A11Y_DIFF_HEADERS
+      )
+    );
+  }
+
+  const htmlFile = path.join(run.folder, DIFF_SUMMARY_FILE);
+  fs.writeFileSync(htmlFile, generateDiffHtml(diff));
+
+  const pdfFile = path.join(run.folder, `${domainName}_run_diff.pdf`);
+  await generateDiffPDF(diff, pdfFile);
+  console.log(`Run comparison saved to: ${run.folder}`);
+
+  return {
+    websiteUrl,
+    ...diff,
+    runId: run.id,
+    outputFolder: run.folder,
+    csvFiles,
+    htmlFile,
+    pdfFile,
+  };
+}
+
+// Helper function to find the two runs to compare in a results folder, or
+// null when there are fewer than two runs and none were asked for
+function selectRuns(baseFolder, options = {}) {
+  const to = findRun(baseFolder, options.to);
+  if (!to) return null;
+
+  let from;
+  if (options.from) {
+    from = findRun(baseFolder, options.from);
+  } else {
+    const runs = listRuns(baseFolder);
+    const index = runs.indexOf(to.id);
+    if (index < 1) {
+      console.log(`Skipping ${baseFolder}: no earlier run than ${to.id}`);
+      return null;
+    }
+    from = {
+      id: runs[index - 1],
+      folder: path.join(baseFolder, runs[index - 1]),
+    };
+  }
+
+  if (from.id === to.id) {
+    throw new Error(`Cannot compare run ${to.id} with itself`);
+  }
+  return { from, to };
+}
+
+// Function to compare the URLs and status codes of each sitemap between two runs
+async function diffSitemapRuns({ from, to }) {
+  const before = await readSitemapUrls(from.folder);
+  const after = await readSitemapUrls(to.folder);
+  const names = Array.from(new Set([...before.keys(), ...after.keys()])).sort();
+
+  const rows = [];
+  const totals = { added: 0, removed: 0, statusChanges: 0 };
+  const sitemaps = names.map((name) => {
+    const previous = before.get(name) || new Map();
+    const current = after.get(name) || new Map();
+    const sitemap = {
+      sitemap: name,
+      fromCount: previous.size,
+      toCount: current.size,
+      added: [],
+      removed: [],
+      statusChanges: [],
+    };
+
+    current.forEach((status, url) => {
+      if (!previous.has(url)) {
+        sitemap.added.push(url);
+        rows.push({
+          Sitemap: name,
+          Change: 'Added',
+          Address: url,
+          'Status Code': status,
+        });
+      } else if (previous.get(url) !== status) {
+        sitemap.statusChanges.push({
+          url,
+          from: previous.get(url),
+          to: status,
+        });
+        rows.push({
+          Sitemap: name,
+          Change: 'Status changed',
+          Address: url,
+          'Previous Status Code': previous.get(url),
+          'Status Code': status,
+        });
+      }
+    });
+    previous.forEach((status, url) => {
+      if (!current.has(url)) {
+        sitemap.removed.push(url);
+        rows.push({
+          Sitemap: name,
+          Change: 'Removed',
+          Address: url,
+          'Previous Status Code': status,
+        });
+      }
+    });
+
+    totals.added += sitemap.added.length;
+    totals.removed += sitemap.removed.length;
+    totals.statusChanges += sitemap.statusChanges.length;
+    return sitemap;
+  });
+
+  return { from, to, sitemaps, totals, rows };
+}
+
+// Helper function to read the status code of every URL of a run, by sitemap
+// folder (e.g. "sitemap_index/pages-sitemap"). Only the URL:All export is read:
+// the Response Codes:All export of a crawl has the same name as the status check.
+async function readSitemapUrls(runFolder) {
+  const urlFiles = findFiles(runFolder, '.csv').filter(
+    (file) => path.basename(file).toLowerCase() === 'url_all.csv'
+  );
+
+  const sitemaps = new Map();
+  for (const file of urlFiles) {
+    const name =
+      path.relative(runFolder, path.dirname(file)).split(path.sep).join('/') ||
+      path.basename(runFolder);
+    const urls = sitemaps.get(name) || new Map();
+    (await readCSV(file)).forEach((row) => {
+      if (row.Address) urls.set(row.Address, String(row['Status Code'] || ''));
+    });
+    sitemaps.set(name, urls);
+  }
+  return sitemaps;
+}
+
+// Function to compare the violations of each WCAG standard between two audits
+async function diffAccessibilityRuns({ from, to }) {
+  const before = await readViolationData(from.folder);
+  const after = await readViolationData(to.folder);
+
+  const rows = [];
+  const totals = { new: 0, fixed: 0, persisting: 0 };
+  const standards = Object.keys(after).map((standard) => {
+    const previous = before[standard] || {};
+    const current = after[standard];
+    // A standard that is missing from one of the audits cannot be compared
+    const error =
+      current.error || previous.error || (!before[standard] && 'Not audited');
+    if (error) {
+      return { standard, error, types: [], new: 0, fixed: 0, persisting: 0 };
+    }
+
+    const previousKeys = getViolationKeys(previous.details);
+    const currentKeys = getViolationKeys(current.details);
+    const types = {};
+    const count = (type, change, address) => {
+      if (!types[type]) {
+        types[type] = { type, new: 0, fixed: 0, persisting: 0 };
+      }
+      types[type][change]++;
+      if (change !== 'persisting') {
+        rows.push({
+          Standard: standard,
+          'Violation Type': type,
+          Change: change === 'new' ? 'New' : 'Fixed',
+          Address: address,
+        });
+      }
+    };
+
+    currentKeys.forEach(({ type, address }, key) => {
+      count(type, previousKeys.has(key) ? 'persisting' : 'new', address);
+    });
+    previousKeys.forEach(({ type, address }, key) => {
+      if (!currentKeys.has(key)) count(type, 'fixed', address);
+    });
+
+    const result = {
+      standard,
+      types: Object.values(types).sort((a, b) => a.type.localeCompare(b.type)),
+      new: 0,
+      fixed: 0,
+      persisting: 0,
+    };
+    result.types.forEach((type) => {
+      ['new', 'fixed', 'persisting'].forEach((change) => {
+        result[change] += type[change];
+        totals[change] += type[change];
+      });
+    });
+    return result;
+  });
+
+  return { from, to, standards, totals, rows };
+}
+
+// Helper function to identify each violation of an audit by its type and page
+function getViolationKeys(details = []) {
+  const keys = new Map();
+  details.forEach((row) => {
+    const type = row['Violation Type'] || 'Unknown';
+    const address = row.Address || row.URL || '';
+    keys.set(`${type}\n${address}`, { type, address });
+  });
+  return keys;
+}
+
+// Helper function to print a short summary of the changes between two runs
+function logDiff(diff) {
+  if (diff.sitemaps) {
+    const { from, to, totals } = diff.sitemaps;
+    console.log(
+      `Sitemaps ${from.id} -> ${to.id}: ${totals.added} URL(s) added, ${totals.removed} removed, ${totals.statusChanges} status code change(s)`
+    );
+  }
+  if (diff.a11y) {
+    const { from, to, totals } = diff.a11y;
+    console.log(
+      `Accessibility ${from.id} -> ${to.id}: ${totals.new} new, ${totals.fixed} fixed, ${totals.persisting} persisting violation(s)`
+    );
+  }
+}
+
+// Function to generate the HTML summary of the changes between two runs
+function generateDiffHtml(diff) {
+  const domain = escapeHtml(diff.domain);
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Run Comparison for ${domain}</title>
+  <style>
+${HTML_REPORT_STYLES}
+  </style>
+</head>
+<body>
+  <h1>Run Comparison for ${domain}</h1>
+  <p>Report generated on ${new Date().toLocaleString()}</p>
+
+  ${diff.sitemaps ? generateSitemapDiffHtml(diff.sitemaps) : ''}
+  ${diff.a11y ? generateAccessibilityDiffHtml(diff.a11y) : ''}
+
+  <footer>
+    <p><small>Generated using Screaming Frog SEO Spider and Node.js</small></p>
+  </footer>
+</body>
+</html>
+  `;
+}
+
+// Helper function to generate the sitemap section of the HTML summary
+function generateSitemapDiffHtml({ from, to, sitemaps, totals }) {
+  return `
+  <div class="summary-box">
+    <h2>Sitemap Changes</h2>
+    <p>Comparing run ${escapeHtml(from.id)} with run ${escapeHtml(to.id)}</p>
+    <p>URLs added: <span class="summary-stat">${totals.added}</span></p>
+    <p>URLs removed: <span class="summary-stat">${totals.removed}</span></p>
+    <p>Status code changes: <span class="summary-stat">${
+      totals.statusChanges
+    }</span></p>
+  </div>
+
+  <div class="standard-section">
+    <table>
+      <tr>
+        <th>Sitemap</th>
+        <th>URLs before</th>
+        <th>URLs now</th>
+        <th>Added</th>
+        <th>Removed</th>
+        <th>Status changes</th>
+      </tr>
+      ${sitemaps
+        .map(
+          (sitemap) => `
+      <tr>
+        <td class="violation-type">${escapeHtml(sitemap.sitemap)}</td>
+        <td>${sitemap.fromCount}</td>
+        <td>${sitemap.toCount}</td>
+        <td>${sitemap.added.length}</td>
+        <td>${sitemap.removed.length}</td>
+        <td>${sitemap.statusChanges.length}</td>
+      </tr>`
+        )
+        .join('')}
+    </table>
+  </div>
+
+  ${sitemaps
+    .filter(
+      (sitemap) =>
+        sitemap.added.length +
+          sitemap.removed.length +
+          sitemap.statusChanges.length >
+        0
+    )
+    .map(
+      (sitemap) => `
+  <div class="standard-section">
+    <h2>${escapeHtml(sitemap.sitemap)}</h2>
+    <table>
+      <tr>
+        <th>Change</th>
+        <th>Address</th>
+        <th>Status Code</th>
+      </tr>
+      ${[
+        ...sitemap.statusChanges.map((change) => ({
+          change: 'Status changed',
+          url: change.url,
+          status: `${change.from} &rarr; ${change.to}`,
+        })),
+        ...sitemap.added.map((url) => ({ change: 'Added', url, status: '' })),
+        ...sitemap.removed.map((url) => ({
+          change: 'Removed',
+          url,
+          status: '',
+        })),
+      ]
+        .slice(0, DIFF_HTML_LIMIT)
+        .map(
+          (item) => `
+      <tr>
+        <td>${item.change}</td>
+        <td>${escapeHtml(item.url)}</td>
+        <td>${item.status}</td>
+      </tr>`
+        )
+        .join('')}
+    </table>
+    ${
+      sitemap.added.length +
+        sitemap.removed.length +
+        sitemap.statusChanges.length >
+      DIFF_HTML_LIMIT
+        ? `<p>Showing ${DIFF_HTML_LIMIT} changes. See ${SITEMAP_DIFF_FILE} for the full list.</p>`
+        : ''
+    }
+  </div>`
+    )
+    .join('')}`;
+}
+
+// Helper function to generate the accessibility section of the HTML summary
+function generateAccessibilityDiffHtml({ from, to, standards, totals }) {
+  return `
+  <div class="summary-box">
+    <h2>Accessibility Changes</h2>
+    <p>Comparing audit ${escapeHtml(from.id)} with audit ${escapeHtml(
+    to.id
+  )}</p>
+    <p>New violations: <span class="summary-stat">${totals.new}</span></p>
+    <p>Fixed violations: ${totals.fixed}</p>
+    <p>Persisting violations: ${totals.persisting}</p>
+  </div>
+
+  ${standards
+    .map(
+      (standard) => `
+  <div class="standard-section">
+    <h2>${escapeHtml(standard.standard)}</h2>
+    ${
+      standard.error
+        ? `<p>Not compared: ${escapeHtml(standard.error)}</p>`
+        : standard.types.length === 0
+        ? `<p>No violations in either audit.</p>`
+        : `
+    <table>
+      <tr>
+        <th>Violation Type</th>
+        <th>New</th>
+        <th>Fixed</th>
+        <th>Persisting</th>
+      </tr>
+      ${standard.types
+        .map(
+          (type) => `
+      <tr>
+        <td class="violation-type">${escapeHtml(type.type)}</td>
+        <td>${type.new}</td>
+        <td>${type.fixed}</td>
+        <td>${type.persisting}</td>
+      </tr>`
+        )
+        .join('')}
+    </table>`
+    }
+  </div>`
+    )
+    .join('')}`;
+}
+
+module.exports = {
+  DIFF_TYPES,
+  SITEMAP_DIFF_FILE,
+  A11Y_DIFF_FILE,
+  DIFF_SUMMARY_FILE,
+  diffRuns,
+  diffSitemapRuns,
+  diffAccessibilityRuns,
+};
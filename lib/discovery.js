@@ -0,0 +1,189 @@
+const { fetchWithRetry } = require('./http');
+const { LANGUAGE_CODES, REGION_CODES } = require('./hreflang');
+const { parseSitemap, normalizeSitemapUrl } = require('./sitemap-parser');
+
+// How a sitemap was found, as shown in the logs and in the discovery report
+const DISCOVERY_SOURCES = {
+  robots: 'robots.txt',
+  index: 'sitemap index',
+  default: 'default location',
+  wordpress: 'WordPress',
+  yoast: 'Yoast SEO',
+  shopify: 'Shopify',
+  magento: 'Magento',
+  locale: 'locale folder',
+  section: 'section sitemap',
+};
+
+// Sitemap locations used by common CMSs and SEO plugins
+const CMS_SITEMAP_PATHS = [
+  { path: '/wp-sitemap.xml', source: 'wordpress' },
+  { path: '/sitemap_index.xml', source: 'yoast' },
+  { path: '/sitemap_products_1.xml', source: 'shopify' },
+  { path: '/sitemap_pages_1.xml', source: 'shopify' },
+  { path: '/sitemap_collections_1.xml', source: 'shopify' },
+  { path: '/sitemap_blogs_1.xml', source: 'shopify' },
+  { path: '/pub/sitemap.xml', source: 'magento' },
+  { path: '/media/sitemap.xml', source: 'magento' },
+  { path: '/sitemap/sitemap.xml', source: 'magento' },
+];
+
+// Site sections that often have their own sitemap
+const SECTION_NAMES = [
+  'blog',
+  'news',
+  'articles',
+  'shop',
+  'products',
+  'store',
+  'help',
+  'support',
+  'docs',
+  'resources',
+];
+
+// Sitemap file names probed inside locale and section folders
+const FOLDER_SITEMAP_NAMES = ['sitemap.xml', 'sitemap_index.xml'];
+
+const PROBE_TIMEOUT = 5000;
+
+// Function to probe the sitemap locations of common CMSs
+async function discoverCmsSitemaps(baseUrl, knownUrls = new Set()) {
+  console.log('Probing common CMS sitemap locations');
+
+  const found = [];
+  for (const { path, source } of CMS_SITEMAP_PATHS) {
+    const sitemapUrl = `${baseUrl}${path}`;
+    if (knownUrls.has(normalizeSitemapUrl(sitemapUrl))) continue;
+
+    if (await probeSitemap(sitemapUrl)) {
+      console.log(`Found ${DISCOVERY_SOURCES[source]} sitemap: ${sitemapUrl}`);
+      found.push({ sitemapUrl, source });
+    }
+  }
+
+  return found;
+}
+
+// Helper function to keep the first two path segments of page URLs, which is
+// all the related sitemap discovery needs
+function collectPathPrefixes(urls, pathPrefixes) {
+  urls.forEach((url) => {
+    try {
+      const location = new URL(url);
+      const segments = location.pathname.split('/').filter(Boolean);
+      pathPrefixes.add(`${location.origin}/${segments.slice(0, 2).join('/')}`);
+    } catch (error) {
+      // Invalid URLs are reported by the sitemap validation
+    }
+  });
+}
+
+// Function to probe locale folders and section sitemaps seen in the discovered URLs
+async function discoverRelatedSitemaps(baseUrl, discoveredUrls, knownUrls) {
+  const origin = new URL(baseUrl).origin;
+  const locales = new Set();
+  const sections = new Set();
+
+  // Look at the first path segments of the URLs on this site
+  discoveredUrls.forEach((url) => {
+    let segments;
+    try {
+      const location = new URL(url);
+      if (location.origin !== origin) return;
+      segments = location.pathname.split('/').filter(Boolean);
+    } catch (error) {
+      return;
+    }
+
+    const [first, second] = segments.map((segment) => segment.toLowerCase());
+    if (first && isLocaleFolder(first)) {
+      locales.add(first);
+      if (second && SECTION_NAMES.includes(second)) {
+        sections.add(`${first}/${second}`);
+      }
+    } else if (first && SECTION_NAMES.includes(first)) {
+      sections.add(first);
+    }
+  });
+
+  const candidates = [];
+  locales.forEach((locale) => {
+    FOLDER_SITEMAP_NAMES.forEach((name) => {
+      candidates.push({
+        sitemapUrl: `${origin}/${locale}/${name}`,
+        source: 'locale',
+      });
+    });
+  });
+  sections.forEach((section) => {
+    const sectionName = section.split('/').pop();
+    [...FOLDER_SITEMAP_NAMES, `${sectionName}-sitemap.xml`].forEach((name) => {
+      candidates.push({
+        sitemapUrl: `${origin}/${section}/${name}`,
+        source: 'section',
+      });
+    });
+  });
+
+  const pending = candidates.filter(
+    ({ sitemapUrl }) => !knownUrls.has(normalizeSitemapUrl(sitemapUrl))
+  );
+  if (pending.length === 0) return [];
+
+  console.log(
+    `Probing ${pending.length} related sitemap location(s) for ${locales.size} locale folder(s) and ${sections.size} section(s)`
+  );
+
+  const found = [];
+  for (const candidate of pending) {
+    if (await probeSitemap(candidate.sitemapUrl)) {
+      console.log(
+        `Found ${DISCOVERY_SOURCES[candidate.source]}: ${candidate.sitemapUrl}`
+      );
+      found.push(candidate);
+    }
+  }
+
+  return found;
+}
+
+// Helper function to check if a path segment looks like a locale, e.g. "ca", "fr" or "en-gb"
+function isLocaleFolder(segment) {
+  const match = /^([a-z]{2})(?:[-_]([a-z]{2}))?$/i.exec(segment);
+  if (!match) return false;
+
+  const [, first, region] = match;
+  if (region) {
+    return (
+      LANGUAGE_CODES.has(first.toLowerCase()) &&
+      REGION_CODES.has(region.toUpperCase())
+    );
+  }
+  // Folders are named after a language ("fr") or a country ("ca", "us")
+  return (
+    LANGUAGE_CODES.has(first.toLowerCase()) ||
+    REGION_CODES.has(first.toUpperCase())
+  );
+}
+
+// Helper function to check that a URL serves a sitemap that lists at least one
+// sitemap or page, so that empty responses and soft 404 pages are not picked up
+async function probeSitemap(sitemapUrl) {
+  try {
+    const sitemap = parseSitemap(
+      await fetchWithRetry(sitemapUrl, PROBE_TIMEOUT, 1)
+    );
+    return sitemap.sitemaps.length > 0 || sitemap.urls.length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  DISCOVERY_SOURCES,
+  CMS_SITEMAP_PATHS,
+  discoverCmsSitemaps,
+  discoverRelatedSitemaps,
+  collectPathPrefixes,
+};
@@ -0,0 +1,567 @@
+const path = require('path');
+const { splitArgs } = require('./runner');
+const { writeCSV } = require('./csv');
+
+// Response code filters, which Screaming Frog also offers per internal and external URLs
+const RESPONSE_CODE_FILTERS = [
+  'All',
+  'Blocked by Robots.txt',
+  'Blocked Resource',
+  'No Response',
+  'Success (2xx)',
+  'Redirection (3xx)',
+  'Redirection (JavaScript)',
+  'Redirection (Meta Refresh)',
+  'Redirect Chain',
+  'Redirect Loop',
+  'Client Error (4xx)',
+  'Server Error (5xx)',
+];
+
+const CONTENT_TYPE_FILTERS = [
+  'All',
+  'HTML',
+  'JavaScript',
+  'CSS',
+  'Images',
+  'PDF',
+  'Flash',
+  'Other',
+  'Unknown',
+];
+
+// Tabs and filters that can be exported with --export-tabs "Tab:Filter"
+const EXPORT_TABS = {
+  Internal: CONTENT_TYPE_FILTERS,
+  External: CONTENT_TYPE_FILTERS,
+  Security: [
+    'All',
+    'HTTP URLs',
+    'HTTPS URLs',
+    'Mixed Content',
+    'Form URL Insecure',
+    'Form on HTTP URL',
+    'Unsafe Cross-Origin Links',
+    'Protocol-Relative Resource Links',
+    'Missing HSTS Header',
+    'Missing Content-Security-Policy Header',
+    'Missing X-Content-Type-Options Header',
+    'Missing X-Frame-Options Header',
+    'Missing Secure Referrer-Policy Header',
+    'Bad Content Type',
+  ],
+  'Response Codes': [
+    ...RESPONSE_CODE_FILTERS,
+    ...RESPONSE_CODE_FILTERS.map((filter) => `Internal ${filter}`),
+    ...RESPONSE_CODE_FILTERS.map((filter) => `External ${filter}`),
+  ],
+  URL: [
+    'All',
+    'Non ASCII Characters',
+    'Underscores',
+    'Uppercase',
+    'Multiple Slashes',
+    'Repetitive Path',
+    'Contains A Space',
+    'Internal Search',
+    'Parameters',
+    'Broken Bookmark',
+    'GA Tracking Parameters',
+    'Over 115 Characters',
+  ],
+  'Page Titles': [
+    'All',
+    'Missing',
+    'Duplicate',
+    'Over 60 Characters',
+    'Below 30 Characters',
+    'Over X Pixels',
+    'Below X Pixels',
+    'Same as H1',
+    'Multiple',
+    'Outside <head>',
+  ],
+  'Meta Description': [
+    'All',
+    'Missing',
+    'Duplicate',
+    'Over 155 Characters',
+    'Below 70 Characters',
+    'Over X Pixels',
+    'Below X Pixels',
+    'Multiple',
+    'Outside <head>',
+  ],
+  'Meta Keywords': ['All', 'Missing', 'Duplicate', 'Multiple'],
+  H1: [
+    'All',
+    'Missing',
+    'Duplicate',
+    'Over 70 Characters',
+    'Multiple',
+    'Alt Text in H1',
+    'Non-Sequential',
+  ],
+  H2: [
+    'All',
+    'Missing',
+    'Duplicate',
+    'Over 70 Characters',
+    'Multiple',
+    'Non-Sequential',
+  ],
+  Content: [
+    'All',
+    'Exact Duplicates',
+    'Near Duplicates',
+    'Low Content Pages',
+    'Spelling Errors',
+    'Grammar Errors',
+    'Readability Difficult',
+    'Readability Very Difficult',
+    'Lorem Ipsum Placeholder',
+    'Soft 404 Pages',
+  ],
+  Images: [
+    'All',
+    'Over X KB',
+    'Missing Alt Text',
+    'Missing Alt Attribute',
+    'Alt Text Over X Characters',
+    'Background Images',
+    'Missing Size Attributes',
+    'Incorrectly Sized Images',
+  ],
+  Canonicals: [
+    'All',
+    'Contains Canonical',
+    'Self Referencing',
+    'Canonicalised',
+    'Missing',
+    'Multiple',
+    'Multiple Conflicting',
+    'Non-Indexable Canonical',
+    'Canonical Is Relative',
+    'Unlinked',
+    'Outside <head>',
+  ],
+  Pagination: [
+    'All',
+    'Contains Pagination',
+    'First Page',
+    'Paginated 2+ Pages',
+    'Pagination URL Not in Anchor Tag',
+    'Non-200 Pagination URL',
+    'Unlinked Pagination URL',
+    'Non-Indexable',
+    'Multiple Pagination URLs',
+    'Pagination Loop',
+    'Sequence Error',
+  ],
+  Directives: [
+    'All',
+    'Index',
+    'Noindex',
+    'Follow',
+    'Nofollow',
+    'None',
+    'NoArchive',
+    'NoSnippet',
+    'Max-Snippet',
+    'Max-Image-Preview',
+    'Max-Video-Preview',
+    'NoImageIndex',
+    'NoTranslate',
+    'Unavailable_After',
+    'Refresh',
+    'Outside <head>',
+  ],
+  Hreflang: [
+    'All',
+    'Contains Hreflang',
+    'Non-200 Hreflang URLs',
+    'Unlinked Hreflang URLs',
+    'Missing Return Links',
+    'Inconsistent Language & Region Return Links',
+    'Non-Canonical Return Links',
+    'Noindex Return Links',
+    'Incorrect Language & Region Codes',
+    'Multiple Entries',
+    'Missing Self Reference',
+    'Not Using Canonical',
+    'Missing X-Default',
+    'Missing',
+    'Outside <head>',
+  ],
+  JavaScript: [
+    'All',
+    'Uses Old AJAX Crawling Scheme URLs',
+    'Uses Old AJAX Crawling Scheme Meta Fragment Tag',
+    'Page Title Only in Rendered HTML',
+    'Page Title Updated by JavaScript',
+    'H1 Only in Rendered HTML',
+    'H1 Updated by JavaScript',
+    'Meta Description Only in Rendered HTML',
+    'Meta Description Updated by JavaScript',
+    'Canonical Only in Rendered HTML',
+    'Canonical Mismatch',
+    'Noindex Only in Original HTML',
+    'Nofollow Only in Original HTML',
+    'Contains JavaScript Links',
+    'Contains JavaScript Content',
+    'Pages with Blocked Resources',
+    'Pages with JavaScript Errors',
+    'Pages with JavaScript Warnings',
+    'Pages with Chrome Issues',
+  ],
+  Links: [
+    'All',
+    'Pages With High External Outlinks',
+    'Pages With High Internal Outlinks',
+    'Internal Outlinks With No Anchor Text',
+    'Non-Descriptive Anchor Text In Internal Outlinks',
+    'Internal Nofollow Outlinks',
+    'Internal Nofollow Inlinks Only',
+    'Follow & Nofollow Internal Inlinks To Page',
+    'Non-Indexable Page Inlinks Only',
+    'Outlinks To Localhost',
+    'Pages Without Internal Outlinks',
+    'High Crawl Depth',
+  ],
+  AMP: ['All', 'Non-200 Response', 'Indexable', 'Non-Indexable'],
+  'Structured Data': [
+    'All',
+    'Contains Structured Data',
+    'Missing',
+    'Validation Errors',
+    'Validation Warnings',
+    'Parse Errors',
+    'Microdata URLs',
+    'JSON-LD URLs',
+    'RDFa URLs',
+    'Rich Result Feature Detected',
+  ],
+  Sitemaps: [
+    'All',
+    'URLs in Sitemap',
+    'URLs not in Sitemap',
+    'Orphan URLs',
+    'Non-Indexable URLs in Sitemap',
+    'URLs in Multiple Sitemaps',
+    'XML Sitemap with over 50k URLs',
+    'XML Sitemap over 50MB',
+  ],
+  Mobile: [
+    'All',
+    'Viewport Not Set',
+    'Target Size',
+    'Content Not Sized Correctly',
+    'Illegible Font Size',
+    'Unsupported Plugins',
+    'Mobile Alternate Link',
+  ],
+  PageSpeed: ['All'],
+  Accessibility: ['All'],
+  'Custom Search': ['All'],
+  'Custom Extraction': ['All'],
+  Analytics: ['All'],
+  'Search Console': ['All'],
+  'Link Metrics': ['All'],
+};
+
+// Exports that can be created with --bulk-export
+const BULK_EXPORTS = [
+  'All Inlinks',
+  'All Outlinks',
+  'All Anchor Text',
+  'Links:All Inlinks',
+  'Links:All Outlinks',
+  'Links:All Anchor Text',
+  'Links:External Links',
+  'Links:Internal Nofollow Outlinks',
+  'Response Codes:Blocked by Robots.txt Inlinks',
+  'Response Codes:No Response Inlinks',
+  'Response Codes:Redirection (3xx) Inlinks',
+  'Response Codes:Redirection (JavaScript) Inlinks',
+  'Response Codes:Redirection (Meta Refresh) Inlinks',
+  'Response Codes:Client Error (4xx) Inlinks',
+  'Response Codes:Server Error (5xx) Inlinks',
+  'Images:All Image Inlinks',
+  'Images:Images Missing Alt Text Inlinks',
+  'Images:Images Missing Alt Attribute Inlinks',
+  'Images:Images Over X KB Inlinks',
+  'Canonicals:Contains Canonical Inlinks',
+  'Canonicals:Non-Indexable Canonical Inlinks',
+  'Directives:Noindex Inlinks',
+  'Directives:Nofollow Inlinks',
+  'Hreflang:Contains Hreflang Inlinks',
+  'Hreflang:Non-200 Hreflang URLs Inlinks',
+  'Security:Mixed Content',
+  'Security:Insecure Form Action',
+  'Structured Data:All',
+  'Structured Data:Validation Errors & Warnings',
+  'Sitemaps:URLs in Sitemap Inlinks',
+  'Sitemaps:Orphan URLs Inlinks',
+  'Web:Screenshots',
+  'Web:All Page Source',
+  'Web:All HTTP Request Headers',
+  'Web:All HTTP Response Headers',
+  'Cookies:All Cookies',
+  'Accessibility:All Violations',
+  'Accessibility:WCAG 2.0 A:All Violations',
+  'Accessibility:WCAG 2.0 AA:All Violations',
+  'Accessibility:WCAG 2.0 AAA:All Violations',
+  'Accessibility:WCAG 2.1 AA:All Violations',
+  'Accessibility:WCAG 2.1 AAA:All Violations',
+  'Accessibility:WCAG 2.2 AA:All Violations',
+  'Accessibility:WCAG 2.2 AAA:All Violations',
+];
+
+// Reports that can be saved with --save-report
+const REPORTS = [
+  'Crawl Overview',
+  'Issues Overview',
+  'Redirects:All Redirects',
+  'Redirects:Redirect Chains',
+  'Redirects:Redirect & Canonical Chains',
+  'Canonicals:Canonical Chains',
+  'Canonicals:Non-Indexable Canonicals',
+  'Pagination:Non-200 Pagination URLs',
+  'Pagination:Unlinked Pagination URLs',
+  'Hreflang:All Hreflang URLs',
+  'Hreflang:Non-200 Hreflang URLs',
+  'Hreflang:Unlinked Hreflang URLs',
+  'Hreflang:Missing Return Links',
+  'Hreflang:Inconsistent Language & Region Return Links',
+  'Hreflang:Non Canonical Return Links',
+  'Hreflang:Noindex Return Links',
+  'Insecure Content',
+  'SERP Summary',
+  'Orphan Pages',
+  'Structured Data:Validation Errors & Warnings Summary',
+  'Structured Data:Validation Errors & Warnings',
+  'Structured Data:Google Rich Results Features Summary',
+  'Structured Data:Google Rich Results Features',
+  'JavaScript:JavaScript Console Log Summary',
+  'PageSpeed:PageSpeed Opportunities Summary',
+  'PageSpeed:CSS Coverage Summary',
+  'PageSpeed:JavaScript Coverage Summary',
+  'Mobile:Mobile Usability Summary',
+  'HTTP Headers:HTTP Header Summary',
+  'Cookies:Cookie Summary',
+];
+
+// Names of the export types in messages and in export_check.csv
+const EXPORT_TYPES = {
+  tab: 'export tab',
+  bulk: 'bulk export',
+  report: 'report',
+};
+
+// File name of the requested and produced exports saved next to each crawl
+const EXPORT_CHECK_FILE = 'export_check.csv';
+const EXPORT_CHECK_HEADERS = ['Type', 'Export', 'File', 'Found'];
+
+// Helper function to list every valid name of an export type
+function getCatalogue(type) {
+  if (type === 'tab') {
+    return Object.entries(EXPORT_TABS).reduce(
+      (names, [tab, filters]) =>
+        names.concat(filters.map((filter) => `${tab}:${filter}`)),
+      []
+    );
+  }
+  return type === 'bulk' ? BULK_EXPORTS : REPORTS;
+}
+
+// Helper function to split a comma-separated list of exports
+function parseExportList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map((item) => item.trim()).filter(Boolean);
+}
+
+// Function to check requested exports against the catalogue, throwing an
+// error that lists every unknown name with the closest valid one
+function validateExports(exports) {
+  const problems = [];
+  exports.forEach(({ type, name }) => {
+    const catalogue = getCatalogue(type);
+    if (catalogue.includes(name)) return;
+
+    const suggestion = suggestName(name, catalogue);
+    problems.push(
+      `Unknown ${EXPORT_TYPES[type]} "${name}"${
+        suggestion ? `, did you mean "${suggestion}"?` : ''
+      }`
+    );
+  });
+
+  if (problems.length > 0) {
+    throw new Error(
+      `${problems.join(
+        '\n'
+      )}\nSet "validateExports": false in config.json to use exports that are not in the built-in list.`
+    );
+  }
+}
+
+// Helper function to find the closest valid name for a misspelled export
+function suggestName(name, catalogue) {
+  const target = name.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  catalogue.forEach((candidate) => {
+    // Also match names given without their category, e.g. "All Inlinks"
+    const withoutCategory = candidate.slice(candidate.indexOf(':') + 1);
+    const distance = Math.min(
+      levenshtein(target, candidate.toLowerCase()),
+      levenshtein(target, withoutCategory.toLowerCase())
+    );
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  // Only suggest names that are reasonably close
+  return bestDistance <= Math.max(3, Math.floor(name.length / 3)) ? best : null;
+}
+
+// Helper function to count the edits between two strings
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Helper function to take the --save-report values out of saveOptions, so
+// that they can be merged with the reports requested on the command line
+function splitSaveOptions(saveOptions) {
+  const args = [];
+  const reports = [];
+  const options = splitArgs(saveOptions);
+  for (let i = 0; i < options.length; i++) {
+    if (options[i] === '--save-report' && i + 1 < options.length) {
+      reports.push(...parseExportList(options[++i]));
+    } else {
+      args.push(options[i]);
+    }
+  }
+  return { args, reports };
+}
+
+// Function to build the save and export arguments of a crawl from the config,
+// returning the arguments and the list of requested exports
+function getExportOptions(config) {
+  const saveOptions = splitSaveOptions(config.saveOptions);
+  const reports = [
+    ...new Set([...saveOptions.reports, ...parseExportList(config.saveReport)]),
+  ];
+  const exports = [
+    ...parseExportList(config.exportTabs).map((name) => ({
+      type: 'tab',
+      name,
+    })),
+    ...parseExportList(config['bulk-export']).map((name) => ({
+      type: 'bulk',
+      name,
+    })),
+    ...reports.map((name) => ({ type: 'report', name })),
+  ];
+
+  if (config.validateExports !== false) validateExports(exports);
+
+  const args = [...saveOptions.args];
+  const namesOf = (type) =>
+    exports
+      .filter((item) => item.type === type)
+      .map((item) => item.name)
+      .join(',');
+  if (namesOf('tab')) args.push('--export-tabs', namesOf('tab'));
+  if (namesOf('bulk')) args.push('--bulk-export', namesOf('bulk'));
+  if (namesOf('report')) args.push('--save-report', namesOf('report'));
+
+  return { args, exports };
+}
+
+// Function to replace the exports of the config with the ones given on the command line
+function applyExportOverrides(config, options = {}) {
+  const override = (value, fallback) =>
+    value !== undefined ? value : fallback;
+  return {
+    ...config,
+    exportTabs: override(options.exportTabs, config.exportTabs),
+    'bulk-export': override(options.bulkExport, config['bulk-export']),
+    saveReport: override(options.saveReport, config.saveReport),
+  };
+}
+
+// Helper function to reduce a name to lowercase letters and digits for matching file names
+function toFileKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Function to match the requested exports with the files a crawl produced.
+// Screaming Frog names tab exports after the tab and filter (URL:All becomes
+// url_all.csv) and bulk exports and reports after their last part.
+function checkExportFiles(exports, files) {
+  const fileKeys = files.map((file) => ({
+    file,
+    key: toFileKey(path.basename(file, path.extname(file))),
+  }));
+
+  const results = exports.map(({ type, name }) => {
+    const parts = name.split(':');
+    const key = toFileKey(type === 'tab' ? name : parts[parts.length - 1]);
+    const match = fileKeys.find((file) => file.key.includes(key));
+    return { type, name, file: match ? match.file : null };
+  });
+
+  const missing = results.filter((result) => !result.file);
+  missing.forEach(({ type, name }) => {
+    console.log(
+      `Warning: The ${EXPORT_TYPES[type]} "${name}" did not produce a file`
+    );
+  });
+
+  return { requested: results, missing };
+}
+
+// Function to save the requested exports and the files they produced next to a crawl
+function writeExportCheck(folder, check) {
+  return writeCSV(
+    path.join(folder, EXPORT_CHECK_FILE),
+    check.requested.map((result) => ({
+      Type: EXPORT_TYPES[result.type],
+      Export: result.name,
+      File: result.file || '',
+      Found: result.file ? 'Yes' : 'No',
+    })),
+    EXPORT_CHECK_HEADERS
+  );
+}
+
+module.exports = {
+  EXPORT_TABS,
+  BULK_EXPORTS,
+  REPORTS,
+  EXPORT_CHECK_FILE,
+  parseExportList,
+  validateExports,
+  suggestName,
+  getExportOptions,
+  applyExportOverrides,
+  checkExportFiles,
+  writeExportCheck,
+};
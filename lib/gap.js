@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  resolveConfig,
+  applyProfile,
+  getProfileArgs,
+  requireScreamingFrogPath,
+} = require('./config');
+const { runCommand, formatCommand } = require('./runner');
+const { readCSV, writeCSV } = require('./csv');
+const { normalizeSitemapUrl } = require('./sitemap-parser');
+
+// Folder in the domain folder with the spider crawl and the gap reports
+const GAP_ANALYSIS_FOLDER = 'gap_analysis';
+const SITE_CRAWL_FOLDER = 'site_crawl';
+// Screaming Frog export of the spider crawl that the sitemaps are compared with
+const SITE_CRAWL_EXPORT = 'Internal:All';
+const SITE_CRAWL_FILE = 'internal_all.csv';
+
+// File names of the gap reports
+const GAP_REPORT_FILES = {
+  missing: 'gap_missing_from_sitemap.csv',
+  orphans: 'gap_orphan_urls.csv',
+  nonIndexable: 'gap_non_indexable_in_sitemap.csv',
+};
+
+const GAP_REPORT_HEADERS = {
+  missing: [
+    'Address',
+    'Status Code',
+    'Indexability',
+    'Unique Inlinks',
+    'Crawl Depth',
+  ],
+  orphans: ['Address', 'Sitemap'],
+  nonIndexable: [
+    'Address',
+    'Sitemap',
+    'Issue',
+    'Status Code',
+    'Indexability Status',
+    'Canonical Link Element 1',
+    'Meta Robots 1',
+  ],
+};
+
+// Function to crawl a website with the Screaming Frog spider and compare the
+// pages it finds with the URLs listed in the sitemaps
+async function runGapAnalysis(websiteUrl, sitemapUrls, options = {}) {
+  const config = applyProfile(resolveConfig(options), {
+    profile: options.profile,
+    domain: new URL(websiteUrl).hostname,
+  });
+  const gapFolder = path.join(options.outputFolder, GAP_ANALYSIS_FOLDER);
+  const crawlFolder = path.join(gapFolder, SITE_CRAWL_FOLDER);
+  fs.mkdirSync(crawlFolder, { recursive: true });
+
+  console.log(`\nRunning a spider crawl of ${websiteUrl} for the gap analysis`);
+  const crawl = await runSiteCrawl(websiteUrl, crawlFolder, {
+    config,
+    verbose: options.verbose,
+  });
+  if (!crawl.success) {
+    return { crawl, error: crawl.error };
+  }
+
+  const crawlFile = path.join(crawlFolder, SITE_CRAWL_FILE);
+  if (!fs.existsSync(crawlFile)) {
+    const error = `The spider crawl did not export ${SITE_CRAWL_FILE}`;
+    console.error(`Error during gap analysis: ${error}`);
+    return { crawl, error };
+  }
+
+  const gap = compareCrawlWithSitemaps(await readCSV(crawlFile), sitemapUrls);
+  logGapAnalysis(gap);
+
+  const files = {};
+  Object.keys(GAP_REPORT_FILES).forEach((key) => {
+    files[key] = writeCSV(
+      path.join(gapFolder, GAP_REPORT_FILES[key]),
+      gap[key],
+      GAP_REPORT_HEADERS[key]
+    );
+  });
+  console.log(`Gap analysis saved to: ${gapFolder}`);
+
+  return {
+    crawl,
+    crawledUrls: gap.crawledUrls,
+    sitemapUrls: gap.sitemapUrls,
+    outOfScope: gap.outOfScope,
+    missing: gap.missing.length,
+    orphans: gap.orphans.length,
+    nonIndexable: gap.nonIndexable.length,
+    files,
+  };
+}
+
+// Function to run a Screaming Frog spider crawl of a website, exporting all internal URLs
+async function runSiteCrawl(websiteUrl, outputFolder, options = {}) {
+  const config = resolveConfig(options);
+  requireScreamingFrogPath(config);
+  const args = [
+    '--crawl',
+    websiteUrl,
+    ...getProfileArgs(config),
+    '--headless',
+    '--save-crawl',
+    '--export-tabs',
+    SITE_CRAWL_EXPORT,
+    '--export-format',
+    'csv',
+    '--output-folder',
+    outputFolder,
+    '--overwrite',
+  ];
+  const command = formatCommand(config.screamingFrogPath, args);
+  console.log(command);
+
+  const result = { websiteUrl, outputFolder, command, success: false };
+  const run = await runCommand(config.screamingFrogPath, args, {
+    label: `Spider crawl of ${websiteUrl}`,
+    timeout: config.crawlTimeout,
+    verbose: options.verbose,
+  });
+  result.durationMs = run.durationMs;
+  result.exitCode = run.exitCode;
+
+  if (run.error) {
+    console.error(`Error during spider crawl of ${websiteUrl}: ${run.error}`);
+    result.error = run.error.substring(0, 500);
+    result.timedOut = run.timedOut;
+    result.cancelled = run.cancelled;
+  } else {
+    console.log(`Spider crawl of ${websiteUrl} completed successfully!`);
+    result.success = true;
+  }
+
+  return result;
+}
+
+// Function to compare the rows of a spider crawl with the sitemap URLs, a Map
+// of normalized page URL to the sitemap that lists it
+function compareCrawlWithSitemaps(crawlRows, sitemapUrls) {
+  const crawled = new Map();
+  crawlRows
+    .filter((row) => row.Address)
+    .forEach((row) => crawled.set(normalizeSitemapUrl(row.Address), row));
+
+  // Only sitemap URLs on the hosts the spider crawled can be compared
+  const crawledHosts = new Set();
+  crawled.forEach((row, url) => {
+    try {
+      crawledHosts.add(new URL(url).hostname);
+    } catch (error) {
+      // Screaming Frog only exports valid URLs
+    }
+  });
+
+  const gap = {
+    crawledUrls: crawled.size,
+    sitemapUrls: sitemapUrls.size,
+    outOfScope: 0,
+    missing: [],
+    orphans: [],
+    nonIndexable: [],
+  };
+
+  // Indexable HTML pages that no sitemap lists
+  crawled.forEach((row, url) => {
+    if (
+      row.Indexability === 'Indexable' &&
+      (row['Content Type'] || '').includes('html') &&
+      !sitemapUrls.has(url)
+    ) {
+      gap.missing.push(row);
+    }
+  });
+
+  sitemapUrls.forEach((sitemapUrl, url) => {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      hostname = null;
+    }
+    if (!crawledHosts.has(hostname)) {
+      gap.outOfScope++;
+      return;
+    }
+
+    // Sitemap URLs the spider never reached are not linked internally
+    const row = crawled.get(url);
+    if (!row) {
+      gap.orphans.push({ Address: url, Sitemap: sitemapUrl });
+      return;
+    }
+
+    if (row.Indexability === 'Non-Indexable') {
+      gap.nonIndexable.push({
+        ...row,
+        Sitemap: sitemapUrl,
+        Issue: getIndexabilityIssue(row),
+      });
+    }
+  });
+
+  return gap;
+}
+
+// Helper function to name the reason a sitemap URL cannot be indexed
+function getIndexabilityIssue(row) {
+  const status = row['Indexability Status'] || '';
+  if (/canonicali[sz]ed/i.test(status)) return 'Canonicalised';
+  if (/noindex/i.test(status)) return 'Noindex';
+  return status || 'Non-Indexable';
+}
+
+// Helper function to log the results of the gap analysis
+function logGapAnalysis(gap) {
+  console.log('\n=== SITEMAP GAP ANALYSIS ===');
+  console.log(
+    `Compared ${gap.crawledUrls} crawled URLs with ${gap.sitemapUrls} sitemap URLs`
+  );
+  if (gap.outOfScope > 0) {
+    console.log(
+      `Skipped ${gap.outOfScope} sitemap URL(s) on hosts outside the spider crawl`
+    );
+  }
+  console.log(
+    `Indexable pages missing from the sitemaps: ${gap.missing.length}`
+  );
+  console.log(
+    `Sitemap URLs not linked internally (orphans): ${gap.orphans.length}`
+  );
+  console.log(`Non-indexable URLs in the sitemaps: ${gap.nonIndexable.length}`);
+}
+
+// Function to read the gap reports saved in a results folder, or null when
+// no gap analysis was run
+async function readGapAnalysis(resultsPath) {
+  const gapFolder = path.join(resultsPath, GAP_ANALYSIS_FOLDER);
+  if (!fs.existsSync(path.join(gapFolder, GAP_REPORT_FILES.missing))) {
+    return null;
+  }
+
+  const gap = {};
+  for (const key of Object.keys(GAP_REPORT_FILES)) {
+    const file = path.join(gapFolder, GAP_REPORT_FILES[key]);
+    gap[key] = fs.existsSync(file) ? await readCSV(file) : [];
+  }
+  return gap;
+}
+
+module.exports = {
+  GAP_ANALYSIS_FOLDER,
+  GAP_REPORT_FILES,
+  runGapAnalysis,
+  runSiteCrawl,
+  compareCrawlWithSitemaps,
+  readGapAnalysis,
+};
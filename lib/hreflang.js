@@ -0,0 +1,405 @@
+const fs = require('fs');
+const path = require('path');
+const { writeCSV } = require('./csv');
+const { HTML_REPORT_STYLES, escapeHtml } = require('./html');
+const { toArray, normalizeSitemapUrl } = require('./sitemap-parser');
+
+// ISO 639-1 language codes accepted in hreflang values
+const LANGUAGE_CODES = new Set(
+  (
+    'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+    'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+    'hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb ' +
+    'lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om ' +
+    'or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+    'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+  ).split(' ')
+);
+
+// ISO 3166-1 alpha-2 region codes accepted in hreflang values
+const REGION_CODES = new Set(
+  (
+    'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR ' +
+    'BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ ' +
+    'EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW ' +
+    'GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY ' +
+    'KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV ' +
+    'MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY ' +
+    'QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG ' +
+    'TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+  ).split(' ')
+);
+
+// Common mistakes in region codes and the code that was meant, or null when
+// the language should be used without a region (e.g. "en-EU")
+const REGION_CORRECTIONS = { UK: 'GB', EN: 'GB', EU: null };
+
+const HREFLANG_REPORT_FILE = 'hreflang_audit.csv';
+const HREFLANG_SUMMARY_FILE = 'hreflang_summary.html';
+const HREFLANG_REPORT_HEADERS = [
+  'Severity',
+  'Issue',
+  'URL',
+  'Hreflang',
+  'Alternate URL',
+  'Details',
+  'Sitemap',
+];
+
+// Human-readable names of the hreflang issues
+const HREFLANG_ISSUE_NAMES = {
+  'invalid-code': 'Invalid language/region code',
+  'missing-return-tag': 'Missing return tag',
+  'alternate-not-in-sitemap': 'Alternate not listed in the sitemaps',
+  'missing-self-reference': 'Missing self-reference',
+  'missing-x-default': 'Missing x-default',
+  'conflicting-hreflang': 'Conflicting hreflang values',
+};
+
+// Function to collect the xhtml:link hreflang alternates of an XML urlset
+function collectHreflangAlternates(sitemap, sitemapUrl, alternatesByUrl) {
+  let found = 0;
+
+  toArray(sitemap.parsed && sitemap.parsed.urlset && sitemap.parsed.urlset.url)
+    .filter((entry) => entry.loc)
+    .forEach((entry) => {
+      // The namespace prefix is chosen by the sitemap, usually "xhtml"
+      const links = Object.keys(entry)
+        .filter((key) => /(^|:)link$/.test(key))
+        .flatMap((key) => toArray(entry[key]))
+        .filter(
+          (link) =>
+            link &&
+            link['@_rel'] === 'alternate' &&
+            link['@_hreflang'] &&
+            link['@_href']
+        );
+      if (links.length === 0) return;
+
+      const url = normalizeSitemapUrl(String(entry.loc).trim());
+      alternatesByUrl.set(url, {
+        url,
+        sitemapUrl,
+        alternates: links.map((link) => ({
+          hreflang: String(link['@_hreflang']).trim(),
+          href: normalizeSitemapUrl(String(link['@_href']).trim()),
+        })),
+      });
+      found++;
+    });
+
+  if (found > 0) {
+    console.log(`Found hreflang alternates for ${found} URLs`);
+  }
+  return found;
+}
+
+// Helper function to check an hreflang value, returning an error message and suggestion
+function checkHreflangCode(hreflang) {
+  if (hreflang.toLowerCase() === 'x-default') return null;
+
+  if (hreflang.includes('_')) {
+    return {
+      message: 'Uses an underscore instead of a hyphen',
+      suggestion: hreflang.replace(/_/g, '-'),
+    };
+  }
+
+  // language[-Script][-REGION], e.g. en, en-GB, zh-Hant-TW, es-419
+  const match = /^([a-z]+)(?:-([a-z]{4}))?(?:-([a-z]{2}|\d{3}))?$/i.exec(
+    hreflang
+  );
+  if (!match) {
+    return { message: 'Not a language or language-region code' };
+  }
+
+  const [, language, , region] = match;
+  if (!LANGUAGE_CODES.has(language.toLowerCase())) {
+    // A region code on its own is a common mistake, e.g. "gb" or "ca"
+    return {
+      message: REGION_CODES.has(language.toUpperCase())
+        ? `"${language}" is a region, not an ISO 639-1 language code`
+        : `"${language}" is not an ISO 639-1 language code`,
+    };
+  }
+
+  if (region && !/^\d{3}$/.test(region)) {
+    const upper = region.toUpperCase();
+    if (!REGION_CODES.has(upper)) {
+      const correction = REGION_CORRECTIONS[upper];
+      return {
+        message: `"${region}" is not an ISO 3166-1 alpha-2 region code`,
+        suggestion: correction
+          ? `${language}-${correction}`
+          : correction === null
+          ? language
+          : undefined,
+      };
+    }
+  }
+
+  return null;
+}
+
+// Function to audit hreflang clusters for reciprocity, valid codes and x-default
+function auditHreflang(alternatesByUrl) {
+  const issues = [];
+  const addIssue = (severity, issue, entry, details = {}) =>
+    issues.push({
+      severity,
+      issue,
+      url: entry.url,
+      hreflang: details.hreflang || '',
+      alternateUrl: details.alternateUrl || '',
+      details: details.message || '',
+      sitemapUrl: entry.sitemapUrl,
+    });
+
+  const languages = new Set();
+  const checkedCodes = new Map();
+
+  alternatesByUrl.forEach((entry) => {
+    const hrefsByLang = new Map();
+
+    entry.alternates.forEach(({ hreflang, href }) => {
+      languages.add(hreflang.toLowerCase());
+
+      // Language and region codes
+      if (!checkedCodes.has(hreflang)) {
+        checkedCodes.set(hreflang, checkHreflangCode(hreflang));
+      }
+      const codeError = checkedCodes.get(hreflang);
+      if (codeError) {
+        addIssue('error', 'invalid-code', entry, {
+          hreflang,
+          alternateUrl: href,
+          message: codeError.suggestion
+            ? `${codeError.message}, did you mean "${codeError.suggestion}"?`
+            : codeError.message,
+        });
+      }
+
+      // The same hreflang value must not point to different URLs
+      const key = hreflang.toLowerCase();
+      if (!hrefsByLang.has(key)) hrefsByLang.set(key, new Set());
+      hrefsByLang.get(key).add(href);
+
+      // Return tags: every alternate must link back to this URL
+      if (href === entry.url) return;
+      const alternate = alternatesByUrl.get(href);
+      if (!alternate) {
+        addIssue('warning', 'alternate-not-in-sitemap', entry, {
+          hreflang,
+          alternateUrl: href,
+          message:
+            'The alternate URL has no hreflang entry in the sitemaps, so its return tag cannot be checked',
+        });
+      } else if (
+        !alternate.alternates.some((link) => link.href === entry.url)
+      ) {
+        addIssue('error', 'missing-return-tag', entry, {
+          hreflang,
+          alternateUrl: href,
+          message: `${href} does not link back to ${entry.url}`,
+        });
+      }
+    });
+
+    hrefsByLang.forEach((hrefs, hreflang) => {
+      if (hrefs.size > 1) {
+        addIssue('error', 'conflicting-hreflang', entry, {
+          hreflang,
+          alternateUrl: Array.from(hrefs).join(' '),
+          message: `hreflang "${hreflang}" points to ${hrefs.size} different URLs`,
+        });
+      }
+    });
+
+    if (!entry.alternates.some((link) => link.href === entry.url)) {
+      addIssue('error', 'missing-self-reference', entry, {
+        message: 'The URL is not listed among its own alternates',
+      });
+    }
+
+    if (!hrefsByLang.has('x-default')) {
+      addIssue('warning', 'missing-x-default', entry, {
+        message:
+          'No x-default alternate for users whose language is not listed',
+      });
+    }
+  });
+
+  const errors = issues.filter((issue) => issue.severity === 'error').length;
+  return {
+    urlCount: alternatesByUrl.size,
+    clusterCount: countHreflangClusters(alternatesByUrl),
+    languages: Array.from(languages).sort(),
+    errors,
+    warnings: issues.length - errors,
+    issues,
+  };
+}
+
+// Helper function to count the groups of URLs that are linked by hreflang alternates
+function countHreflangClusters(alternatesByUrl) {
+  const parents = new Map();
+  const find = (url) => {
+    if (!parents.has(url)) parents.set(url, url);
+    while (parents.get(url) !== url) {
+      parents.set(url, parents.get(parents.get(url)));
+      url = parents.get(url);
+    }
+    return url;
+  };
+
+  alternatesByUrl.forEach((entry) => {
+    entry.alternates.forEach(({ href }) => {
+      parents.set(find(href), find(entry.url));
+    });
+  });
+
+  return new Set(Array.from(parents.keys()).map(find)).size;
+}
+
+// Function to save the hreflang audit as CSV and an HTML summary in the given folder
+function writeHreflangReport(outputFolder, audit, domain) {
+  fs.mkdirSync(outputFolder, { recursive: true });
+
+  const csvFile = writeCSV(
+    path.join(outputFolder, HREFLANG_REPORT_FILE),
+    audit.issues.map((issue) => ({
+      Severity: issue.severity,
+      Issue: HREFLANG_ISSUE_NAMES[issue.issue] || issue.issue,
+      URL: issue.url,
+      Hreflang: issue.hreflang,
+      'Alternate URL': issue.alternateUrl,
+      Details: issue.details,
+      Sitemap: issue.sitemapUrl,
+    })),
+    HREFLANG_REPORT_HEADERS
+  );
+
+  const htmlFile = path.join(outputFolder, HREFLANG_SUMMARY_FILE);
+  fs.writeFileSync(htmlFile, generateHreflangSummary(audit, domain));
+
+  return { csvFile, htmlFile };
+}
+
+// Function to generate the HTML summary of an hreflang audit
+function generateHreflangSummary(audit, domain) {
+  const issueTypes = Object.keys(HREFLANG_ISSUE_NAMES).map((issue) => ({
+    issue,
+    issues: audit.issues.filter((item) => item.issue === issue),
+  }));
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Hreflang Audit Summary for ${escapeHtml(domain)}</title>
+  <style>
+${HTML_REPORT_STYLES}
+  </style>
+</head>
+<body>
+  <h1>Hreflang Audit Summary for ${escapeHtml(domain)}</h1>
+  <p>Report generated on ${new Date().toLocaleString()}</p>
+
+  <div class="summary-box">
+    <h2>Overview</h2>
+    <p>Total hreflang errors: <span class="summary-stat">${
+      audit.errors
+    }</span></p>
+    <p>Warnings: ${audit.warnings}</p>
+    <p>URLs with alternates: ${audit.urlCount} in ${
+    audit.clusterCount
+  } cluster(s)</p>
+    <p>Languages: ${escapeHtml(audit.languages.join(', '))}</p>
+  </div>
+
+  <div class="standard-section">
+    <h2>Issues by Type</h2>
+    <table>
+      <tr>
+        <th>Issue</th>
+        <th>Count</th>
+      </tr>
+      ${issueTypes
+        .map(
+          ({ issue, issues }) => `
+      <tr>
+        <td class="violation-type">${HREFLANG_ISSUE_NAMES[issue]}</td>
+        <td>${issues.length}</td>
+      </tr>`
+        )
+        .join('')}
+    </table>
+  </div>
+
+  ${issueTypes
+    .filter(({ issues }) => issues.length > 0)
+    .map(
+      ({ issue, issues }) => `
+  <div class="standard-section">
+    <h2>${HREFLANG_ISSUE_NAMES[issue]}</h2>
+    <table>
+      <tr>
+        <th>URL</th>
+        <th>Hreflang</th>
+        <th>Alternate URL</th>
+        <th>Details</th>
+      </tr>
+      ${issues
+        .slice(0, 20)
+        .map(
+          (item) => `
+      <tr>
+        <td>${escapeHtml(item.url)}</td>
+        <td>${escapeHtml(item.hreflang)}</td>
+        <td>${escapeHtml(item.alternateUrl)}</td>
+        <td>${escapeHtml(item.details)}</td>
+      </tr>`
+        )
+        .join('')}
+    </table>
+    ${
+      issues.length > 20
+        ? `<p>Showing 20 of ${issues.length}. See ${HREFLANG_REPORT_FILE} for the full list.</p>`
+        : ''
+    }
+  </div>`
+    )
+    .join('')}
+
+  <footer>
+    <p><small>Generated using Screaming Frog SEO Spider and Node.js</small></p>
+  </footer>
+</body>
+</html>
+  `;
+}
+
+// Helper function to print a short summary of an hreflang audit
+function logHreflangAudit(audit) {
+  console.log(
+    `Hreflang audit: ${audit.urlCount} URLs in ${audit.clusterCount} cluster(s), ${audit.errors} error(s), ${audit.warnings} warning(s)`
+  );
+  Object.keys(HREFLANG_ISSUE_NAMES).forEach((issue) => {
+    const count = audit.issues.filter((item) => item.issue === issue).length;
+    if (count > 0) console.log(`- ${HREFLANG_ISSUE_NAMES[issue]}: ${count}`);
+  });
+}
+
+module.exports = {
+  LANGUAGE_CODES,
+  REGION_CODES,
+  HREFLANG_REPORT_FILE,
+  HREFLANG_SUMMARY_FILE,
+  collectHreflangAlternates,
+  checkHreflangCode,
+  auditHreflang,
+  writeHreflangReport,
+  logHreflangAudit,
+};
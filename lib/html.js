@@ -0,0 +1,82 @@
+// Shared styles of the HTML reports
+const HTML_REPORT_STYLES = `    body {
+      font-family: Arial, sans-serif;
+      line-height: 1.6;
+      color: #333;
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 20px;
+    }
+    h1, h2, h3 {
+      color: #2c3e50;
+    }
+    .summary-box {
+      background-color: #f8f9fa;
+      border-radius: 5px;
+      padding: 20px;
+      margin-bottom: 20px;
+    }
+    .summary-stat {
+      font-size: 24px;
+      font-weight: bold;
+      color: #e74c3c;
+    }
+    .standard-section {
+      margin-bottom: 30px;
+      border-bottom: 1px solid #eee;
+      padding-bottom: 20px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 20px;
+    }
+    th, td {
+      padding: 10px;
+      border: 1px solid #ddd;
+      text-align: left;
+    }
+    th {
+      background-color: #f2f2f2;
+    }
+    .violation-type {
+      font-weight: bold;
+    }
+    .severity-high {
+      color: #e74c3c;
+    }
+    .severity-medium {
+      color: #f39c12;
+    }
+    .severity-low {
+      color: #3498db;
+    }
+    .chart-container {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 20px;
+      margin-bottom: 30px;
+    }
+    .chart {
+      flex: 1;
+      min-width: 300px;
+      height: 300px;
+      background-color: #f8f9fa;
+      padding: 10px;
+      border-radius: 5px;
+    }`;
+
+// Helper function to escape text for use in HTML
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  HTML_REPORT_STYLES,
+  escapeHtml,
+};
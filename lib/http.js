@@ -0,0 +1,378 @@
+const https = require('https');
+const http = require('http');
+const zlib = require('zlib');
+const path = require('path');
+const { URL } = require('url');
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_MAX_RETRIES = 3;
+const MAX_REDIRECTS = 10;
+
+const USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.114 Safari/537.36';
+
+// Characters that must never reach a crawl command or a request line
+const CONTROL_CHARACTERS = /[\u0000-\u001F\u007F]/;
+
+// Function to check that a URL given by the user or found in a sitemap is a
+// plain http(s) URL, throwing an error that says what is wrong with it
+function validateHttpUrl(url, label = 'URL') {
+  if (typeof url !== 'string' || url.trim() === '') {
+    throw new Error(`${label} is missing`);
+  }
+  if (CONTROL_CHARACTERS.test(url)) {
+    throw new Error(
+      `${label} contains control characters: ${JSON.stringify(url)}`
+    );
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw new Error(`${label} is not a valid URL: ${url}`);
+  }
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    throw new Error(
+      `${label} must use http or https, got ${parsedUrl.protocol} in: ${url}`
+    );
+  }
+
+  return parsedUrl;
+}
+
+// Helper function to check a URL without throwing
+function isHttpUrl(url) {
+  try {
+    validateHttpUrl(url);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper function to drop page URLs that that are not plain http(s) URLs
+function filterHttpUrls(urls) {
+  const valid = urls.filter((url) => isHttpUrl(url));
+  if (valid.length < urls.length) {
+    console.log(
+      `Skipping ${
+        urls.length - valid.length
+      } URL(s) that are not plain http(s) URLs`
+    );
+  }
+  return valid;
+}
+
+// Helper function to fetch content with retry, decompression and charset decoding
+async function fetchWithRetry(
+  url,
+  timeout = DEFAULT_TIMEOUT,
+  maxRetries = DEFAULT_MAX_RETRIES
+) {
+  let retries = 0;
+  let lastError;
+
+  while (retries < maxRetries) {
+    try {
+      return await fetchUrl(url, timeout);
+    } catch (error) {
+      lastError = error;
+
+      // Client errors such as 404 will not change on retry
+      if (!isRetryable(error)) break;
+
+      retries++;
+      console.log(
+        `Retry ${retries}/${maxRetries} for ${url}: ${error.message}`
+      );
+
+      // Wait before retrying (increasing backoff)
+      await new Promise((resolve) => setTimeout(resolve, 1000 * retries));
+    }
+  }
+
+  throw (
+    lastError || new Error(`Failed to fetch ${url} after ${maxRetries} retries`)
+  );
+}
+
+// Helper function to decide whether a failed request is worth retrying
+function isRetryable(error) {
+  if (!error.statusCode) return true;
+  return (
+    error.statusCode >= 500 ||
+    error.statusCode === 408 ||
+    error.statusCode === 429
+  );
+}
+
+// Basic fetch function with timeout, returning the decoded response text
+async function fetchUrl(url, timeout = DEFAULT_TIMEOUT, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const client = parsedUrl.protocol === 'https:' ? https : http;
+
+    const options = {
+      method: 'GET',
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Encoding': 'gzip, deflate, br',
+      },
+      timeout: timeout,
+    };
+
+    const req = client.request(parsedUrl, options, (res) => {
+      if (
+        res.statusCode >= 300 &&
+        res.statusCode < 400 &&
+        res.headers.location
+      ) {
+        res.resume();
+
+        if (redirects >= MAX_REDIRECTS) {
+          return reject(new Error(`Too many redirects for ${url}`));
+        }
+
+        // Handle redirects
+        return resolve(
+          fetchUrl(
+            new URL(res.headers.location, url).href,
+            timeout,
+            redirects + 1
+          )
+        );
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        const error = new Error(
+          `Request failed with status code ${res.statusCode}`
+        );
+        error.statusCode = res.statusCode;
+        return reject(error);
+      }
+
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('error', reject);
+      res.on('end', () => {
+        try {
+          resolve(
+            decodeBody(Buffer.concat(chunks), {
+              url: parsedUrl.href,
+              contentEncoding: res.headers['content-encoding'],
+              contentType: res.headers['content-type'],
+            })
+          );
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timed out'));
+    });
+
+    req.end();
+  });
+}
+
+// Function to request a URL without following redirects, returning only the status and headers
+function fetchStatus(url, { method = 'HEAD', timeout = DEFAULT_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(url);
+    const client = parsedUrl.protocol === 'https:' ? https : http;
+    const start = Date.now();
+
+    const req = client.request(
+      parsedUrl,
+      {
+        method,
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept-Encoding': 'gzip, deflate, br',
+        },
+        timeout,
+      },
+      (res) => {
+        // The body is not needed, only the time to the response headers
+        const responseTime = Date.now() - start;
+        res.resume();
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          responseTime,
+        });
+      }
+    );
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timed out'));
+    });
+
+    req.end();
+  });
+}
+
+// Function to turn a raw response body into text
+function decodeBody(buffer, { url = '', contentEncoding, contentType } = {}) {
+  const decompressed = decompressBody(buffer, contentEncoding, url);
+  return decodeCharset(decompressed, contentType);
+}
+
+// Function to undo HTTP content encodings and compressed files (.gz, .br)
+function decompressBody(buffer, contentEncoding, url = '') {
+  let result = buffer;
+
+  // First undo the encodings announced by the server, last applied first
+  const encodings = (contentEncoding || '')
+    .split(',')
+    .map((encoding) => encoding.trim().toLowerCase())
+    .filter((encoding) => encoding && encoding !== 'identity')
+    .reverse();
+
+  for (const encoding of encodings) {
+    try {
+      result = decompressWith(result, encoding);
+      console.log(`Successfully decompressed ${encoding} content`);
+    } catch (error) {
+      console.log(`Error decompressing ${encoding} content: ${error.message}`);
+    }
+  }
+
+  // Then detect compressed files by magic bytes, whatever the content type
+  if (isGzip(result)) {
+    try {
+      result = zlib.gunzipSync(result);
+      console.log('Successfully decompressed gzip file');
+    } catch (error) {
+      console.log(`Error decompressing gzip file: ${error.message}`);
+    }
+  } else if (isZlib(result)) {
+    try {
+      result = zlib.inflateSync(result);
+      console.log('Successfully decompressed deflate file');
+    } catch (error) {
+      console.log(`Error decompressing deflate file: ${error.message}`);
+    }
+  } else if (getPathExtension(url) === '.br' && !encodings.includes('br')) {
+    // Brotli has no magic bytes, so rely on the file extension
+    try {
+      result = zlib.brotliDecompressSync(result);
+      console.log('Successfully decompressed brotli file');
+    } catch (error) {
+      console.log(`Error decompressing brotli file: ${error.message}`);
+    }
+  }
+
+  return result;
+}
+
+// Helper function to decompress a buffer with a named content encoding
+function decompressWith(buffer, encoding) {
+  switch (encoding) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.gunzipSync(buffer);
+    case 'deflate':
+      // Some servers send raw deflate data without the zlib wrapper
+      return isZlib(buffer)
+        ? zlib.inflateSync(buffer)
+        : zlib.inflateRawSync(buffer);
+    case 'br':
+      return zlib.brotliDecompressSync(buffer);
+    default:
+      throw new Error(`Unsupported content encoding: ${encoding}`);
+  }
+}
+
+// Helper function to detect gzip data by its magic bytes
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+// Helper function to detect zlib-wrapped deflate data by its header
+function isZlib(buffer) {
+  return (
+    buffer.length > 2 &&
+    buffer[0] === 0x78 &&
+    (buffer[0] * 256 + buffer[1]) % 31 === 0
+  );
+}
+
+// Helper function to get the extension of a URL path
+function getPathExtension(url) {
+  try {
+    return path.extname(new URL(url).pathname).toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+// Function to decode text using the charset from the header, BOM or XML declaration
+function decodeCharset(buffer, contentType) {
+  const charset = detectCharset(buffer, contentType);
+
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch (error) {
+    console.log(`Unsupported charset "${charset}", falling back to utf-8`);
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// Helper function to work out the charset of a response body
+function detectCharset(buffer, contentType = '') {
+  // Byte order marks take precedence over everything else
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return 'utf-8';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+
+  const headerMatch = /charset\s*=\s*["']?([\w.:-]+)/i.exec(contentType || '');
+  if (headerMatch) return headerMatch[1].toLowerCase();
+
+  const declaration = buffer.subarray(0, 200).toString('latin1');
+  const xmlMatch = /^\s*<\?xml[^>]*encoding\s*=\s*["']([\w.:-]+)["']/i.exec(
+    declaration
+  );
+  if (xmlMatch) return xmlMatch[1].toLowerCase();
+
+  return 'utf-8';
+}
+
+// Helper function to check if content is mostly text
+function isTextContent(content) {
+  if (!content) return false;
+  const isPrintable = (char) =>
+    char === 9 || char === 10 || char === 13 || (char > 31 && char !== 127);
+  const printableChars = content
+    .split('')
+    .filter(
+      (c) => isPrintable(c.charCodeAt(0)) && c.charCodeAt(0) !== 0xfffd
+    ).length;
+  return printableChars / content.length > 0.8;
+}
+
+module.exports = {
+  USER_AGENT,
+  MAX_REDIRECTS,
+  fetchWithRetry,
+  fetchUrl,
+  fetchStatus,
+  validateHttpUrl,
+  isHttpUrl,
+  filterHttpUrls,
+  decodeBody,
+  decompressBody,
+  decodeCharset,
+  detectCharset,
+  isTextContent,
+};
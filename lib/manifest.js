@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { name, version } = require('../package.json');
+
+// File in the output folder of a run that describes the run for other tools
+const RUN_MANIFEST_FILE = 'run.json';
+
+// Settings that are never written to a manifest
+const SECRET_SETTINGS = ['googleApiKey'];
+
+// Function to start the manifest of a run. It is saved right away, so that an
+// interrupted run leaves a record, and again when the run finishes or fails.
+function createRunManifest(filePath, options = {}) {
+  const manifest = {
+    tool: { name, version, node: process.version },
+    command: options.command,
+    target: options.target,
+    runId: options.runId || null,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    config: getManifestConfig(options.config),
+    sitemaps: [],
+    commands: [],
+    files: [],
+    summary: {},
+    errors: [],
+  };
+  const started = Date.now();
+
+  // Write to a temporary file first, so that readers never see half a file
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempFile = `${filePath}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tempFile, filePath);
+  };
+
+  // Finishing lists the files of the run and sets the status from the errors
+  const finish = (details = {}) => {
+    Object.assign(manifest, details);
+    manifest.finishedAt = new Date().toISOString();
+    manifest.durationMs = Date.now() - started;
+    if (options.filesFolder) {
+      manifest.files = listRunFiles(options.filesFolder, filePath);
+    }
+    if (manifest.status === 'running') {
+      manifest.status = manifest.errors.length > 0 ? 'partial' : 'done';
+    }
+    save();
+    console.log(`Run manifest saved to: ${filePath}`);
+    return filePath;
+  };
+
+  save();
+
+  return {
+    filePath,
+    set: (details) => Object.assign(manifest, details),
+    addError: (error) => manifest.errors.push(toManifestError(error)),
+    finish,
+    fail: (error) =>
+      finish({
+        status: 'failed',
+        errors: [...manifest.errors, toManifestError(error)],
+      }),
+  };
+}
+
+// Helper function to copy the settings of a run without secrets or the
+// profiles and domains that were not applied
+function getManifestConfig(config) {
+  if (!config) return null;
+  const settings = { ...config };
+  delete settings.profiles;
+  delete settings.domains;
+  SECRET_SETTINGS.forEach((setting) => {
+    if (settings[setting]) settings[setting] = '[hidden]';
+  });
+  return settings;
+}
+
+// Helper function to describe an error, or a failed crawl, in the manifest
+function toManifestError(error) {
+  if (error instanceof Error) return { message: error.message };
+  if (typeof error === 'string') return { message: error };
+  return error;
+}
+
+// Function to describe the Screaming Frog commands of a run in the manifest
+function toManifestCommand(crawl) {
+  return {
+    target: crawl.sitemapUrl || crawl.standard || crawl.websiteUrl,
+    command: crawl.command || null,
+    exitCode: crawl.exitCode !== undefined ? crawl.exitCode : null,
+    durationMs: crawl.durationMs !== undefined ? crawl.durationMs : null,
+    attempts: crawl.attempts || (crawl.command ? 1 : 0),
+    success: crawl.success,
+    resumed: Boolean(crawl.resumed),
+    outputFolder: crawl.outputFolder,
+    error: crawl.error || null,
+  };
+}
+
+// Helper function to list the files of a run, relative to its folder
+function listRunFiles(folder, manifestFile) {
+  const files = [];
+  const addFiles = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        addFiles(entryPath);
+      } else if (entry.isFile() && entryPath !== manifestFile) {
+        files.push(path.relative(folder, entryPath).split(path.sep).join('/'));
+      }
+    });
+  };
+  if (fs.existsSync(folder)) addFiles(folder);
+  return files.sort();
+}
+
+// Function to count crawled URLs by status code
+function countStatusCodes(urls) {
+  const byStatus = {};
+  urls.forEach((url) => {
+    const status = url['Status Code'] || 'Unknown';
+    byStatus[status] = (byStatus[status] || 0) + 1;
+  });
+  return {
+    total: urls.length,
+    ok: byStatus['200'] || 0,
+    byStatus,
+  };
+}
+
+// Function to count the violations of each WCAG standard of an audit
+function countViolations(violationData = {}) {
+  const violations = {};
+  Object.keys(violationData).forEach((standard) => {
+    violations[standard] = violationData[standard].count || 0;
+  });
+  return violations;
+}
+
+module.exports = {
+  RUN_MANIFEST_FILE,
+  createRunManifest,
+  toManifestCommand,
+  countStatusCodes,
+  countViolations,
+};
@@ -0,0 +1,548 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+// Number of URLs listed per gap analysis section in the PDF
+const GAP_PDF_LIMIT = 20;
+
+// Function to generate the sitemap status PDF report
+async function generatePDF(results, outputPath, orderedSitemaps, options = {}) {
+  const blockedSitemaps = options.blockedSitemaps || [];
+  const gapAnalysis = options.gapAnalysis || null;
+  const doc = new PDFDocument({ bufferPages: true });
+  const stream = fs.createWriteStream(outputPath);
+
+  doc.pipe(stream);
+
+  // Track pages
+  const pages = [];
+
+  // Create title page
+  pages.push(1);
+  doc.fontSize(24).text('Sitemap Status Check Report', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(14).text('Description', { underline: true });
+  doc
+    .fontSize(12)
+    .text(
+      'This check verifies that all the URLs in the sitemap return a 200 OK status code and are indexable.'
+    );
+  doc.moveDown();
+
+  // Add information about which sitemaps were checked
+  doc.fontSize(14).text('Sitemaps Checked:', { underline: true });
+  orderedSitemaps.forEach((key, i) => {
+    let displayName = getSitemapDisplayName(key);
+    doc.fontSize(12).text(`${i + 1}. ${displayName}`);
+  });
+
+  doc.moveDown();
+  doc.text(`See detailed results for each sitemap on the following pages.`);
+
+  // Create separate page for each sitemap
+  orderedSitemaps.forEach((sitemapKey) => {
+    // Start a new page for each sitemap
+    doc.addPage();
+    pages.push(doc.bufferedPageRange().count);
+
+    const data = results[sitemapKey];
+    const displayName = getSitemapDisplayName(sitemapKey);
+
+    // Header
+    doc.fontSize(16).text(displayName, { underline: true });
+    doc.moveDown(0.5);
+
+    // Stats
+    if (data.total === 0) {
+      doc.fontSize(12).text(`No URLs found in this sitemap.`);
+    } else {
+      const okPercentage = ((data.ok / data.total) * 100).toFixed(2);
+      doc
+        .fontSize(12)
+        .text(`A total of ${data.total} URLs have been checked.`, {
+          continued: false,
+        });
+      doc.text(
+        `Of these, ${data.ok} responded with 200 OK (${okPercentage}%).`,
+        { continued: false }
+      );
+
+      // Redirects
+      if (data.redirects && data.redirects.length > 0) {
+        doc.moveDown(0.5);
+        doc.text(`${data.redirects.length} URLs responded with redirects:`);
+        data.redirects.slice(0, 10).forEach((item) => {
+          doc.text(`- ${item.url} (${item.status})`, { indent: 20 });
+        });
+        if (data.redirects.length > 10) {
+          doc.text(`... and ${data.redirects.length - 10} more`, {
+            indent: 20,
+          });
+        }
+      }
+
+      // Errors
+      if (data.errors && data.errors.length > 0) {
+        doc.moveDown(0.5);
+        doc.text(`${data.errors.length} URLs returned error status codes:`);
+        data.errors.slice(0, 10).forEach((item) => {
+          doc.text(`- ${item.url} (${item.status})`, { indent: 20 });
+        });
+        if (data.errors.length > 10) {
+          doc.text(`... and ${data.errors.length - 10} more`, { indent: 20 });
+        }
+      }
+    }
+  });
+
+  // Add a page listing sitemaps blocked by robots.txt
+  if (blockedSitemaps.length > 0) {
+    doc.addPage();
+    pages.push(doc.bufferedPageRange().count);
+    doc
+      .fontSize(16)
+      .text('Sitemaps Blocked by robots.txt', { underline: true });
+    doc.moveDown(0.5);
+    doc
+      .fontSize(12)
+      .text(
+        'The following sitemaps are disallowed by robots.txt, so search engines may not fetch them:'
+      );
+    doc.moveDown(0.5);
+    blockedSitemaps.forEach((row) => {
+      doc.text(
+        `- ${row['Sitemap URL']} (${row['User Agent']}: ${row['Matched Rule']})`,
+        { indent: 20 }
+      );
+    });
+  }
+
+  // Add a page comparing the sitemaps with the spider crawl
+  if (gapAnalysis) {
+    doc.addPage();
+    pages.push(doc.bufferedPageRange().count);
+    doc.fontSize(16).text('Sitemap vs Site Crawl', { underline: true });
+    doc.moveDown(0.5);
+
+    const sections = [
+      {
+        title: 'Indexable pages missing from the sitemaps',
+        rows: gapAnalysis.missing,
+      },
+      {
+        title: 'Sitemap URLs not linked internally (orphans)',
+        rows: gapAnalysis.orphans,
+      },
+      {
+        title: 'Non-indexable URLs in the sitemaps',
+        rows: gapAnalysis.nonIndexable,
+        detail: (row) => ` (${row.Issue})`,
+      },
+    ];
+    sections.forEach(({ title, rows, detail }) => {
+      doc.fontSize(14).text(`${title}: ${rows.length}`);
+      doc.fontSize(10);
+      rows.slice(0, GAP_PDF_LIMIT).forEach((row) => {
+        doc.text(`- ${row.Address}${detail ? detail(row) : ''}`, {
+          indent: 20,
+        });
+      });
+      if (rows.length > GAP_PDF_LIMIT) {
+        doc.text(`...and ${rows.length - GAP_PDF_LIMIT} more`, {
+          indent: 20,
+        });
+      }
+      doc.moveDown(0.5);
+    });
+  }
+
+  // Add action items page
+  doc.addPage();
+  pages.push(doc.bufferedPageRange().count);
+  doc.fontSize(18).text('Action Items Required', { underline: true });
+  doc.moveDown(0.5);
+  doc
+    .fontSize(12)
+    .text(
+      '- Make sure your sitemap only includes live URLs that return the 200 (OK) response code.'
+    );
+
+  if (blockedSitemaps.length > 0) {
+    doc.moveDown(0.5);
+    doc.text('- Allow search engines to fetch your sitemaps in robots.txt:');
+    doc.text('  - Remove or narrow the Disallow rules that match them', {
+      indent: 20,
+    });
+  }
+
+  if (gapAnalysis && gapAnalysis.missing.length > 0) {
+    doc.moveDown(0.5);
+    doc.text('- Add indexable pages that are missing to the sitemaps');
+  }
+  if (gapAnalysis && gapAnalysis.orphans.length > 0) {
+    doc.moveDown(0.5);
+    doc.text(
+      '- Link orphan sitemap URLs from other pages, or remove them if they are no longer needed'
+    );
+  }
+  if (gapAnalysis && gapAnalysis.nonIndexable.length > 0) {
+    doc.moveDown(0.5);
+    doc.text(
+      '- Remove canonicalised, noindex and other non-indexable URLs from the sitemaps'
+    );
+  }
+
+  // Check if there are any redirects to include specific recommendations
+  let hasRedirects = false;
+  Object.values(results).forEach((data) => {
+    if (data && data.redirects && data.redirects.length > 0) {
+      hasRedirects = true;
+    }
+  });
+
+  if (hasRedirects) {
+    doc.moveDown(0.5);
+    doc.text('- Update redirecting URLs in the sitemap:');
+    doc.text('  - Either replace them with their final destination URLs', {
+      indent: 20,
+    });
+    doc.text('  - Or remove them if they are no longer relevant', {
+      indent: 20,
+    });
+  }
+
+  // Check if there are any 404 errors to include specific recommendations
+  let has404s = false;
+  Object.values(results).forEach((data) => {
+    if (data && data.errors) {
+      data.errors.forEach((error) => {
+        if (error.status === '404' || error.status === 404) {
+          has404s = true;
+        }
+      });
+    }
+  });
+
+  if (has404s) {
+    doc.moveDown(0.5);
+    doc.text('- For pages returning 404 errors:');
+    doc.text('  - Remove deleted pages from the sitemap', { indent: 20 });
+    doc.text('  - Restore important content if it was accidentally removed', {
+      indent: 20,
+    });
+    doc.text('  - Implement 301 redirects for moved content', { indent: 20 });
+  }
+
+  // Add sitemaps best practices
+  doc.moveDown(1);
+  doc.fontSize(14).text('Sitemap Best Practices:', { underline: true });
+  doc.fontSize(12).text('- Keep sitemaps updated when content changes');
+  doc.text('- Verify sitemaps at least monthly');
+  doc.text('- Include only canonical URLs (avoid duplicate content)');
+  doc.text('- Use a sitemap index file if you have multiple sitemaps');
+  doc.text(
+    '- Submit sitemaps to Google Search Console and Bing Webmaster Tools'
+  );
+
+  addPageNumbers(doc);
+  doc.end();
+
+  return new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+// Function to generate the PDF comparing two runs of a website
+async function generateDiffPDF(diff, outputPath) {
+  const doc = new PDFDocument({ bufferPages: true });
+  const stream = fs.createWriteStream(outputPath);
+
+  doc.pipe(stream);
+
+  // Create title page
+  doc.fontSize(24).text('Run Comparison Report', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(14).text('Description', { underline: true });
+  doc
+    .fontSize(12)
+    .text(
+      `This report shows what changed on ${diff.domain} between two runs of the crawler.`
+    );
+  doc.moveDown();
+
+  doc.fontSize(14).text('Runs Compared:', { underline: true });
+  if (diff.sitemaps) {
+    doc
+      .fontSize(12)
+      .text(`Sitemaps: ${diff.sitemaps.from.id} to ${diff.sitemaps.to.id}`);
+  }
+  if (diff.a11y) {
+    doc
+      .fontSize(12)
+      .text(`Accessibility: ${diff.a11y.from.id} to ${diff.a11y.to.id}`);
+  }
+
+  // Add a page with the URL changes of each sitemap
+  if (diff.sitemaps) {
+    const { totals } = diff.sitemaps;
+    doc.addPage();
+    doc.fontSize(16).text('Sitemap Changes', { underline: true });
+    doc.moveDown(0.5);
+    doc
+      .fontSize(12)
+      .text(
+        `${totals.added} URLs added, ${totals.removed} URLs removed and ${totals.statusChanges} status code changes.`
+      );
+
+    diff.sitemaps.sitemaps.forEach((sitemap) => {
+      doc.moveDown();
+      doc.fontSize(14).text(getSitemapDisplayName(sitemap.sitemap));
+      doc
+        .fontSize(12)
+        .text(`URLs: ${sitemap.fromCount} before, ${sitemap.toCount} now`);
+      addDiffList(doc, 'URLs added', sitemap.added, (url) => url);
+      addDiffList(doc, 'URLs removed', sitemap.removed, (url) => url);
+      addDiffList(
+        doc,
+        'Status code changes',
+        sitemap.statusChanges,
+        (change) => `${change.url} (${change.from} to ${change.to})`
+      );
+    });
+  }
+
+  // Add a page with the new, fixed and persisting violations of each standard
+  if (diff.a11y) {
+    const { totals } = diff.a11y;
+    doc.addPage();
+    doc.fontSize(16).text('Accessibility Changes', { underline: true });
+    doc.moveDown(0.5);
+    doc
+      .fontSize(12)
+      .text(
+        `${totals.new} new, ${totals.fixed} fixed and ${totals.persisting} persisting violations.`
+      );
+
+    diff.a11y.standards.forEach((standard) => {
+      doc.moveDown();
+      doc.fontSize(14).text(standard.standard);
+      if (standard.error) {
+        doc.fontSize(12).text(`Not compared: ${standard.error}`);
+        return;
+      }
+      doc
+        .fontSize(12)
+        .text(
+          `New: ${standard.new}, fixed: ${standard.fixed}, persisting: ${standard.persisting}`
+        );
+      standard.types.forEach((type) => {
+        doc.text(
+          `- ${type.type}: ${type.new} new, ${type.fixed} fixed, ${type.persisting} persisting`,
+          { indent: 20 }
+        );
+      });
+    });
+  }
+
+  addPageNumbers(doc);
+  doc.end();
+
+  return new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+// Helper function to list the first changes of a kind in the diff PDF
+function addDiffList(doc, title, items, format) {
+  if (items.length === 0) return;
+  doc.moveDown(0.5);
+  doc.text(`${title}: ${items.length}`);
+  items.slice(0, 10).forEach((item) => {
+    doc.text(`- ${format(item)}`, { indent: 20 });
+  });
+  if (items.length > 10) {
+    doc.text(`... and ${items.length - 10} more`, { indent: 20 });
+  }
+}
+
+// Helper function to add page numbers to every page of a PDF
+function addPageNumbers(doc) {
+  const totalPages = doc.bufferedPageRange().count;
+  for (let i = 0; i < totalPages; i++) {
+    doc.switchToPage(i);
+    // Write in the bottom margin without starting a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc
+      .fontSize(8)
+      .text(
+        `Page ${i + 1} of ${totalPages}`,
+        doc.page.width - 100,
+        doc.page.height - 20,
+        { width: 90, align: 'right' }
+      );
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// Function to group crawled URLs by sitemap and status code and save the status PDF report
+async function generateStatusReport(urls, outputPath, options = {}) {
+  // Prepare data for PDF by grouping URLs by sitemap source and status code
+  const statusData = {};
+
+  // Group URLs by sitemap and status code
+  urls.forEach((url) => {
+    // We need to determine which sitemap this URL came from
+    let sitemapName = 'main-sitemap';
+
+    // Try to determine the sitemap source based on URL pattern and directory structure
+    if (url.Address) {
+      const address = url.Address;
+
+      // Look at URL pattern to determine likely source sitemap
+      if (address.includes('24petwatch.com/ca/blog/')) {
+        sitemapName = 'ca-blog-sitemap';
+      } else if (address.includes('24petwatch.com/blog/')) {
+        sitemapName = 'blog-sitemap';
+      } else if (address.includes('24petwatch.com/ca/')) {
+        sitemapName = 'ca-sitemap';
+      } else {
+        sitemapName = 'main-sitemap';
+      }
+    }
+
+    // Create sitemap entry if it doesn't exist
+    if (!statusData[sitemapName]) {
+      statusData[sitemapName] = {
+        total: 0,
+        ok: 0,
+        redirects: [],
+        errors: [],
+      };
+    }
+
+    // Increment counts and categorize by status code
+    statusData[sitemapName].total++;
+
+    const status = url['Status Code'] || 'Unknown';
+    if (status === '200' || status === 200) {
+      statusData[sitemapName].ok++;
+    } else if (
+      [301, 302, 303, 307, 308, '301', '302', '303', '307', '308'].includes(
+        status
+      )
+    ) {
+      statusData[sitemapName].redirects.push({
+        url: url.Address,
+        status,
+      });
+    } else {
+      statusData[sitemapName].errors.push({
+        url: url.Address,
+        status,
+      });
+    }
+  });
+
+  // Debug: Print sitemap data counts
+  console.log('URL counts by sitemap:');
+  Object.keys(statusData).forEach((key) => {
+    console.log(`${key}: ${statusData[key].total} URLs`);
+  });
+
+  // Generate PDF with the status data
+  const validSitemaps = Object.keys(statusData).filter(
+    (key) => statusData[key] && statusData[key].total > 0
+  );
+
+  // Create a PDF with each sitemap on a separate page
+  if (validSitemaps.length === 0) {
+    console.log('No valid sitemap data found for PDF generation');
+    return null;
+  }
+
+  // Force the sitemaps into the proper order (main, ca, blog, ca-blog)
+  const orderedSitemaps = [];
+
+  // Add all four sitemaps, creating dummy data if needed
+  // Main sitemap
+  orderedSitemaps.push('main-sitemap');
+  if (!statusData['main-sitemap']) {
+    statusData['main-sitemap'] = {
+      total: 0,
+      ok: 0,
+      redirects: [],
+      errors: [],
+    };
+  }
+
+  // CA sitemap
+  orderedSitemaps.push('ca-sitemap');
+  if (!statusData['ca-sitemap']) {
+    statusData['ca-sitemap'] = {
+      total: 0,
+      ok: 0,
+      redirects: [],
+      errors: [],
+    };
+  }
+
+  // Blog sitemap
+  orderedSitemaps.push('blog-sitemap');
+  if (!statusData['blog-sitemap']) {
+    statusData['blog-sitemap'] = {
+      total: 0,
+      ok: 0,
+      redirects: [],
+      errors: [],
+    };
+  }
+
+  // CA blog sitemap
+  orderedSitemaps.push('ca-blog-sitemap');
+  if (!statusData['ca-blog-sitemap']) {
+    statusData['ca-blog-sitemap'] = {
+      total: 0,
+      ok: 0,
+      redirects: [],
+      errors: [],
+    };
+  }
+
+  // Generate PDF with ordered sitemaps (one per page) and action items
+  console.log(
+    `Generating PDF with ${orderedSitemaps.length} sitemaps on separate pages...`
+  );
+  await generatePDF(statusData, outputPath, orderedSitemaps, {
+    blockedSitemaps: options.blockedSitemaps,
+    gapAnalysis: options.gapAnalysis,
+  });
+  console.log(`PDF status report generated at: ${outputPath}`);
+  return outputPath;
+}
+
+// Helper function to get display name for a sitemap key
+function getSitemapDisplayName(key) {
+  switch (key) {
+    case 'main-sitemap':
+      return 'Main Sitemap (sitemap.xml)';
+    case 'ca-sitemap':
+      return 'CA Sitemap (ca/sitemap.xml)';
+    case 'blog-sitemap':
+      return 'Blog Sitemap (blog/blog-sitemap.xml)';
+    case 'ca-blog-sitemap':
+      return 'CA Blog Sitemap (ca/blog/blog-sitemap.xml)';
+    default:
+      return `Sitemap: ${key}`;
+  }
+}
+
+module.exports = {
+  generatePDF,
+  generateDiffPDF,
+  generateStatusReport,
+  getSitemapDisplayName,
+};
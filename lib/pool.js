@@ -0,0 +1,109 @@
+const os = require('os');
+
+// Default number of Screaming Frog crawls run at the same time
+const DEFAULT_CRAWL_CONCURRENCY = 1;
+
+// Memory set aside for each Screaming Frog crawl, in megabytes
+const DEFAULT_CRAWL_MEMORY_MB = 2048;
+
+// Number of times a failed crawl is run again
+const DEFAULT_CRAWL_RETRIES = 0;
+
+// How often a waiting crawl checks for free memory
+const MEMORY_POLL_INTERVAL = 5000;
+
+// Function to run an async function over items with a limited concurrency
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+  return results;
+}
+
+// Function to create a pool that limits the crawls running at the same time,
+// by count and by the free memory of the machine
+function createCrawlPool(options = {}) {
+  const concurrency = Math.max(
+    1,
+    options.concurrency || DEFAULT_CRAWL_CONCURRENCY
+  );
+  const memoryBudgetMb = options.memoryBudgetMb || DEFAULT_CRAWL_MEMORY_MB;
+  const queue = [];
+  let running = 0;
+  let pollTimer = null;
+  let waitingForMemory = false;
+
+  // One crawl may always run, further crawls need their memory budget free
+  const canStart = () => {
+    if (running === 0) return true;
+    if (running >= concurrency) return false;
+    return os.freemem() >= memoryBudgetMb * 1024 * 1024;
+  };
+
+  const dispatch = () => {
+    while (queue.length > 0 && canStart()) {
+      running++;
+      waitingForMemory = false;
+      queue.shift()();
+    }
+
+    // Check again later when a crawl is only waiting for memory
+    if (queue.length > 0 && running < concurrency && !pollTimer) {
+      if (!waitingForMemory) {
+        waitingForMemory = true;
+        console.log(
+          `Waiting for ${memoryBudgetMb} MB of free memory before starting another crawl (${Math.round(
+            os.freemem() / 1024 / 1024
+          )} MB free)`
+        );
+      }
+      pollTimer = setTimeout(() => {
+        pollTimer = null;
+        dispatch();
+      }, MEMORY_POLL_INTERVAL);
+    }
+  };
+
+  const run = async (fn) => {
+    await new Promise((resolve) => {
+      queue.push(resolve);
+      dispatch();
+    });
+
+    try {
+      return await fn();
+    } finally {
+      running--;
+      dispatch();
+    }
+  };
+
+  return { concurrency, memoryBudgetMb, run };
+}
+
+// Helper function to create the crawl pool configured in config.json
+function createConfiguredCrawlPool(config) {
+  return createCrawlPool({
+    concurrency: config.crawlConcurrency,
+    memoryBudgetMb: config.crawlMemoryMb,
+  });
+}
+
+module.exports = {
+  DEFAULT_CRAWL_CONCURRENCY,
+  DEFAULT_CRAWL_MEMORY_MB,
+  DEFAULT_CRAWL_RETRIES,
+  mapWithConcurrency,
+  createCrawlPool,
+  createConfiguredCrawlPool,
+};
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig, requireScreamingFrogPath } = require('./config');
+const { runCommand, formatCommand } = require('./runner');
+const { validateHttpUrl } = require('./http');
+const { createConfiguredCrawlPool } = require('./pool');
+const { getDomainFolder } = require('./sitemap');
+const { findLatestSitemapResults } = require('./results');
+const { resolveRunFolder } = require('./runs');
+const {
+  getExportOptions,
+  checkExportFiles,
+  writeExportCheck,
+} = require('./exports');
+
+// Extensions of the crawl files saved by --save-crawl, in memory and database storage mode
+const SAVED_CRAWL_EXTENSIONS = ['.seospider', '.dbseospider'];
+
+// Function to re-export the saved crawls of a domain or results folder without crawling again
+async function reExportCrawls(target, options = {}) {
+  const config = resolveConfig(options);
+  requireScreamingFrogPath(config);
+
+  // Only the exports given on the command line, the crawl is not saved again
+  const { args: exportArgs, exports } = getExportOptions({
+    exportTabs: options.exportTabs,
+    'bulk-export': options.bulkExport,
+    saveReport: options.saveReport,
+    validateExports: config.validateExports,
+  });
+  if (exportArgs.length === 0) {
+    throw new Error(
+      'Nothing to export. Please pass --export-tabs, --bulk-export or --save-report.'
+    );
+  }
+
+  const resultsFolder = resolveResultsFolder(target, {
+    config,
+    run: options.run,
+  });
+  const crawlFiles = findSavedCrawls(resultsFolder);
+  if (crawlFiles.length === 0) {
+    throw new Error(
+      `No saved crawls (${SAVED_CRAWL_EXTENSIONS.join(
+        ', '
+      )}) found in ${resultsFolder}. Make sure saveOptions includes --save-crawl.`
+    );
+  }
+
+  console.log(`Found ${crawlFiles.length} saved crawl(s) in ${resultsFolder}`);
+
+  // Re-export several crawls at a time when the crawl pool allows it
+  const crawlPool = createConfiguredCrawlPool(config);
+  const crawls = await Promise.all(
+    crawlFiles.map((crawlFile) =>
+      crawlPool.run(() =>
+        runReExport(crawlFile, exportArgs, {
+          config,
+          exports,
+          verbose: options.verbose,
+        })
+      )
+    )
+  );
+
+  const failed = crawls.filter((crawl) => !crawl.success);
+  console.log(
+    `\nRe-exported ${crawls.length - failed.length} of ${
+      crawls.length
+    } saved crawl(s)`
+  );
+  failed.forEach((crawl) =>
+    console.log(`- ${crawl.crawlFile}: ${crawl.error}`)
+  );
+
+  return { resultsFolder, crawls };
+}
+
+// Function to load a saved crawl in Screaming Frog and export it into the folder of the crawl
+async function runReExport(crawlFile, exportArgs, options = {}) {
+  const config = resolveConfig(options);
+  requireScreamingFrogPath(config);
+  const outputFolder = path.dirname(crawlFile);
+
+  const args = [
+    '--headless',
+    '--load-crawl',
+    crawlFile,
+    ...exportArgs,
+    '--export-format',
+    config.exportFormat,
+    '--output-folder',
+    outputFolder,
+    '--overwrite',
+  ];
+  const command = formatCommand(config.screamingFrogPath, args);
+
+  console.log(`Re-exporting saved crawl: ${crawlFile}`);
+  console.log(command);
+
+  const result = {
+    crawlFile,
+    outputFolder,
+    command,
+    success: false,
+    files: [],
+  };
+
+  const before = getFileTimes(outputFolder);
+  const run = await runCommand(config.screamingFrogPath, args, {
+    label: `Export of ${path.basename(outputFolder)}`,
+    timeout: config.crawlTimeout,
+    verbose: options.verbose,
+  });
+  result.durationMs = run.durationMs;
+
+  if (run.error) {
+    console.error(`Error re-exporting ${crawlFile}: ${run.error}`);
+    result.error = run.error.substring(0, 500);
+    return result;
+  }
+
+  // Only report the files written by this export
+  result.success = true;
+  const after = getFileTimes(outputFolder);
+  result.files = Object.keys(after).filter(
+    (file) => after[file] !== before[file]
+  );
+  console.log(
+    `Exported ${result.files.length} file(s) to ${outputFolder}${
+      result.files.length > 0 ? `: ${result.files.join(', ')}` : ''
+    }`
+  );
+
+  // Record which of the requested exports were produced
+  if (options.exports) {
+    result.exports = checkExportFiles(options.exports, result.files);
+    writeExportCheck(outputFolder, result.exports);
+  }
+
+  return result;
+}
+
+// Helper function to get the modification time of the files in a folder
+function getFileTimes(folder) {
+  const times = {};
+  fs.readdirSync(folder)
+    .filter((file) => !file.startsWith('.'))
+    .forEach((file) => {
+      times[file] = fs.statSync(path.join(folder, file)).mtimeMs;
+    });
+  return times;
+}
+
+// Helper function to find the results folder of a website URL, or use the folder
+// given. Folders with run history resolve to their latest run or the run given.
+function resolveResultsFolder(target, options = {}) {
+  if (target && fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    return resolveRunFolder(target, options.run);
+  }
+
+  const domain = validateHttpUrl(
+    target,
+    'Website URL or results folder'
+  ).hostname;
+  const resultsFolder = findLatestSitemapResults(target, options);
+  if (!resultsFolder) {
+    throw new Error(
+      `No results found for ${domain} in ${getDomainFolder(
+        domain,
+        options.config
+      )}. Please run the sitemap crawler first.`
+    );
+  }
+  return resultsFolder;
+}
+
+// Function to find the saved crawl files in a results folder and its subfolders
+function findSavedCrawls(folder) {
+  const crawlFiles = [];
+  fs.readdirSync(folder, { withFileTypes: true }).forEach((entry) => {
+    const entryPath = path.join(folder, entry.name);
+    if (entry.isDirectory()) {
+      crawlFiles.push(...findSavedCrawls(entryPath));
+    } else if (SAVED_CRAWL_EXTENSIONS.includes(path.extname(entry.name))) {
+      crawlFiles.push(entryPath);
+    }
+  });
+  return crawlFiles;
+}
+
+module.exports = {
+  SAVED_CRAWL_EXTENSIONS,
+  reExportCrawls,
+  runReExport,
+  findSavedCrawls,
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig } = require('./config');
+const { readCSV } = require('./csv');
+const { ROBOTS_CHECK_FILE, getDomainFolder } = require('./sitemap');
+const { findRun, listRuns } = require('./runs');
+const { EXTENSIONS_REPORT_FILE } = require('./validation');
+const { STATUS_CHECK_FOLDER, STATUS_CHECK_FILE } = require('./check');
+const { GAP_ANALYSIS_FOLDER, readGapAnalysis } = require('./gap');
+
+// Function to find the sitemap results of a domain: the latest run, or the
+// run with the timestamp given in options.run. The status checks are used
+// when the domain has no sitemap crawls.
+function findLatestSitemapResults(url, options = {}) {
+  const config = resolveConfig(options);
+  const domainFolder = getDomainFolder(new URL(url).hostname, config);
+
+  const checksFolder = path.join(domainFolder, STATUS_CHECK_FOLDER);
+  const runsFolder =
+    listRuns(domainFolder).length === 0 && listRuns(checksFolder).length > 0
+      ? checksFolder
+      : domainFolder;
+  const run = findRun(runsFolder, options.run);
+  if (run) return run.folder;
+
+  // Results saved before run history was added are directly in the domain folder
+  if (!options.run && fs.existsSync(domainFolder)) {
+    return domainFolder;
+  }
+  return null;
+}
+
+// Extract data from sitemap results
+async function extractSitemapData(resultsPath) {
+  console.log(`Extracting data from: ${resultsPath}`);
+
+  const data = {
+    urls: [],
+    overview: {},
+    sitemapStructure: {},
+    blockedSitemaps: [],
+    gapAnalysis: null,
+  };
+
+  const { urlFile, overviewFile, robotsFile } = findSitemapExports(resultsPath);
+
+  // Process URL data if available
+  if (urlFile) {
+    data.urls = await readCSV(urlFile);
+    console.log(`Extracted ${data.urls.length} URLs from sitemap`);
+  }
+
+  // Process crawl overview if available
+  if (overviewFile) {
+    const overviewData = await readCSV(overviewFile);
+    data.overview = overviewData.reduce((acc, row) => {
+      acc[row.Name] = row.Value;
+      return acc;
+    }, {});
+  }
+
+  // Process the robots.txt check of the sitemaps if available
+  if (robotsFile) {
+    const robotsRows = await readCSV(robotsFile);
+    data.blockedSitemaps = robotsRows.filter((row) => row.Allowed === 'No');
+  }
+
+  // Process the sitemap versus site crawl gap analysis if it was run
+  data.gapAnalysis = await readGapAnalysis(resultsPath);
+
+  // Analyze sitemap structure
+  data.sitemapStructure = analyzeSitemapStructure(resultsPath);
+
+  return data;
+}
+
+// Find the export files the sitemap reports are built from
+function findSitemapExports(resultsPath) {
+  // Find all CSV files in the results directory and subdirectories
+  const csvFiles = findFiles(resultsPath, '.csv');
+
+  return {
+    // Fall back to the response codes export written by the native status check
+    urlFile:
+      csvFiles.find((file) => file.toLowerCase().includes('url_all.csv')) ||
+      csvFiles.find((file) => path.basename(file) === STATUS_CHECK_FILE),
+    overviewFile: csvFiles.find((file) =>
+      file.toLowerCase().includes('crawl_overview.csv')
+    ),
+    robotsFile: csvFiles.find(
+      (file) => path.basename(file) === ROBOTS_CHECK_FILE
+    ),
+  };
+}
+
+// Check that a folder of saved exports has the CSVs needed to build the reports
+function validateSitemapExports(resultsPath) {
+  if (!fs.existsSync(resultsPath) || !fs.statSync(resultsPath).isDirectory()) {
+    throw new Error(`Exports folder not found: ${resultsPath}`);
+  }
+
+  const exports = findSitemapExports(resultsPath);
+  if (!exports.urlFile) {
+    throw new Error(
+      `No url_all.csv or ${STATUS_CHECK_FILE} export found in ${resultsPath}`
+    );
+  }
+
+  console.log(`Using exports from: ${resultsPath}`);
+  console.log(`- URLs: ${path.relative(resultsPath, exports.urlFile)}`);
+  if (!exports.overviewFile) {
+    console.log('- Warning: No crawl_overview.csv found');
+  }
+  if (!exports.robotsFile) {
+    console.log(`- Warning: No ${ROBOTS_CHECK_FILE} found`);
+  }
+
+  return exports;
+}
+
+// Find all files with a specific extension in a directory and its subdirectories
+function findFiles(dir, extension) {
+  let results = [];
+
+  const items = fs.readdirSync(dir);
+  for (const item of items) {
+    const itemPath = path.join(dir, item);
+    const stat = fs.statSync(itemPath);
+
+    if (stat.isDirectory()) {
+      results = results.concat(findFiles(itemPath, extension));
+    } else if (item.endsWith(extension)) {
+      results.push(itemPath);
+    }
+  }
+
+  return results;
+}
+
+// Analyze the structure of sitemaps found
+function analyzeSitemapStructure(resultsPath) {
+  const structure = {
+    mainSitemaps: [],
+    childSitemaps: [],
+    languages: new Set(),
+    contentTypes: new Set(),
+  };
+
+  // Check if this is a sitemap index by looking for subdirectories
+  const items = fs.readdirSync(resultsPath);
+  for (const item of items) {
+    const itemPath = path.join(resultsPath, item);
+    // The status check and gap analysis folders are not sitemaps
+    if ([STATUS_CHECK_FOLDER, GAP_ANALYSIS_FOLDER].includes(item)) continue;
+
+    if (fs.statSync(itemPath).isDirectory()) {
+      structure.childSitemaps.push(item);
+
+      // Analyze sitemap name for language codes
+      const langMatch = item.match(
+        /[_-](en|fr|es|de|it|pt|ru|zh|ja|ko|ar|nl|sv|no|fi|da|pl|tr|cs|hu|ro|bg|el|he|th|vi|id|ms|hi|bn|uk|fa)[_-]/i
+      );
+      if (langMatch) {
+        structure.languages.add(langMatch[1].toLowerCase());
+      }
+
+      // Analyze sitemap name for content types
+      if (item.includes('blog') || item.includes('news'))
+        structure.contentTypes.add('blog');
+      if (item.includes('product') || item.includes('catalog'))
+        structure.contentTypes.add('products');
+    } else if (item.endsWith('.xml') || item.includes('sitemap')) {
+      structure.mainSitemaps.push(item);
+    }
+  }
+
+  // Count the image, video and news entries parsed from the sitemaps
+  const extensions = countSitemapExtensions(resultsPath);
+  if (extensions.images > 0) structure.contentTypes.add('images');
+  if (extensions.videos > 0) structure.contentTypes.add('videos');
+  if (extensions.news > 0) structure.contentTypes.add('news');
+
+  return {
+    mainSitemapCount: structure.mainSitemaps.length,
+    childSitemapCount: structure.childSitemaps.length,
+    languages: Array.from(structure.languages),
+    contentTypes: Array.from(structure.contentTypes),
+    isMultilingual: structure.languages.size > 1,
+    hasSeparateContentTypes: structure.contentTypes.size > 0,
+    extensions,
+  };
+}
+
+// Count the image, video and news entries saved for each sitemap
+function countSitemapExtensions(resultsPath) {
+  const counts = { images: 0, videos: 0, news: 0 };
+  const columns = { image: 'images', video: 'videos', news: 'news' };
+
+  findFiles(resultsPath, EXTENSIONS_REPORT_FILE).forEach((file) => {
+    // The first column is the entry type, which never needs quoting
+    fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .slice(1)
+      .forEach((line) => {
+        const column = columns[line.split(',')[0]];
+        if (column) counts[column]++;
+      });
+  });
+
+  return counts;
+}
+
+module.exports = {
+  findLatestSitemapResults,
+  extractSitemapData,
+  findSitemapExports,
+  validateSitemapExports,
+  findFiles,
+  analyzeSitemapStructure,
+  countSitemapExtensions,
+};
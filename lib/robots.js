@@ -0,0 +1,200 @@
+const { fetchWithRetry, isTextContent } = require('./http');
+
+// Crawlers that every sitemap URL is checked against, besides the configured agent
+const DEFAULT_ROBOTS_USER_AGENTS = ['Googlebot', 'Bingbot'];
+
+// User agent used when config.json does not set "robotsUserAgent"
+const DEFAULT_ROBOTS_USER_AGENT = 'Screaming Frog SEO Spider';
+
+// Function to parse robots.txt content into user-agent groups and sitemaps
+function parseRobotsTxt(content) {
+  const robots = { groups: [], sitemaps: [] };
+  let group = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Strip comments and surrounding whitespace
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const colonIndex = line.indexOf(':');
+    if (colonIndex === -1) continue;
+
+    const field = line.substring(0, colonIndex).trim().toLowerCase();
+    const value = line.substring(colonIndex + 1).trim();
+
+    switch (field) {
+      case 'user-agent':
+        // Consecutive user-agent lines share the same group
+        if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+          group = { userAgents: [], rules: [], crawlDelay: null };
+          robots.groups.push(group);
+        }
+        group.userAgents.push(value.toLowerCase());
+        break;
+      case 'allow':
+      case 'disallow':
+        // Rules outside of a group and empty rules are ignored
+        if (group && value) {
+          group.rules.push({ type: field, path: value });
+        }
+        break;
+      case 'crawl-delay':
+        if (group && !isNaN(parseFloat(value))) {
+          group.crawlDelay = parseFloat(value);
+        }
+        break;
+      case 'sitemap':
+        if (value) robots.sitemaps.push(value);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return robots;
+}
+
+// Function to fetch and parse robots.txt, returning null if it cannot be fetched
+async function loadRobotsTxt(websiteUrl) {
+  const robotsUrl = `${new URL(websiteUrl).origin}/robots.txt`;
+  console.log(`Looking for sitemaps in robots.txt: ${robotsUrl}`);
+
+  let robotsTxt;
+  try {
+    robotsTxt = await fetchWithRetry(robotsUrl);
+  } catch (error) {
+    console.log(`Could not fetch robots.txt: ${error.message}`);
+    return null;
+  }
+
+  // Check if content appears to be binary/compressed
+  if (!isTextContent(robotsTxt)) {
+    console.log(
+      'Warning: robots.txt appears to contain binary or compressed content'
+    );
+
+    // Try regex approach for binary content
+    const matches = robotsTxt.match(/Sitemap:\s*(https?:\/\/[^\s\n\r]+)/gi);
+    return {
+      robotsUrl,
+      groups: [],
+      sitemaps: (matches || []).map((match) =>
+        match.replace(/^Sitemap:\s*/i, '').trim()
+      ),
+    };
+  }
+
+  console.log('----- First 200 characters of robots.txt -----');
+  console.log(robotsTxt.substring(0, 200));
+  console.log('----- End of preview -----');
+
+  return { robotsUrl, ...parseRobotsTxt(robotsTxt) };
+}
+
+// Function to merge the groups that apply to a user agent (most specific agent wins)
+function getRobotsGroup(robots, userAgent) {
+  const agent = userAgent.toLowerCase();
+  let bestToken = null;
+
+  for (const group of robots.groups) {
+    for (const token of group.userAgents) {
+      if (token === '*' || !agent.startsWith(token)) continue;
+      if (!bestToken || token.length > bestToken.length) bestToken = token;
+    }
+  }
+
+  // Fall back to the wildcard group when no group names this agent
+  const matchToken = bestToken || '*';
+  const groups = robots.groups.filter((group) =>
+    group.userAgents.includes(matchToken)
+  );
+
+  return {
+    userAgent: matchToken,
+    rules: groups.flatMap((group) => group.rules),
+    crawlDelay: groups
+      .map((group) => group.crawlDelay)
+      .find((delay) => delay !== null),
+  };
+}
+
+// Helper function to turn a robots.txt path pattern with * and $ into a RegExp
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+// Function to evaluate Allow/Disallow rules for a URL and user agent
+function isAllowedByRobots(robots, url, userAgent) {
+  const { pathname, search } = new URL(url);
+  const urlPath = pathname + search;
+  const group = getRobotsGroup(robots, userAgent);
+
+  // The robots.txt file itself is always allowed
+  if (pathname === '/robots.txt') {
+    return { userAgent, allowed: true, rule: null, group: group.userAgent };
+  }
+
+  // The longest matching rule wins; Allow wins a tie
+  let match = null;
+  for (const rule of group.rules) {
+    if (!patternToRegExp(rule.path).test(urlPath)) continue;
+    if (
+      !match ||
+      rule.path.length > match.path.length ||
+      (rule.path.length === match.path.length && rule.type === 'allow')
+    ) {
+      match = rule;
+    }
+  }
+
+  return {
+    userAgent,
+    allowed: !match || match.type === 'allow',
+    rule: match
+      ? `${match.type === 'allow' ? 'Allow' : 'Disallow'}: ${match.path}`
+      : null,
+    group: group.userAgent,
+    crawlDelay: group.crawlDelay,
+  };
+}
+
+// Helper function to get the user agents to check, including the configured one
+function getRobotsUserAgents(config = {}) {
+  const agents = [...DEFAULT_ROBOTS_USER_AGENTS];
+  const configured = config.robotsUserAgent || DEFAULT_ROBOTS_USER_AGENT;
+  if (!agents.includes(configured)) agents.push(configured);
+  return agents;
+}
+
+// Function to check a list of URLs against robots.txt for several user agents
+function checkUrlsAgainstRobots(robots, urls, userAgents) {
+  return urls.map((url) => {
+    const results = userAgents.map((userAgent) =>
+      isAllowedByRobots(robots, url, userAgent)
+    );
+    return {
+      url,
+      blocked: results.some((result) => !result.allowed),
+      blockedFor: results
+        .filter((result) => !result.allowed)
+        .map((result) => result.userAgent),
+      results,
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_ROBOTS_USER_AGENTS,
+  DEFAULT_ROBOTS_USER_AGENT,
+  parseRobotsTxt,
+  loadRobotsTxt,
+  getRobotsGroup,
+  isAllowedByRobots,
+  getRobotsUserAgents,
+  checkUrlsAgainstRobots,
+};
@@ -0,0 +1,251 @@
+const { spawn, execFile } = require('child_process');
+
+// Default time a single Screaming Frog crawl may run before it is stopped
+const DEFAULT_CRAWL_TIMEOUT = 6 * 60 * 60 * 1000;
+
+// Time Screaming Frog gets to exit after SIGTERM before it is killed
+const KILL_GRACE_PERIOD = 10000;
+
+// Number of output lines kept for error messages
+const OUTPUT_TAIL_LINES = 50;
+
+// Screaming Frog logs its crawl progress as
+// "SpiderProgress [mActive=2, mCompleted=120, mWaiting=80, mCompleted=60.0%]"
+const PROGRESS_PATTERN =
+  /SpiderProgress \[mActive=(\d+), mCompleted=(\d+), mWaiting=(\d+), mCompleted=([\d.]+)%\]/;
+
+// Crawls that are running, so that they can be stopped on Ctrl-C
+const activeCrawls = new Set();
+let signalHandlersInstalled = false;
+
+// Function to run a Screaming Frog command without blocking, streaming its progress.
+// The arguments are passed straight to the process, never through a shell.
+function runCommand(file, args, options = {}) {
+  const timeout =
+    options.timeout !== undefined ? options.timeout : DEFAULT_CRAWL_TIMEOUT;
+  const label = options.label || 'Screaming Frog';
+
+  return new Promise((resolve) => {
+    const result = {
+      exitCode: null,
+      signal: null,
+      timedOut: false,
+      cancelled: false,
+      durationMs: 0,
+      progress: null,
+      output: [],
+      error: null,
+    };
+    const start = Date.now();
+
+    // Run in its own process group so the Java process can be stopped with the launcher
+    const child = spawn(file, args, {
+      shell: false,
+      detached: process.platform !== 'win32',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    const crawl = { child, label, result };
+    activeCrawls.add(crawl);
+    installSignalHandlers();
+
+    const onOutput = createLineReader((line) => {
+      result.output.push(line);
+      if (result.output.length > OUTPUT_TAIL_LINES) result.output.shift();
+
+      const progress = parseProgress(line);
+      if (progress) {
+        result.progress = progress;
+        reportProgress(crawl, progress);
+      } else if (options.verbose) {
+        console.log(line);
+      }
+    });
+    child.stdout.on('data', onOutput);
+    child.stderr.on('data', onOutput);
+
+    let timer = null;
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        console.error(
+          `\n${label} did not finish within ${formatDuration(
+            timeout
+          )}, stopping it`
+        );
+        result.timedOut = true;
+        stopCrawl(crawl);
+      }, timeout);
+    }
+
+    const finish = () => {
+      clearTimeout(timer);
+      clearTimeout(crawl.killTimer);
+      activeCrawls.delete(crawl);
+      result.durationMs = Date.now() - start;
+      if (result.progress && process.stdout.isTTY) process.stdout.write('\n');
+      resolve(result);
+    };
+
+    child.on('error', (error) => {
+      result.error = error.message;
+      finish();
+    });
+    child.on('close', (code, signal) => {
+      result.exitCode = code;
+      result.signal = signal;
+      if (result.timedOut) {
+        result.error = `Crawl timed out after ${formatDuration(timeout)}`;
+      } else if (result.cancelled) {
+        result.error = 'Crawl was cancelled';
+      } else if (code !== 0) {
+        result.error = `Command failed with exit code ${code}${
+          signal ? ` (${signal})` : ''
+        }: ${result.output.slice(-10).join('\n')}`;
+      }
+      finish();
+    });
+  });
+}
+
+// Function to split an option string from config.json into arguments, honouring
+// quotes but without any shell expansion. Inside double quotes only \" and \\ are
+// escapes, so Windows paths keep their backslashes.
+function splitArgs(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (!value) return [];
+
+  const args = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    if (match[1] !== undefined) args.push(match[1].replace(/\\(["\\])/g, '$1'));
+    else if (match[2] !== undefined) args.push(match[2]);
+    else args.push(match[3]);
+  }
+  return args;
+}
+
+// Helper function to show a command and its arguments in the logs
+function formatCommand(file, args) {
+  return [file, ...args]
+    .map((arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg)))
+    .join(' ');
+}
+
+// Helper function to format a timeout for log messages
+function formatDuration(ms) {
+  if (ms < 60000) return `${Math.round(ms / 1000)} second(s)`;
+  return `${Math.round(ms / 60000)} minute(s)`;
+}
+
+// Helper function to split streamed output into lines
+function createLineReader(onLine) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk.toString();
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.filter((line) => line.trim()).forEach(onLine);
+  };
+}
+
+// Helper function to parse a Screaming Frog progress line
+function parseProgress(line) {
+  const match = PROGRESS_PATTERN.exec(line);
+  if (!match) return null;
+
+  return {
+    active: Number(match[1]),
+    completed: Number(match[2]),
+    waiting: Number(match[3]),
+    percent: Number(match[4]),
+  };
+}
+
+// Helper function to show crawl progress, in place on a terminal and as log lines otherwise
+function reportProgress(crawl, progress) {
+  const message = `${crawl.label}: ${progress.percent.toFixed(1)}% (${
+    progress.completed
+  } crawled, ${progress.waiting} waiting, ${progress.active} active)`;
+
+  // Progress is only updated in place while a single crawl is running
+  if (process.stdout.isTTY && activeCrawls.size === 1) {
+    process.stdout.write(`\r${message}`);
+    return;
+  }
+
+  // Only log every 10% when the output is not a terminal
+  const step = Math.floor(progress.percent / 10);
+  if (step !== crawl.lastStep) {
+    crawl.lastStep = step;
+    console.log(message);
+  }
+}
+
+// Helper function to stop a crawl and its Java process, killing it if it does not exit
+function stopCrawl(crawl, signal = 'SIGTERM') {
+  const { child } = crawl;
+  if (child.exitCode !== null || child.signalCode !== null) return;
+
+  if (process.platform === 'win32') {
+    // taskkill stops the whole process tree of the launcher
+    execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+    return;
+  }
+
+  try {
+    // A negative pid signals the whole process group
+    process.kill(-child.pid, signal);
+  } catch (error) {
+    child.kill(signal);
+  }
+
+  if (signal !== 'SIGKILL' && !crawl.killTimer) {
+    crawl.killTimer = setTimeout(
+      () => stopCrawl(crawl, 'SIGKILL'),
+      KILL_GRACE_PERIOD
+    );
+  }
+}
+
+// Helper function to stop running crawls when the user presses Ctrl-C
+function installSignalHandlers() {
+  if (signalHandlersInstalled) return;
+  signalHandlersInstalled = true;
+
+  const onSignal = (signal) => {
+    if (activeCrawls.size === 0) {
+      process.exit(signal === 'SIGINT' ? 130 : 143);
+    }
+
+    console.error(
+      `\nReceived ${signal}, stopping ${activeCrawls.size} running crawl(s)...`
+    );
+    const crawls = Array.from(activeCrawls);
+    crawls.forEach((crawl) => {
+      crawl.result.cancelled = true;
+      stopCrawl(crawl);
+    });
+
+    // Exit once every crawl has stopped
+    Promise.all(
+      crawls.map(
+        (crawl) =>
+          new Promise((resolve) => {
+            if (crawl.child.exitCode !== null) return resolve();
+            crawl.child.once('close', resolve);
+          })
+      )
+    ).then(() => process.exit(signal === 'SIGINT' ? 130 : 143));
+  };
+
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+}
+
+module.exports = {
+  DEFAULT_CRAWL_TIMEOUT,
+  runCommand,
+  splitArgs,
+  formatCommand,
+  parseProgress,
+};
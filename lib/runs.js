@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// Name of the pointer to the latest run in a results folder
+const LATEST_RUN = 'latest';
+
+// Run folders are named after the time the run started, e.g. 2025-01-31T09-30-00
+const RUN_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(-\d+)?$/;
+
+// Function to create a timestamped folder for a new run in a results folder
+function createRun(baseFolder, date = new Date()) {
+  fs.mkdirSync(baseFolder, { recursive: true });
+
+  // Runs started in the same second get a counter
+  const timestamp = date.toISOString().replace(/:/g, '-').split('.')[0];
+  let id = timestamp;
+  for (let i = 2; fs.existsSync(path.join(baseFolder, id)); i++) {
+    id = `${timestamp}-${i}`;
+  }
+
+  const folder = path.join(baseFolder, id);
+  fs.mkdirSync(folder);
+  updateLatestRun(baseFolder, id);
+  console.log(`Saving this run to: ${folder}`);
+  return { id, folder };
+}
+
+// Function to start a new run, or continue the latest one when resuming
+function openRun(baseFolder, options = {}) {
+  if (options.resume) {
+    const latest = findRun(baseFolder);
+    if (latest) {
+      console.log(`Continuing run ${latest.id} in: ${latest.folder}`);
+      return latest;
+    }
+  }
+  return createRun(baseFolder);
+}
+
+// Helper function to point "latest" at a run: a symbolic link where the system
+// allows it (a junction on Windows), or a text file with the run id otherwise
+function updateLatestRun(baseFolder, id) {
+  const latestPath = path.join(baseFolder, LATEST_RUN);
+  fs.rmSync(latestPath, { force: true });
+  try {
+    fs.symlinkSync(id, latestPath, 'junction');
+  } catch (error) {
+    fs.writeFileSync(latestPath, id);
+  }
+}
+
+// Helper function to read the run id that "latest" points at
+function readLatestRun(baseFolder) {
+  const latestPath = path.join(baseFolder, LATEST_RUN);
+  try {
+    const stats = fs.lstatSync(latestPath);
+    const id = stats.isSymbolicLink()
+      ? path.basename(fs.readlinkSync(latestPath))
+      : fs.readFileSync(latestPath, 'utf8').trim();
+    return fs.existsSync(path.join(baseFolder, id)) ? id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Function to list the runs in a results folder, oldest first
+function listRuns(baseFolder) {
+  if (!fs.existsSync(baseFolder)) return [];
+  return fs
+    .readdirSync(baseFolder, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && RUN_ID_PATTERN.test(entry.name))
+    .map((entry) => entry.name)
+    .sort(compareRunIds);
+}
+
+// Helper function to sort run ids by time, and runs started in the same second by their counter
+function compareRunIds(a, b) {
+  const runA = parseRunId(a);
+  const runB = parseRunId(b);
+  if (runA.time !== runB.time) return runA.time < runB.time ? -1 : 1;
+  return runA.count - runB.count;
+}
+
+// Helper function to split a run id into its timestamp and counter
+function parseRunId(id) {
+  const match = id.match(/^(.*T\d{2}-\d{2}-\d{2})(?:-(\d+))?$/);
+  return { time: match[1], count: Number(match[2] || 1) };
+}
+
+// Function to find a run in a results folder: the latest run when no run is
+// given, otherwise the run with that timestamp or the only run starting with it
+// (e.g. "2025-01-31"). Returns null when the folder has no runs.
+function findRun(baseFolder, run) {
+  const runs = listRuns(baseFolder);
+  if (runs.length === 0) {
+    if (run && run !== LATEST_RUN) {
+      throw new Error(`No runs found in ${baseFolder}`);
+    }
+    return null;
+  }
+
+  let id;
+  if (!run || run === LATEST_RUN) {
+    id = readLatestRun(baseFolder) || runs[runs.length - 1];
+  } else if (runs.includes(run)) {
+    id = run;
+  } else {
+    const matches = runs.filter((candidate) => candidate.startsWith(run));
+    if (matches.length !== 1) {
+      throw new Error(
+        `${
+          matches.length === 0
+            ? `No run "${run}" found`
+            : `Run "${run}" matches ${matches.length} runs`
+        } in ${baseFolder}. Available runs: ${runs.join(', ')}`
+      );
+    }
+    id = matches[0];
+  }
+
+  return { id, folder: path.join(baseFolder, id) };
+}
+
+// Function to resolve a folder given by the user: a folder with run history
+// resolves to its latest run or the run given, any other folder is used as is
+function resolveRunFolder(folder, run) {
+  const found = findRun(path.resolve(folder), run);
+  return found ? found.folder : path.resolve(folder);
+}
+
+// Function to delete old runs of a results folder, keeping the newest
+// "keepRuns" runs and the runs of the last "keepDays" days. The latest run is
+// never deleted.
+function pruneRuns(baseFolder, options = {}) {
+  const { keepRuns, keepDays } = options;
+  if (!keepRuns && !keepDays) return [];
+
+  const runs = listRuns(baseFolder);
+  const latest = readLatestRun(baseFolder) || runs[runs.length - 1];
+  const cutoff = keepDays ? Date.now() - keepDays * 24 * 60 * 60 * 1000 : null;
+
+  const deleted = runs.filter((id, index) => {
+    if (id === latest) return false;
+    const tooMany = keepRuns && index < runs.length - keepRuns;
+    const tooOld = cutoff !== null && getRunTime(id) < cutoff;
+    // With both settings, a run is kept when either of them keeps it
+    return keepRuns && keepDays ? tooMany && tooOld : tooMany || tooOld;
+  });
+
+  deleted.forEach((id) => {
+    fs.rmSync(path.join(baseFolder, id), { recursive: true, force: true });
+  });
+  if (deleted.length > 0) {
+    console.log(
+      `Deleted ${deleted.length} old run(s) from ${baseFolder}: ${deleted.join(
+        ', '
+      )}`
+    );
+  }
+  return deleted;
+}
+
+// Helper function to get the start time of a run from its id
+function getRunTime(id) {
+  const [date, time] = parseRunId(id).time.split('T');
+  return Date.parse(`${date}T${time.replace(/-/g, ':')}Z`);
+}
+
+module.exports = {
+  LATEST_RUN,
+  RUN_ID_PATTERN,
+  createRun,
+  openRun,
+  listRuns,
+  findRun,
+  resolveRunFolder,
+  pruneRuns,
+  getRunTime,
+};
@@ -0,0 +1,222 @@
+const { XMLParser } = require('fast-xml-parser');
+
+// Default number of nested sitemap index levels to expand
+const DEFAULT_MAX_SITEMAP_DEPTH = 5;
+
+// Helper function to normalize a parsed XML node to an array
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// A line of a plain-text sitemap: one absolute http(s) URL
+const TEXT_SITEMAP_URL = /^https?:\/\/\S+$/i;
+
+// Human-readable names of the supported sitemap formats
+const SITEMAP_FORMAT_NAMES = {
+  xml: 'XML',
+  text: 'plain-text',
+  rss: 'RSS 2.0',
+  atom: 'Atom 1.0',
+};
+
+// Function to parse sitemap content into its type, format, child sitemaps and page URLs.
+// XML urlsets, text, RSS and Atom sitemaps all have the type "urlset".
+function parseSitemap(content) {
+  // Plain-text sitemaps list one URL per line and contain no markup
+  const trimmed = content.replace(/^\uFEFF/, '').trim();
+  if (trimmed && !trimmed.startsWith('<')) {
+    const urls = parseTextSitemap(trimmed);
+    return {
+      type: urls ? 'urlset' : 'unknown',
+      format: 'text',
+      sitemaps: [],
+      urls: urls || [],
+      parsed: null,
+    };
+  }
+
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+  });
+  const parsed = parser.parse(content);
+
+  // Check if it's a sitemap index
+  if (parsed.sitemapindex && parsed.sitemapindex.sitemap) {
+    return {
+      type: 'index',
+      format: 'xml',
+      sitemaps: toArray(parsed.sitemapindex.sitemap)
+        .map((sitemap) => sitemap.loc)
+        .filter(Boolean),
+      urls: [],
+      parsed,
+    };
+  }
+
+  // Check if it's a regular sitemap
+  if (parsed.urlset && parsed.urlset.url) {
+    const entries = toArray(parsed.urlset.url);
+    return {
+      type: 'urlset',
+      format: 'xml',
+      sitemaps: [],
+      urls: entries.map((url) => url.loc).filter(Boolean),
+      extensions: parseSitemapExtensions(entries),
+      parsed,
+    };
+  }
+
+  // Check if it's an RSS 2.0 feed
+  if (parsed.rss && parsed.rss.channel) {
+    return {
+      type: 'urlset',
+      format: 'rss',
+      sitemaps: [],
+      urls: toArray(parsed.rss.channel.item).map(getRssItemUrl).filter(Boolean),
+      parsed,
+    };
+  }
+
+  // Check if it's an Atom 1.0 feed
+  if (parsed.feed) {
+    return {
+      type: 'urlset',
+      format: 'atom',
+      sitemaps: [],
+      urls: toArray(parsed.feed.entry).map(getAtomEntryUrl).filter(Boolean),
+      parsed,
+    };
+  }
+
+  return { type: 'unknown', format: 'xml', sitemaps: [], urls: [], parsed };
+}
+
+// Helper function to extract the URLs of a plain-text sitemap (one URL per line).
+// Any other line means this is not a sitemap, e.g. a plain-text error page.
+function parseTextSitemap(content) {
+  const lines = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  return lines.every((line) => TEXT_SITEMAP_URL.test(line)) ? lines : null;
+}
+
+// Helper function to get the page URL of an RSS item
+function getRssItemUrl(item) {
+  if (typeof item.link === 'string') return item.link.trim();
+
+  // Fall back to a permalink guid when the item has no link
+  const guid = item.guid;
+  if (typeof guid === 'string') return /^https?:\/\//i.test(guid) ? guid : null;
+  if (guid && guid['@_isPermaLink'] !== 'false') return guid['#text'] || null;
+
+  return null;
+}
+
+// Helper function to get the page URL of an Atom entry
+function getAtomEntryUrl(entry) {
+  const links = toArray(entry.link);
+  const alternate =
+    links.find((link) => link['@_rel'] === 'alternate') ||
+    links.find((link) => !link['@_rel']);
+
+  return alternate ? alternate['@_href'] : null;
+}
+
+// Function to parse the image, video and news extensions of urlset entries
+function parseSitemapExtensions(entries) {
+  const extensions = { images: [], videos: [], news: [] };
+
+  entries.forEach((entry) => {
+    const pageUrl = getText(entry.loc);
+
+    getChildren(entry, 'image').forEach((image) => {
+      extensions.images.push({
+        pageUrl,
+        loc: getText(getChild(image, 'loc')),
+        title: getText(getChild(image, 'title')),
+        caption: getText(getChild(image, 'caption')),
+      });
+    });
+
+    getChildren(entry, 'video').forEach((video) => {
+      extensions.videos.push({
+        pageUrl,
+        thumbnailLoc: getText(getChild(video, 'thumbnail_loc')),
+        title: getText(getChild(video, 'title')),
+        description: getText(getChild(video, 'description')),
+        contentLoc: getText(getChild(video, 'content_loc')),
+        playerLoc: getText(getChild(video, 'player_loc')),
+        duration: getText(getChild(video, 'duration')),
+        publicationDate: getText(getChild(video, 'publication_date')),
+        expirationDate: getText(getChild(video, 'expiration_date')),
+        rating: getText(getChild(video, 'rating')),
+      });
+    });
+
+    getChildren(entry, 'news').forEach((news) => {
+      const publication = getChild(news, 'publication') || {};
+      extensions.news.push({
+        pageUrl,
+        publicationName: getText(getChild(publication, 'name')),
+        publicationLanguage: getText(getChild(publication, 'language')),
+        publicationDate: getText(getChild(news, 'publication_date')),
+        title: getText(getChild(news, 'title')),
+      });
+    });
+  });
+
+  return extensions;
+}
+
+// Helper function to get the child elements with a local name, whatever the namespace prefix
+function getChildren(node, localName) {
+  if (!node || typeof node !== 'object') return [];
+  return Object.keys(node)
+    .filter((key) => key.endsWith(`:${localName}`))
+    .flatMap((key) => toArray(node[key]));
+}
+
+// Helper function to get the first child element with a local name
+function getChild(node, localName) {
+  if (node && typeof node === 'object' && node[localName] !== undefined) {
+    return node[localName];
+  }
+  return getChildren(node, localName)[0];
+}
+
+// Helper function to get the trimmed text of a parsed element
+function getText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return getText(value['#text']);
+  return String(value).trim();
+}
+
+// Helper function to normalize a sitemap URL so that duplicates can be detected
+function normalizeSitemapUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch (error) {
+    return url;
+  }
+}
+
+// Helper function to get the maximum sitemap index depth from options or config
+function getMaxSitemapDepth(options = {}, config = {}) {
+  if (options.maxDepth !== undefined) return options.maxDepth;
+  if (config.maxSitemapDepth !== undefined) return config.maxSitemapDepth;
+  return DEFAULT_MAX_SITEMAP_DEPTH;
+}
+
+module.exports = {
+  DEFAULT_MAX_SITEMAP_DEPTH,
+  SITEMAP_FORMAT_NAMES,
+  toArray,
+  parseSitemap,
+  parseSitemapExtensions,
+  normalizeSitemapUrl,
+  getMaxSitemapDepth,
+};
@@ -0,0 +1,1114 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  resolveConfig,
+  applyProfile,
+  getProfileArgs,
+  requireScreamingFrogPath,
+} = require('./config');
+const { runCommand, formatCommand } = require('./runner');
+const {
+  DEFAULT_CRAWL_RETRIES,
+  mapWithConcurrency,
+  createConfiguredCrawlPool,
+} = require('./pool');
+const {
+  fetchWithRetry,
+  validateHttpUrl,
+  isHttpUrl,
+  filterHttpUrls,
+} = require('./http');
+const { readCSV, writeCSV } = require('./csv');
+const {
+  loadRobotsTxt,
+  getRobotsGroup,
+  getRobotsUserAgents,
+  checkUrlsAgainstRobots,
+} = require('./robots');
+const {
+  validateSitemap,
+  writeValidationReport,
+  writeExtensionsReport,
+  logValidationReport,
+} = require('./validation');
+const {
+  collectHreflangAlternates,
+  auditHreflang,
+  writeHreflangReport,
+  logHreflangAudit,
+} = require('./hreflang');
+const { runGapAnalysis } = require('./gap');
+const { RUN_STATE_FILE, createRunState } = require('./state');
+const { openRun, pruneRuns } = require('./runs');
+const {
+  RUN_MANIFEST_FILE,
+  createRunManifest,
+  toManifestCommand,
+  countStatusCodes,
+} = require('./manifest');
+const {
+  getExportOptions,
+  applyExportOverrides,
+  checkExportFiles,
+  writeExportCheck,
+} = require('./exports');
+const {
+  DISCOVERY_SOURCES,
+  discoverCmsSitemaps,
+  discoverRelatedSitemaps,
+  collectPathPrefixes,
+} = require('./discovery');
+const {
+  SITEMAP_FORMAT_NAMES,
+  parseSitemap,
+  normalizeSitemapUrl,
+  getMaxSitemapDepth,
+} = require('./sitemap-parser');
+
+// File name of the robots.txt check saved in the domain folder
+const ROBOTS_CHECK_FILE = 'robots_sitemap_check.csv';
+// File name of the list of discovered sitemaps saved in the domain folder
+const DISCOVERY_REPORT_FILE = 'discovered_sitemaps.csv';
+const DISCOVERY_REPORT_HEADERS = ['Sitemap URL', 'Found Via', 'Type', 'Depth'];
+
+const ROBOTS_CHECK_HEADERS = [
+  'Sitemap URL',
+  'User Agent',
+  'Matched Group',
+  'Allowed',
+  'Matched Rule',
+  'Crawl Delay',
+];
+
+// Function to discover and crawl every sitemap of a website
+async function crawlSitemaps(websiteUrl, options = {}) {
+  validateHttpUrl(websiteUrl, 'Website URL');
+  console.log(`Starting sitemap discovery for: ${websiteUrl}`);
+
+  // Extract base URL without trailing slash
+  const baseUrl = websiteUrl.replace(/\/$/, '');
+  const domain = new URL(baseUrl).hostname;
+  const config = applyExportOverrides(
+    applyProfile(resolveConfig(options), {
+      profile: options.profile,
+      domain,
+    }),
+    options
+  );
+
+  // Check the Screaming Frog path and the requested exports before anything is crawled
+  requireScreamingFrogPath(config);
+  getExportOptions(config);
+
+  // Save this run in its own timestamped folder, or continue the latest one
+  const run = openRun(getDomainFolder(domain, config), {
+    resume: options.resume,
+  });
+
+  const manifest = createRunManifest(path.join(run.folder, RUN_MANIFEST_FILE), {
+    command: 'sitemap',
+    target: websiteUrl,
+    runId: run.id,
+    config,
+    filesFolder: run.folder,
+  });
+  try {
+    const result = await crawlSitemapsInRun(websiteUrl, run, config, options);
+    manifest.finish(await getSitemapManifest(result));
+    return result;
+  } catch (error) {
+    manifest.fail(error);
+    throw error;
+  }
+}
+
+// Helper function to run the steps of a sitemap crawl in the folder of a run
+async function crawlSitemapsInRun(websiteUrl, run, config, options = {}) {
+  const baseUrl = websiteUrl.replace(/\/$/, '');
+  const domain = new URL(baseUrl).hostname;
+
+  // Step 1: Find all sitemaps from robots.txt
+  const robots = await loadRobotsTxt(baseUrl);
+  const discovered = (await findSitemapsFromRobotsTxt(baseUrl, { robots })).map(
+    (sitemapUrl) => ({
+      sitemapUrl,
+      source: robots ? 'robots' : 'default',
+    })
+  );
+
+  // Step 2: Probe the sitemap locations of common CMSs
+  const known = new Set(
+    discovered.map(({ sitemapUrl }) => normalizeSitemapUrl(sitemapUrl))
+  );
+  discovered.push(...(await discoverCmsSitemaps(baseUrl, known)));
+
+  if (discovered.length === 0) {
+    // If no sitemaps were found, try the default sitemap.xml location
+    console.log('No sitemaps found, trying default sitemap.xml location');
+    discovered.push({
+      sitemapUrl: `${baseUrl}/sitemap.xml`,
+      source: 'default',
+    });
+  }
+
+  console.log(`Found ${discovered.length} potential sitemap(s):`);
+  discovered.forEach(({ sitemapUrl, source }) => {
+    console.log(`- ${sitemapUrl} (${DISCOVERY_SOURCES[source]})`);
+  });
+
+  // Step 3: Process each sitemap, sharing the visited set so that sitemaps
+  // listed both in robots.txt and in an index are only crawled once
+  const visited = new Set();
+  const hreflang = new Map();
+  const pathPrefixes = new Set();
+  const pageUrls = options.gapAnalysis ? new Map() : null;
+  const crawlPool = options.crawlPool || createConfiguredCrawlPool(config);
+  const runState = createRunState(path.join(run.folder, RUN_STATE_FILE), {
+    resume: options.resume,
+    command: 'sitemap',
+    target: websiteUrl,
+  });
+  const sitemaps = [];
+  const processDiscovered = async (entries) => {
+    for (const { sitemapUrl, source } of entries) {
+      if (visited.has(normalizeSitemapUrl(sitemapUrl))) {
+        console.log(`Skipping sitemap already processed: ${sitemapUrl}`);
+        continue;
+      }
+      runState.add(normalizeSitemapUrl(sitemapUrl), { sitemapUrl, source });
+      sitemaps.push(
+        await processSitemap(sitemapUrl, {
+          config,
+          domain,
+          maxDepth: options.maxDepth,
+          visited,
+          hreflang,
+          pathPrefixes,
+          pageUrls,
+          crawlPool,
+          runState,
+          runFolder: run.folder,
+          source,
+          verbose: options.verbose,
+        })
+      );
+    }
+  };
+  await processDiscovered(discovered);
+
+  // Step 4: Look for locale and section sitemaps next to the discovered URLs
+  const related = await discoverRelatedSitemaps(
+    baseUrl,
+    [...visited, ...pathPrefixes],
+    new Set([...visited, ...known])
+  );
+  discovered.push(...related);
+  await processDiscovered(related);
+  writeDiscoveryReport(sitemaps, { config, domain, runFolder: run.folder });
+
+  // Step 5: Check every discovered sitemap against the robots.txt rules
+  const robotsChecks = robots
+    ? checkSitemapsAgainstRobots(robots, Array.from(visited), {
+        config,
+        domain,
+        runFolder: run.folder,
+      })
+    : [];
+
+  // Step 6: Audit the hreflang alternates found in the sitemaps
+  const hreflangAudit =
+    hreflang.size > 0
+      ? auditSitemapHreflang(hreflang, {
+          config,
+          domain,
+          runFolder: run.folder,
+        })
+      : null;
+
+  // Step 7: Report which sitemaps were crawled, failed or skipped
+  const summary = summarizeSitemaps(sitemaps);
+  logSitemapSummary(summary);
+
+  // Step 8: Compare the sitemap URLs with a spider crawl of the website
+  const gapAnalysis = pageUrls
+    ? await runGapAnalysis(baseUrl, pageUrls, {
+        config,
+        outputFolder: run.folder,
+        verbose: options.verbose,
+      })
+    : null;
+
+  // Step 9: Delete the runs that the retention settings no longer keep
+  pruneRuns(getDomainFolder(domain, config), {
+    keepRuns: config.keepRuns,
+    keepDays: config.keepDays,
+  });
+
+  return {
+    websiteUrl,
+    domain,
+    profile: config.appliedProfile,
+    runId: run.id,
+    runFolder: run.folder,
+    runState: runState.filePath,
+    resumed: runState.resumed,
+    summary,
+    sitemapUrls: discovered.map(({ sitemapUrl }) => sitemapUrl),
+    discovered,
+    sitemaps,
+    robotsChecks,
+    hreflang: hreflangAudit,
+    gapAnalysis,
+  };
+}
+
+// Helper function to list every processed sitemap with the children of indexes
+function flattenSitemaps(sitemaps) {
+  const results = [];
+  const addResult = (result) => {
+    results.push(result);
+    result.children.forEach(addResult);
+  };
+  sitemaps.forEach(addResult);
+  return results;
+}
+
+// Function to describe a sitemap crawl in its run manifest: the sitemaps found,
+// the Screaming Frog commands, the URLs by status code and the errors
+async function getSitemapManifest(result) {
+  const sitemaps = flattenSitemaps(result.sitemaps);
+  const crawls = sitemaps.flatMap((sitemap) => sitemap.crawls);
+  if (result.gapAnalysis) crawls.push(result.gapAnalysis.crawl);
+
+  // Count each URL once, even when it was crawled from more than one sitemap
+  const urls = new Map();
+  for (const crawl of crawls.filter((item) => item.success && item.files)) {
+    const urlFile = crawl.files.find(
+      (file) => file.toLowerCase() === 'url_all.csv'
+    );
+    if (!urlFile) continue;
+    (await readCSV(path.join(crawl.outputFolder, urlFile))).forEach((row) => {
+      if (row.Address) urls.set(row.Address, row);
+    });
+  }
+
+  const errors = result.summary.failed.map((failed) => ({
+    sitemapUrl: failed.sitemapUrl,
+    message: failed.error || 'Crawl failed',
+    attempts: failed.attempts,
+  }));
+  if (result.gapAnalysis && result.gapAnalysis.error) {
+    errors.push({
+      websiteUrl: result.websiteUrl,
+      message: `Gap analysis: ${result.gapAnalysis.error}`,
+    });
+  }
+
+  return {
+    resumed: result.resumed,
+    sitemaps: sitemaps.map((sitemap) => ({
+      url: sitemap.sitemapUrl,
+      foundVia: DISCOVERY_SOURCES[sitemap.source] || null,
+      type: sitemap.type,
+      format: sitemap.format || null,
+      depth: sitemap.depth,
+      outputFolder: sitemap.outputFolder,
+      error: sitemap.error || null,
+    })),
+    commands: crawls.map(toManifestCommand),
+    summary: {
+      sitemaps: {
+        discovered: sitemaps.length,
+        succeeded: result.summary.succeeded.length,
+        failed: result.summary.failed.length,
+        skipped: result.summary.skipped.length,
+      },
+      urls: countStatusCodes(Array.from(urls.values())),
+      hreflang: result.hreflang
+        ? { errors: result.hreflang.errors, warnings: result.hreflang.warnings }
+        : null,
+      gapAnalysis:
+        result.gapAnalysis && !result.gapAnalysis.error
+          ? {
+              missing: result.gapAnalysis.missing,
+              orphans: result.gapAnalysis.orphans,
+              nonIndexable: result.gapAnalysis.nonIndexable,
+            }
+          : null,
+    },
+    errors,
+  };
+}
+
+// Function to find sitemaps from robots.txt
+async function findSitemapsFromRobotsTxt(websiteUrl, options = {}) {
+  const baseUrl = websiteUrl.replace(/\/$/, '');
+
+  // Use the robots.txt passed in the options if it was already loaded
+  const robots =
+    options.robots !== undefined
+      ? options.robots
+      : await loadRobotsTxt(baseUrl);
+
+  if (!robots) {
+    // Fallback to common sitemap locations
+    return [`${baseUrl}/sitemap.xml`, `${baseUrl}/sitemap_index.xml`];
+  }
+
+  // Ignore Sitemap lines that are not plain http(s) URLs
+  const sitemapLines = robots.sitemaps.filter((url) => {
+    if (isHttpUrl(url)) return true;
+    console.log(
+      `Ignoring invalid sitemap URL in robots.txt: ${JSON.stringify(url)}`
+    );
+    return false;
+  });
+  console.log(`Found ${sitemapLines.length} sitemaps in robots.txt`);
+  if (sitemapLines.length > 0) {
+    console.log('Sitemaps found:');
+    sitemapLines.forEach((url) => console.log(`- ${url}`));
+  }
+
+  return sitemapLines;
+}
+
+// Function to save how every processed sitemap was found
+function writeDiscoveryReport(sitemaps, options = {}) {
+  const config = resolveConfig(options);
+  const rows = flattenSitemaps(sitemaps).map((result) => ({
+    'Sitemap URL': result.sitemapUrl,
+    'Found Via': DISCOVERY_SOURCES[result.source] || '',
+    Type: result.format
+      ? `${result.type} (${SITEMAP_FORMAT_NAMES[result.format]})`
+      : result.type,
+    Depth: result.depth,
+  }));
+
+  const domainFolder = getResultsFolder(options.domain, config, options);
+  fs.mkdirSync(domainFolder, { recursive: true });
+  const csvPath = writeCSV(
+    path.join(domainFolder, DISCOVERY_REPORT_FILE),
+    rows,
+    DISCOVERY_REPORT_HEADERS
+  );
+  console.log(`List of discovered sitemaps saved to: ${csvPath}`);
+  return csvPath;
+}
+
+// Function to check sitemap URLs against robots.txt and save the results
+function checkSitemapsAgainstRobots(robots, sitemapUrls, options = {}) {
+  const config = resolveConfig(options);
+  const userAgents = getRobotsUserAgents(config);
+  console.log(
+    `Checking ${
+      sitemapUrls.length
+    } sitemap(s) against robots.txt for: ${userAgents.join(', ')}`
+  );
+
+  // robots.txt rules only apply to URLs on the same origin
+  const origin = new URL(robots.robotsUrl).origin;
+  const sameOriginUrls = sitemapUrls.filter(
+    (url) => new URL(url).origin === origin
+  );
+  if (sameOriginUrls.length < sitemapUrls.length) {
+    console.log(
+      `Skipping ${
+        sitemapUrls.length - sameOriginUrls.length
+      } sitemap(s) hosted outside ${origin}`
+    );
+  }
+
+  const checks = checkUrlsAgainstRobots(robots, sameOriginUrls, userAgents);
+
+  // Report crawl delays, which Screaming Frog does not pick up from robots.txt
+  userAgents.forEach((userAgent) => {
+    const group = getRobotsGroup(robots, userAgent);
+    if (group.crawlDelay !== undefined) {
+      console.log(`Crawl-delay for ${userAgent}: ${group.crawlDelay}s`);
+    }
+  });
+
+  const blocked = checks.filter((check) => check.blocked);
+  if (blocked.length > 0) {
+    console.log(
+      `\nWarning: ${blocked.length} sitemap(s) are blocked by robots.txt:`
+    );
+    blocked.forEach((check) => {
+      const rules = check.results
+        .filter((result) => !result.allowed)
+        .map((result) => `${result.userAgent} (${result.rule})`);
+      console.log(`- ${check.url} blocked for ${rules.join(', ')}`);
+    });
+  } else {
+    console.log('No sitemaps are blocked by robots.txt');
+  }
+
+  // Save the results next to the Screaming Frog exports for the domain
+  const domain = options.domain || new URL(robots.robotsUrl).hostname;
+  const domainFolder = getResultsFolder(domain, config, options);
+  fs.mkdirSync(domainFolder, { recursive: true });
+
+  const rows = [];
+  checks.forEach((check) => {
+    check.results.forEach((result) => {
+      rows.push({
+        'Sitemap URL': check.url,
+        'User Agent': result.userAgent,
+        'Matched Group': result.group,
+        Allowed: result.allowed ? 'Yes' : 'No',
+        'Matched Rule': result.rule || '',
+        'Crawl Delay': result.crawlDelay !== undefined ? result.crawlDelay : '',
+      });
+    });
+  });
+  const csvPath = writeCSV(
+    path.join(domainFolder, ROBOTS_CHECK_FILE),
+    rows,
+    ROBOTS_CHECK_HEADERS
+  );
+  console.log(`Robots.txt check saved to: ${csvPath}`);
+
+  return checks;
+}
+
+// Function to audit hreflang alternates and save the reports in the domain folder
+function auditSitemapHreflang(alternatesByUrl, options = {}) {
+  const config = resolveConfig(options);
+  const audit = auditHreflang(alternatesByUrl);
+  logHreflangAudit(audit);
+
+  const { csvFile, htmlFile } = writeHreflangReport(
+    getResultsFolder(options.domain, config, options),
+    audit,
+    options.domain
+  );
+  console.log(`Hreflang audit saved to: ${csvFile}`);
+  console.log(`Hreflang summary saved to: ${htmlFile}`);
+
+  return {
+    urlCount: audit.urlCount,
+    clusterCount: audit.clusterCount,
+    languages: audit.languages,
+    errors: audit.errors,
+    warnings: audit.warnings,
+    csvFile,
+    htmlFile,
+  };
+}
+
+// Function to process a sitemap (handles regular sitemaps and nested sitemap indexes)
+async function processSitemap(sitemapUrl, options = {}) {
+  const domain = options.domain || new URL(sitemapUrl).hostname;
+  const config = applyProfile(resolveConfig(options), {
+    profile: options.profile,
+    domain,
+  });
+  const depth = options.depth || 0;
+  const maxDepth = getMaxSitemapDepth(options, config);
+  const visited = options.visited || new Set();
+  const crawlOptions = {
+    config,
+    domain,
+    parentFolder: options.parentFolder,
+    crawlPool: options.crawlPool || createConfiguredCrawlPool(config),
+    runState: options.runState,
+    runFolder: options.runFolder,
+    verbose: options.verbose,
+  };
+  const runState = options.runState;
+  const stateKey = normalizeSitemapUrl(sitemapUrl);
+  const result = {
+    sitemapUrl,
+    source: options.source,
+    type: 'unknown',
+    depth,
+    children: [],
+    skipped: [],
+    crawls: [],
+  };
+
+  // Never fetch or crawl a sitemap URL that is not a plain http(s) URL
+  try {
+    validateHttpUrl(sitemapUrl, 'Sitemap URL');
+  } catch (error) {
+    console.error(`Skipping sitemap: ${error.message}`);
+    result.error = error.message;
+    return result;
+  }
+
+  visited.add(normalizeSitemapUrl(sitemapUrl));
+  console.log(`Processing sitemap: ${sitemapUrl}`);
+
+  // Crawl the sitemap at most once. After an error, Screaming Frog only gets
+  // to try the sitemap itself when it was not crawled or expanded yet.
+  let crawlStarted = false;
+  const crawl = async (settings) => {
+    crawlStarted = true;
+    result.crawls.push(await runScreamingFrog(sitemapUrl, settings));
+  };
+
+  try {
+    // Fetch and decompress the sitemap if needed
+    let sitemapContent = await fetchWithRetry(sitemapUrl);
+
+    // Try to parse the XML
+    try {
+      const sitemap = parseSitemap(sitemapContent);
+
+      // Check the sitemap against the sitemaps.org protocol before crawling it
+      const validation = validateSitemap(sitemapContent, sitemap, sitemapUrl);
+      logValidationReport(validation);
+      result.validation = {
+        valid: validation.valid,
+        errors: validation.errors,
+        warnings: validation.warnings,
+      };
+
+      // Remember where the pages live to look for related sitemaps later
+      if (options.pathPrefixes) {
+        collectPathPrefixes(sitemap.urls, options.pathPrefixes);
+      }
+
+      // Remember the first sitemap that lists each page for the gap analysis
+      if (options.pageUrls) {
+        sitemap.urls.forEach((url) => {
+          const key = normalizeSitemapUrl(url);
+          if (!options.pageUrls.has(key)) options.pageUrls.set(key, sitemapUrl);
+        });
+      }
+
+      // Check if it's a sitemap index
+      if (sitemap.type === 'index') {
+        console.log(
+          'This is a sitemap index file containing multiple sitemaps'
+        );
+        result.type = 'index';
+
+        // Stop expanding when the index is nested too deeply
+        if (depth >= maxDepth) {
+          console.log(
+            `Warning: Maximum sitemap depth (${maxDepth}) reached, skipping ${sitemap.sitemaps.length} child sitemaps of ${sitemapUrl}`
+          );
+          result.skipped = sitemap.sitemaps.map((url) => ({
+            sitemapUrl: url,
+            reason: 'max-depth',
+          }));
+          if (runState) {
+            runState.update(stateKey, 'done', { sitemapUrl, type: 'index' });
+          }
+          return result;
+        }
+
+        // Create a parent folder for the sitemap index, nested inside its own parent index if any
+        const indexFolderPath = options.parentFolder
+          ? prepareChildFolder(sitemapUrl, options.parentFolder)
+          : await prepareOutputFolder(sitemapUrl, crawlOptions);
+        console.log(`Created parent index folder: ${indexFolderPath}`);
+        result.outputFolder = indexFolderPath;
+        result.validation.file = writeValidationReport(
+          indexFolderPath,
+          validation
+        );
+
+        // Record the children as pending, so that an interrupted run knows what is left
+        if (runState) {
+          runState.update(stateKey, 'running', {
+            sitemapUrl,
+            type: 'index',
+            outputFolder: indexFolderPath,
+          });
+          sitemap.sitemaps.filter(isHttpUrl).forEach((childUrl) =>
+            runState.add(normalizeSitemapUrl(childUrl), {
+              sitemapUrl: childUrl,
+              source: 'index',
+              parent: sitemapUrl,
+            })
+          );
+        }
+
+        // Process the child sitemaps with nested folders, several at a time
+        // when the crawl pool allows it
+        crawlStarted = true;
+        const children = await mapWithConcurrency(
+          sitemap.sitemaps,
+          crawlOptions.crawlPool.concurrency,
+          async (childUrl) => {
+            console.log(`Found child sitemap: ${childUrl}`);
+
+            // Skip child sitemaps that are not plain http(s) URLs
+            if (!isHttpUrl(childUrl)) {
+              console.log(
+                `Skipping invalid child sitemap URL: ${JSON.stringify(
+                  childUrl
+                )}`
+              );
+              result.skipped.push({
+                sitemapUrl: childUrl,
+                reason: 'invalid-url',
+              });
+              return null;
+            }
+
+            // Skip sitemaps that were already processed to avoid index cycles
+            if (visited.has(normalizeSitemapUrl(childUrl))) {
+              console.log(
+                `Skipping child sitemap already processed in this run: ${childUrl}`
+              );
+              result.skipped.push({ sitemapUrl: childUrl, reason: 'cycle' });
+              return null;
+            }
+
+            // Process the child sitemap with indexFolderPath as parent, keeping
+            // a failure from stopping the other children
+            try {
+              return await processSitemap(childUrl, {
+                ...crawlOptions,
+                depth: depth + 1,
+                maxDepth,
+                visited,
+                hreflang: options.hreflang,
+                pathPrefixes: options.pathPrefixes,
+                pageUrls: options.pageUrls,
+                source: 'index',
+                parentFolder: indexFolderPath,
+              });
+            } catch (error) {
+              console.error(
+                `Error processing child sitemap ${childUrl}: ${error.message}`
+              );
+              return {
+                sitemapUrl: childUrl,
+                source: 'index',
+                type: 'unknown',
+                depth: depth + 1,
+                children: [],
+                skipped: [],
+                crawls: [],
+                error: error.message,
+              };
+            }
+          }
+        );
+        result.children = children.filter(Boolean);
+
+        // The index is done when all of its children are
+        if (runState) {
+          const childrenDone = result.children.every((child) => {
+            const entry = runState.get(normalizeSitemapUrl(child.sitemapUrl));
+            return entry && entry.status === 'done';
+          });
+          runState.update(stateKey, childrenDone ? 'done' : 'failed', {
+            error: childrenDone ? undefined : 'Some child sitemaps failed',
+          });
+        }
+      }
+      // Save the validation report next to the Screaming Frog exports
+      else {
+        const outputFolder = await resolveSitemapFolder(
+          sitemapUrl,
+          crawlOptions
+        );
+        result.validation.file = writeValidationReport(
+          outputFolder,
+          validation
+        );
+
+        // Keep the image, video and news entries next to the validation report
+        const { images, videos, news } = validation.extensions;
+        if (images + videos + news > 0) {
+          result.extensions = {
+            ...validation.extensions,
+            file: writeExtensionsReport(outputFolder, sitemap.extensions),
+          };
+        }
+
+        // It's a regular sitemap
+        if (sitemap.type === 'urlset' && sitemap.format === 'xml') {
+          console.log('This is a regular sitemap file');
+          result.type = 'urlset';
+
+          // Keep the hreflang alternates for the audit after all sitemaps are processed
+          if (options.hreflang) {
+            collectHreflangAlternates(sitemap, sitemapUrl, options.hreflang);
+          }
+
+          // Screaming Frog has no URL limit for sitemap crawls, so larger
+          // sitemaps are crawled as a list when the profile sets maxUrls
+          const limitUrls =
+            config.maxUrls && sitemap.urls.length > config.maxUrls;
+          await crawl({
+            ...crawlOptions,
+            outputFolder,
+            urls: limitUrls ? sitemap.urls : undefined,
+          });
+        }
+        // Text, RSS and Atom sitemaps are crawled as a list of URLs
+        else if (sitemap.type === 'urlset') {
+          const formatName = SITEMAP_FORMAT_NAMES[sitemap.format];
+          console.log(
+            `This sitemap is in ${formatName} format with ${sitemap.urls.length} URLs`
+          );
+          result.type = 'urlset';
+          result.format = sitemap.format;
+          await crawl({ ...crawlOptions, outputFolder, urls: sitemap.urls });
+        } else {
+          console.log('Could not determine sitemap type from XML structure');
+          console.log('First 200 characters of response:');
+          console.log(sitemapContent.substring(0, 200));
+          await crawl({ ...crawlOptions, outputFolder });
+        }
+      }
+    } catch (parseError) {
+      console.error(`Error parsing sitemap XML: ${parseError.message}`);
+      console.log('First 200 characters of response:');
+      console.log(sitemapContent.substring(0, 200));
+      result.error = parseError.message;
+      if (!crawlStarted) await crawl(crawlOptions);
+    }
+  } catch (error) {
+    console.error(`Error processing sitemap ${sitemapUrl}: ${error.message}`);
+    result.error = error.message;
+    if (!crawlStarted) await crawl(crawlOptions);
+  }
+
+  return result;
+}
+
+// Function to sort the processed sitemaps into succeeded, failed and skipped
+function summarizeSitemaps(sitemaps) {
+  const summary = { succeeded: [], failed: [], skipped: [] };
+
+  const addResult = (result) => {
+    summary.skipped.push(...result.skipped);
+
+    // Indexes that were read are summarized through their children
+    if (result.type === 'index' && !result.error) {
+      result.children.forEach(addResult);
+      return;
+    }
+
+    const failedCrawl = result.crawls.find((crawl) => !crawl.success);
+    if (result.crawls.length > 0 && !failedCrawl) {
+      summary.succeeded.push({
+        sitemapUrl: result.sitemapUrl,
+        attempts: Math.max(
+          ...result.crawls.map((crawl) => crawl.attempts || 1)
+        ),
+      });
+    } else {
+      summary.failed.push({
+        sitemapUrl: result.sitemapUrl,
+        error: failedCrawl ? failedCrawl.error : result.error,
+        attempts: failedCrawl ? failedCrawl.attempts : 0,
+      });
+    }
+    result.children.forEach(addResult);
+  };
+  sitemaps.forEach(addResult);
+
+  return summary;
+}
+
+// Helper function to log the summary of a sitemap crawl
+function logSitemapSummary(summary) {
+  console.log('\n=== CRAWL SUMMARY ===');
+  console.log(
+    `Succeeded: ${summary.succeeded.length}, Failed: ${summary.failed.length}, Skipped: ${summary.skipped.length}`
+  );
+
+  const retried = summary.succeeded.filter((entry) => entry.attempts > 1);
+  if (retried.length > 0) {
+    console.log('Succeeded after a retry:');
+    retried.forEach((entry) =>
+      console.log(`- ${entry.sitemapUrl} (${entry.attempts} attempts)`)
+    );
+  }
+  if (summary.failed.length > 0) {
+    console.log('Failed sitemaps:');
+    summary.failed.forEach((entry) =>
+      console.log(`- ${entry.sitemapUrl}: ${entry.error || 'Unknown error'}`)
+    );
+  }
+  if (summary.skipped.length > 0) {
+    console.log('Skipped sitemaps:');
+    summary.skipped.forEach((entry) =>
+      console.log(`- ${entry.sitemapUrl} (${entry.reason})`)
+    );
+  }
+}
+
+// Helper function to collect the Screaming Frog crawls of a processed sitemap tree
+function flattenCrawls(result) {
+  return result.crawls.concat(
+    ...result.children.map((child) => flattenCrawls(child))
+  );
+}
+
+// Helper function to create a safe folder name based on the sitemap URL
+function getSitemapFolderName(sitemapUrl) {
+  const { pathname, search } = new URL(sitemapUrl);
+  const sitemapName = pathname
+    .replace(/\//g, '_')
+    .replace(/\.(xml|txt|rss|atom)(\.gz)?$/i, '')
+    .replace(/^_/, '');
+
+  // Keep the query string so paged sitemaps (e.g. sitemap.php?page=2) get their own folder
+  const query = search.slice(1).replace(/[^\w.-]+/g, '_');
+  const folderName = [sitemapName, query].filter(Boolean).join('_');
+
+  // If the folder name is empty (the sitemap is the site root), use a default name
+  return folderName || 'main';
+}
+
+// Helper function to prepare a nested folder for a child sitemap of an index
+function prepareChildFolder(sitemapUrl, parentFolder) {
+  const OUTPUT_FOLDER = path.join(
+    parentFolder,
+    getSitemapFolderName(sitemapUrl)
+  );
+
+  if (!fs.existsSync(OUTPUT_FOLDER)) {
+    fs.mkdirSync(OUTPUT_FOLDER, { recursive: true });
+    console.log(`Created child sitemap directory: ${OUTPUT_FOLDER}`);
+  }
+
+  return OUTPUT_FOLDER;
+}
+
+// Helper function to prepare the folder of a sitemap: nested inside its parent
+// index folder for a child sitemap, or a regular output folder otherwise
+async function resolveSitemapFolder(sitemapUrl, options = {}) {
+  if (options.parentFolder) {
+    return prepareChildFolder(sitemapUrl, options.parentFolder);
+  }
+  return prepareOutputFolder(sitemapUrl, options);
+}
+
+// Helper function to get the results folder of a domain
+function getDomainFolder(domain, config) {
+  // Extract domain name for folder naming
+  const domainName = domain.replace(/^www\./, '').replace(/\./g, '_');
+  return path.resolve(
+    process.cwd(),
+    config.outputFolder,
+    `sitemap_${domainName}`
+  );
+}
+
+// Helper function to get the folder of the current run, or the domain folder
+// when the sitemap is processed outside of a run
+function getResultsFolder(domain, config, options = {}) {
+  return options.runFolder || getDomainFolder(domain, config);
+}
+
+// Helper function to prepare the output folder for a sitemap
+async function prepareOutputFolder(sitemapUrl, options = {}) {
+  const config = resolveConfig(options);
+  const domain = options.domain || new URL(sitemapUrl).hostname;
+
+  // Create a safe name for the folder based on the sitemap URL, so that
+  // sitemaps and sitemap indexes of the same run never share a folder
+  const folderName = getSitemapFolderName(sitemapUrl);
+
+  // Get current working directory for absolute paths
+  const OUTPUT_FOLDER = path.join(
+    getResultsFolder(domain, config, options),
+    folderName
+  );
+
+  // Create output directory if it doesn't exist
+  if (!fs.existsSync(path.dirname(OUTPUT_FOLDER))) {
+    fs.mkdirSync(path.dirname(OUTPUT_FOLDER), { recursive: true });
+    console.log(
+      `Created parent output directory: ${path.dirname(OUTPUT_FOLDER)}`
+    );
+  }
+
+  if (!fs.existsSync(OUTPUT_FOLDER)) {
+    fs.mkdirSync(OUTPUT_FOLDER, { recursive: true });
+    console.log(`Created output directory: ${OUTPUT_FOLDER}`);
+  } else {
+    console.log(`Using existing output directory: ${OUTPUT_FOLDER}`);
+  }
+
+  return OUTPUT_FOLDER;
+}
+
+// Function to run Screaming Frog for a specific sitemap
+async function runScreamingFrog(sitemapUrl, options = {}) {
+  validateHttpUrl(sitemapUrl, 'Sitemap URL');
+  const config = applyExportOverrides(
+    applyProfile(resolveConfig(options), {
+      profile: options.profile,
+      domain: options.domain || new URL(sitemapUrl).hostname,
+    }),
+    options
+  );
+  requireScreamingFrogPath(config);
+  const { args: exportArgs, exports } = getExportOptions(config);
+
+  // Use the folder prepared by the caller, or create one for this sitemap
+  const OUTPUT_FOLDER =
+    options.outputFolder ||
+    (await resolveSitemapFolder(sitemapUrl, { ...options, config }));
+
+  // Skip crawls that completed before a resumed run was interrupted
+  const runState = options.runState;
+  const stateKey = normalizeSitemapUrl(sitemapUrl);
+  if (runState && runState.isDone(stateKey)) {
+    console.log(`Skipping crawl completed in the previous run: ${sitemapUrl}`);
+    return {
+      sitemapUrl,
+      outputFolder: OUTPUT_FOLDER,
+      profile: config.appliedProfile.name,
+      success: true,
+      resumed: true,
+      files: fs
+        .readdirSync(OUTPUT_FOLDER)
+        .filter((file) => !file.startsWith('.')),
+    };
+  }
+  if (runState) {
+    runState.update(stateKey, 'running', {
+      sitemapUrl,
+      outputFolder: OUTPUT_FOLDER,
+    });
+  }
+
+  // Sitemaps that Screaming Frog cannot read (text, RSS, Atom) are crawled from a URL list
+  let crawlArgs = ['--crawl-sitemap', sitemapUrl];
+  if (options.urls) {
+    const listPath = path.join(OUTPUT_FOLDER, 'url_list.txt');
+    let urls = filterHttpUrls(options.urls);
+    if (config.maxUrls && urls.length > config.maxUrls) {
+      console.log(
+        `Limiting the crawl to the first ${config.maxUrls} of ${urls.length} URLs`
+      );
+      urls = urls.slice(0, config.maxUrls);
+    }
+    fs.writeFileSync(listPath, urls.join('\n'));
+    console.log(`Created URL list file at: ${listPath}`);
+    crawlArgs = ['--crawl-list', listPath];
+  }
+
+  // Build the crawl arguments, which are passed to Screaming Frog without a shell
+  const args = [
+    ...crawlArgs,
+    ...getProfileArgs(config),
+    ...exportArgs,
+    '--export-format',
+    config.exportFormat,
+    '--output-folder',
+    OUTPUT_FOLDER,
+  ];
+  const command = formatCommand(config.screamingFrogPath, args);
+
+  console.log('Running Screaming Frog with the following command:');
+  console.log(command);
+
+  const result = {
+    sitemapUrl,
+    outputFolder: OUTPUT_FOLDER,
+    profile: config.appliedProfile.name,
+    command,
+    success: false,
+    files: [],
+  };
+
+  // Run the crawl without blocking, streaming its progress, once a slot in
+  // the crawl pool is free
+  const retries =
+    config.crawlRetries !== undefined
+      ? config.crawlRetries
+      : DEFAULT_CRAWL_RETRIES;
+  const crawl = async () => {
+    let run;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      if (attempt > 1) {
+        console.log(
+          `Retrying crawl of ${sitemapUrl} (attempt ${attempt} of ${
+            retries + 1
+          })`
+        );
+      }
+      run = await runCommand(config.screamingFrogPath, args, {
+        label: `Crawl of ${sitemapUrl}`,
+        timeout: config.crawlTimeout,
+        verbose: options.verbose,
+      });
+      result.attempts = attempt;
+
+      // Cancelled and timed out crawls are not retried
+      if (!run.error || run.cancelled || run.timedOut) break;
+    }
+    return run;
+  };
+  const run = options.crawlPool
+    ? await options.crawlPool.run(crawl)
+    : await crawl();
+  result.durationMs = run.durationMs;
+  result.exitCode = run.exitCode;
+
+  if (!run.error) {
+    console.log(`Crawl of ${sitemapUrl} completed successfully!`);
+    result.success = true;
+
+    // Check if files were created
+    const files = fs
+      .readdirSync(OUTPUT_FOLDER)
+      .filter((file) => !file.startsWith('.'));
+    result.files = files;
+    console.log(`\nFiles in output directory: ${files.length}`);
+
+    if (files.length > 0) {
+      console.log('Generated files:');
+      files.forEach((file) => console.log(`- ${file}`));
+      console.log(`\nReports available in: ${OUTPUT_FOLDER}`);
+
+      // Record which of the requested exports were produced
+      result.exports = checkExportFiles(exports, files);
+      writeExportCheck(OUTPUT_FOLDER, result.exports);
+    } else {
+      console.log('\nWarning: No files were found in the output directory.');
+      console.log('Possible reasons:');
+      console.log('1. The sitemap could not be accessed or is empty');
+      console.log('2. Export settings may be incorrect');
+    }
+  } else {
+    console.error(
+      `Error during crawl of ${sitemapUrl}: Exit code: ${
+        run.exitCode !== null ? run.exitCode : 'unknown'
+      }`
+    );
+    console.error('Error message:', run.error.substring(0, 500));
+    result.error = run.error.substring(0, 500);
+    result.timedOut = run.timedOut;
+    result.cancelled = run.cancelled;
+  }
+
+  if (runState) {
+    runState.update(stateKey, result.success ? 'done' : 'failed', {
+      attempts: result.attempts,
+      error: result.error,
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  crawlSitemaps,
+  findSitemapsFromRobotsTxt,
+  checkSitemapsAgainstRobots,
+  auditSitemapHreflang,
+  processSitemap,
+  flattenCrawls,
+  summarizeSitemaps,
+  getSitemapManifest,
+  getDomainFolder,
+  getSitemapFolderName,
+  prepareOutputFolder,
+  runScreamingFrog,
+  ROBOTS_CHECK_FILE,
+  DISCOVERY_REPORT_FILE,
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+// File in the output folder that records the progress of a run
+const RUN_STATE_FILE = 'run_state.json';
+
+// Statuses of the entries of a run
+const RUN_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+// Function to create the state of a run, which is saved after every change so
+// that an interrupted run can be resumed. With resume, the entries of the last
+// run are kept and only the ones that are not done have to run again.
+function createRunState(filePath, options = {}) {
+  let entries = {};
+  let resumed = false;
+
+  if (options.resume) {
+    const previous = readRunState(filePath);
+    if (previous) {
+      entries = previous.entries || {};
+      resumed = true;
+      const counts = countStatuses(entries);
+      console.log(
+        `Resuming run from ${filePath}: ${counts.done} done, ${
+          counts.failed + counts.pending + counts.running
+        } to run again`
+      );
+    } else {
+      console.log(`No run state found at ${filePath}, starting a new run`);
+    }
+  }
+
+  const state = {
+    command: options.command,
+    target: options.target,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    resumed,
+    entries,
+  };
+
+  // Write to a temporary file first, so that a crash never leaves half a file
+  const save = () => {
+    state.updatedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempFile = `${filePath}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tempFile, filePath);
+  };
+
+  // Entries that were done in the previous run are skipped
+  const previouslyDone = new Set(
+    Object.keys(entries).filter((key) => entries[key].status === 'done')
+  );
+
+  const update = (key, status, details = {}) => {
+    if (!RUN_STATUSES.includes(status)) {
+      throw new Error(`Unknown run status "${status}"`);
+    }
+    entries[key] = {
+      ...entries[key],
+      ...details,
+      status,
+      updatedAt: new Date().toISOString(),
+    };
+    // A new error replaces the one of the last attempt
+    if (status !== 'failed') delete entries[key].error;
+    save();
+  };
+
+  save();
+
+  return {
+    filePath,
+    resumed,
+    get: (key) => entries[key],
+    isDone: (key) => previouslyDone.has(key),
+    add: (key, details = {}) => {
+      if (!entries[key]) update(key, 'pending', details);
+    },
+    update,
+    counts: () => countStatuses(entries),
+  };
+}
+
+// Function to read a saved run state, or null when there is none
+function readRunState(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(
+      `Ignoring unreadable run state ${filePath}: ${error.message}`
+    );
+    return null;
+  }
+}
+
+// Helper function to count the entries of a run by status
+function countStatuses(entries) {
+  const counts = {};
+  RUN_STATUSES.forEach((status) => {
+    counts[status] = 0;
+  });
+  Object.values(entries).forEach((entry) => {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+  });
+  return counts;
+}
+
+module.exports = {
+  RUN_STATE_FILE,
+  RUN_STATUSES,
+  createRunState,
+  readRunState,
+};
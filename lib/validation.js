@@ -0,0 +1,607 @@
+const path = require('path');
+const { writeCSV } = require('./csv');
+const { toArray } = require('./sitemap-parser');
+
+// Limits and allowed values from the sitemaps.org protocol
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const MAX_URL_LENGTH = 2048;
+const CHANGEFREQ_VALUES = [
+  'always',
+  'hourly',
+  'daily',
+  'weekly',
+  'monthly',
+  'yearly',
+  'never',
+];
+
+// W3C Datetime formats: YYYY, YYYY-MM, YYYY-MM-DD and full dates with time and timezone
+const W3C_DATETIME_PATTERN =
+  /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+
+// Matches "&" that does not start a valid XML entity
+const UNESCAPED_AMPERSAND_PATTERN =
+  /&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/i;
+
+// Limits from the Google image, video and news sitemap extensions
+const MAX_IMAGES_PER_URL = 1000;
+const MAX_NEWS_URLS_PER_SITEMAP = 1000;
+const MAX_NEWS_AGE_DAYS = 2;
+const MAX_VIDEO_DURATION_SECONDS = 28800;
+const MAX_VIDEO_DESCRIPTION_LENGTH = 2048;
+
+// ISO 639 language codes, plus the zh-cn and zh-tw variants allowed in news sitemaps
+const NEWS_LANGUAGE_PATTERN = /^([a-z]{2,3}|zh-cn|zh-tw)$/i;
+
+const VALIDATION_REPORT_FILE = 'sitemap_validation.csv';
+const EXTENSIONS_REPORT_FILE = 'sitemap_extensions.csv';
+const EXTENSIONS_REPORT_HEADERS = [
+  'Type',
+  'Page URL',
+  'URL',
+  'Title',
+  'Details',
+];
+const VALIDATION_REPORT_HEADERS = [
+  'Severity',
+  'Rule',
+  'Message',
+  'URL',
+  'Line',
+];
+
+// Function to check a sitemap against the sitemaps.org protocol
+function validateSitemap(content, sitemap, sitemapUrl) {
+  const issues = [];
+  const addIssue = (severity, rule, message, url = '', line = '') =>
+    issues.push({ severity, rule, message, url, line });
+
+  // File size limit applies to the uncompressed sitemap
+  const sizeBytes = Buffer.byteLength(content, 'utf8');
+  if (sizeBytes > MAX_SITEMAP_BYTES) {
+    addIssue(
+      'error',
+      'file-size',
+      `Sitemap is ${(sizeBytes / 1024 / 1024).toFixed(
+        1
+      )} MB uncompressed, the limit is 50 MB`
+    );
+  }
+
+  let entries = [];
+  if (sitemap.type === 'index') {
+    entries = toArray(sitemap.parsed.sitemapindex.sitemap);
+    validateNamespace(sitemap.parsed.sitemapindex, 'sitemapindex', addIssue);
+  } else if (sitemap.type === 'urlset' && sitemap.format === 'xml') {
+    entries = toArray(sitemap.parsed.urlset.url);
+    validateNamespace(sitemap.parsed.urlset, 'urlset', addIssue);
+  } else if (sitemap.type === 'urlset') {
+    // Text, RSS and Atom sitemaps only carry URLs
+    entries = sitemap.urls.map((loc) => ({ loc }));
+  } else {
+    addIssue(
+      'error',
+      'root-element',
+      'Root element must be <urlset> or <sitemapindex>'
+    );
+  }
+
+  // URL count limit
+  if (entries.length > MAX_URLS_PER_SITEMAP) {
+    addIssue(
+      'error',
+      'url-count',
+      `Sitemap lists ${entries.length} ${
+        sitemap.type === 'index' ? 'sitemaps' : 'URLs'
+      }, the limit is ${MAX_URLS_PER_SITEMAP}`
+    );
+  }
+
+  // Per-entry checks
+  const sitemapLocation = new URL(sitemapUrl);
+  entries.forEach((entry) => {
+    const loc = entry.loc !== undefined ? String(entry.loc).trim() : '';
+    validateLoc(loc, sitemapLocation, addIssue);
+
+    if (entry.lastmod !== undefined) {
+      const lastmod = String(entry.lastmod).trim();
+      if (!W3C_DATETIME_PATTERN.test(lastmod)) {
+        addIssue(
+          'error',
+          'lastmod',
+          `Invalid W3C Datetime in <lastmod>: "${lastmod}"`,
+          loc
+        );
+      } else if (new Date(lastmod).getTime() > Date.now() + 24 * 3600 * 1000) {
+        addIssue(
+          'warning',
+          'lastmod',
+          `<lastmod> is in the future: ${lastmod}`,
+          loc
+        );
+      }
+    }
+
+    if (entry.changefreq !== undefined) {
+      const changefreq = String(entry.changefreq).trim();
+      if (!CHANGEFREQ_VALUES.includes(changefreq)) {
+        addIssue(
+          'error',
+          'changefreq',
+          `Invalid <changefreq> value "${changefreq}", expected one of: ${CHANGEFREQ_VALUES.join(
+            ', '
+          )}`,
+          loc
+        );
+      }
+    }
+
+    if (entry.priority !== undefined) {
+      const priority = String(entry.priority).trim();
+      const value = Number(priority);
+      if (
+        !/^\d+(\.\d+)?$/.test(priority) ||
+        isNaN(value) ||
+        value < 0 ||
+        value > 1
+      ) {
+        addIssue(
+          'error',
+          'priority',
+          `Invalid <priority> value "${priority}", expected 0.0 to 1.0`,
+          loc
+        );
+      }
+    }
+  });
+
+  // Image, video and news extensions
+  const extensions = sitemap.extensions || { images: [], videos: [], news: [] };
+  validateImages(extensions.images, addIssue);
+  validateVideos(extensions.videos, addIssue);
+  validateNews(extensions.news, addIssue);
+
+  // Entity escaping can only be seen in the raw XML
+  if (sitemap.format === 'xml') {
+    validateEscaping(content, addIssue);
+  }
+
+  const errors = issues.filter((issue) => issue.severity === 'error').length;
+  return {
+    sitemapUrl,
+    sizeBytes,
+    entryCount: entries.length,
+    extensions: {
+      images: extensions.images.length,
+      videos: extensions.videos.length,
+      news: extensions.news.length,
+    },
+    valid: errors === 0,
+    errors,
+    warnings: issues.length - errors,
+    issues,
+  };
+}
+
+// Helper function to check the namespace of the root element
+function validateNamespace(root, rootName, addIssue) {
+  const namespace = root['@_xmlns'];
+  if (!namespace) {
+    addIssue(
+      'error',
+      'namespace',
+      `<${rootName}> is missing the xmlns="${SITEMAP_NAMESPACE}" namespace`
+    );
+  } else if (namespace !== SITEMAP_NAMESPACE) {
+    addIssue(
+      'error',
+      'namespace',
+      `<${rootName}> uses namespace "${namespace}" instead of "${SITEMAP_NAMESPACE}"`
+    );
+  }
+}
+
+// Helper function to check that a <loc> is absolute, short and on the sitemap's host
+function validateLoc(loc, sitemapLocation, addIssue) {
+  if (!loc) {
+    addIssue('error', 'loc', 'Entry is missing a <loc> value');
+    return;
+  }
+
+  let location;
+  try {
+    location = new URL(loc);
+  } catch (error) {
+    addIssue('error', 'loc', 'Invalid or relative URL in <loc>', loc);
+    return;
+  }
+
+  if (loc.length > MAX_URL_LENGTH) {
+    addIssue(
+      'error',
+      'loc',
+      `URL is ${loc.length} characters long, the limit is ${MAX_URL_LENGTH}`,
+      loc
+    );
+  }
+
+  if (location.protocol !== sitemapLocation.protocol) {
+    addIssue(
+      'error',
+      'loc-protocol',
+      `URL uses ${location.protocol} but the sitemap is served over ${sitemapLocation.protocol}`,
+      loc
+    );
+  }
+
+  if (location.host !== sitemapLocation.host) {
+    addIssue(
+      'error',
+      'loc-host',
+      `URL is on host ${location.host} but the sitemap is on ${sitemapLocation.host}`,
+      loc
+    );
+  }
+}
+
+// Helper function to check image sitemap entries
+function validateImages(images, addIssue) {
+  const imagesPerPage = new Map();
+
+  images.forEach((image) => {
+    imagesPerPage.set(
+      image.pageUrl,
+      (imagesPerPage.get(image.pageUrl) || 0) + 1
+    );
+
+    if (!image.loc) {
+      addIssue(
+        'error',
+        'image',
+        '<image:image> is missing <image:loc>',
+        image.pageUrl
+      );
+    } else if (!isAbsoluteUrl(image.loc)) {
+      addIssue(
+        'error',
+        'image',
+        `Invalid or relative URL in <image:loc>: ${image.loc}`,
+        image.pageUrl
+      );
+    }
+  });
+
+  imagesPerPage.forEach((count, pageUrl) => {
+    if (count > MAX_IMAGES_PER_URL) {
+      addIssue(
+        'error',
+        'image',
+        `Page lists ${count} images, the limit is ${MAX_IMAGES_PER_URL}`,
+        pageUrl
+      );
+    }
+  });
+}
+
+// Helper function to check video sitemap entries for required fields and limits
+function validateVideos(videos, addIssue) {
+  videos.forEach((video) => {
+    const required = {
+      thumbnail_loc: video.thumbnailLoc,
+      title: video.title,
+      description: video.description,
+    };
+    Object.entries(required).forEach(([field, value]) => {
+      if (!value) {
+        addIssue(
+          'error',
+          'video',
+          `<video:video> is missing <video:${field}>`,
+          video.pageUrl
+        );
+      }
+    });
+
+    if (!video.contentLoc && !video.playerLoc) {
+      addIssue(
+        'error',
+        'video',
+        '<video:video> needs a <video:content_loc> or <video:player_loc>',
+        video.pageUrl
+      );
+    }
+
+    if (video.contentLoc && video.contentLoc === video.pageUrl) {
+      addIssue(
+        'error',
+        'video',
+        '<video:content_loc> must not be the same as the page URL',
+        video.pageUrl
+      );
+    }
+
+    [video.thumbnailLoc, video.contentLoc, video.playerLoc]
+      .filter((url) => url && !isAbsoluteUrl(url))
+      .forEach((url) => {
+        addIssue(
+          'error',
+          'video',
+          `Invalid or relative URL in video entry: ${url}`,
+          video.pageUrl
+        );
+      });
+
+    if (video.description.length > MAX_VIDEO_DESCRIPTION_LENGTH) {
+      addIssue(
+        'error',
+        'video',
+        `<video:description> is ${video.description.length} characters long, the limit is ${MAX_VIDEO_DESCRIPTION_LENGTH}`,
+        video.pageUrl
+      );
+    }
+
+    if (video.duration) {
+      const duration = Number(video.duration);
+      if (
+        !Number.isInteger(duration) ||
+        duration < 1 ||
+        duration > MAX_VIDEO_DURATION_SECONDS
+      ) {
+        addIssue(
+          'error',
+          'video',
+          `Invalid <video:duration> "${video.duration}", expected 1 to ${MAX_VIDEO_DURATION_SECONDS} seconds`,
+          video.pageUrl
+        );
+      }
+    }
+
+    if (video.rating) {
+      const rating = Number(video.rating);
+      if (isNaN(rating) || rating < 0 || rating > 5) {
+        addIssue(
+          'error',
+          'video',
+          `Invalid <video:rating> "${video.rating}", expected 0.0 to 5.0`,
+          video.pageUrl
+        );
+      }
+    }
+
+    const dates = {
+      publication_date: video.publicationDate,
+      expiration_date: video.expirationDate,
+    };
+    Object.entries(dates).forEach(([field, value]) => {
+      if (value && !W3C_DATETIME_PATTERN.test(value)) {
+        addIssue(
+          'error',
+          'video',
+          `Invalid W3C Datetime in <video:${field}>: "${value}"`,
+          video.pageUrl
+        );
+      }
+    });
+
+    if (
+      video.expirationDate &&
+      W3C_DATETIME_PATTERN.test(video.expirationDate) &&
+      new Date(video.expirationDate).getTime() < Date.now()
+    ) {
+      addIssue(
+        'warning',
+        'video',
+        `Video expired on ${video.expirationDate}`,
+        video.pageUrl
+      );
+    }
+  });
+}
+
+// Helper function to check news sitemap entries for required fields and article age
+function validateNews(news, addIssue) {
+  if (news.length > MAX_NEWS_URLS_PER_SITEMAP) {
+    addIssue(
+      'error',
+      'news',
+      `Sitemap lists ${news.length} news articles, the limit is ${MAX_NEWS_URLS_PER_SITEMAP}`
+    );
+  }
+
+  const oldestAllowed = Date.now() - MAX_NEWS_AGE_DAYS * 24 * 3600 * 1000;
+  news.forEach((article) => {
+    const required = {
+      'news:publication/news:name': article.publicationName,
+      'news:publication/news:language': article.publicationLanguage,
+      'news:publication_date': article.publicationDate,
+      'news:title': article.title,
+    };
+    Object.entries(required).forEach(([field, value]) => {
+      if (!value) {
+        addIssue(
+          'error',
+          'news',
+          `<news:news> is missing ${field}`,
+          article.pageUrl
+        );
+      }
+    });
+
+    if (
+      article.publicationLanguage &&
+      !NEWS_LANGUAGE_PATTERN.test(article.publicationLanguage)
+    ) {
+      addIssue(
+        'error',
+        'news',
+        `Invalid <news:language> "${article.publicationLanguage}", expected an ISO 639 code`,
+        article.pageUrl
+      );
+    }
+
+    if (!article.publicationDate) return;
+    if (!W3C_DATETIME_PATTERN.test(article.publicationDate)) {
+      addIssue(
+        'error',
+        'news',
+        `Invalid W3C Datetime in <news:publication_date>: "${article.publicationDate}"`,
+        article.pageUrl
+      );
+    } else if (new Date(article.publicationDate).getTime() < oldestAllowed) {
+      addIssue(
+        'warning',
+        'news',
+        `Article was published on ${article.publicationDate}, news sitemaps should only list articles from the last ${MAX_NEWS_AGE_DAYS} days`,
+        article.pageUrl
+      );
+    }
+  });
+}
+
+// Helper function to check that a URL is absolute
+function isAbsoluteUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper function to find characters that are not entity-escaped in element values
+function validateEscaping(content, addIssue) {
+  // Only look at text between tags, ignoring CDATA sections
+  const withoutCdata = content.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, (cdata) =>
+    cdata.replace(/[^\n]/g, ' ')
+  );
+  const textPattern = />([^<]+)</g;
+  let match;
+  let line = 1;
+  let lineIndex = 0;
+
+  while ((match = textPattern.exec(withoutCdata)) !== null) {
+    const text = match[1];
+
+    // Count lines incrementally to keep large sitemaps fast
+    for (; lineIndex < match.index; lineIndex++) {
+      if (withoutCdata[lineIndex] === '\n') line++;
+    }
+
+    if (UNESCAPED_AMPERSAND_PATTERN.test(text)) {
+      addIssue(
+        'error',
+        'entity-escaping',
+        'Unescaped "&" in element value, use &amp;',
+        text.trim().substring(0, 200),
+        line
+      );
+    }
+
+    if (/["']/.test(text)) {
+      addIssue(
+        'warning',
+        'entity-escaping',
+        'Unescaped quote in element value, use &quot; or &apos;',
+        text.trim().substring(0, 200),
+        line
+      );
+    }
+  }
+}
+
+// Function to save a validation report as CSV in the given folder
+function writeValidationReport(outputFolder, report) {
+  return writeCSV(
+    path.join(outputFolder, VALIDATION_REPORT_FILE),
+    report.issues.map((issue) => ({
+      Severity: issue.severity,
+      Rule: issue.rule,
+      Message: issue.message,
+      URL: issue.url,
+      Line: issue.line,
+    })),
+    VALIDATION_REPORT_HEADERS
+  );
+}
+
+// Function to save the image, video and news entries of a sitemap as CSV
+function writeExtensionsReport(outputFolder, extensions) {
+  const rows = [
+    ...extensions.images.map((image) => ({
+      Type: 'image',
+      'Page URL': image.pageUrl,
+      URL: image.loc,
+      Title: image.title,
+      Details: image.caption,
+    })),
+    ...extensions.videos.map((video) => ({
+      Type: 'video',
+      'Page URL': video.pageUrl,
+      URL: video.contentLoc || video.playerLoc,
+      Title: video.title,
+      Details: [
+        video.duration && `duration ${video.duration}s`,
+        video.thumbnailLoc && `thumbnail ${video.thumbnailLoc}`,
+      ]
+        .filter(Boolean)
+        .join(', '),
+    })),
+    ...extensions.news.map((article) => ({
+      Type: 'news',
+      'Page URL': article.pageUrl,
+      URL: article.pageUrl,
+      Title: article.title,
+      Details: [
+        article.publicationName,
+        article.publicationLanguage,
+        article.publicationDate,
+      ]
+        .filter(Boolean)
+        .join(', '),
+    })),
+  ];
+
+  return writeCSV(
+    path.join(outputFolder, EXTENSIONS_REPORT_FILE),
+    rows,
+    EXTENSIONS_REPORT_HEADERS
+  );
+}
+
+// Helper function to print a short summary of a validation report
+function logValidationReport(report) {
+  console.log(
+    `Sitemap validation: ${report.errors} error(s), ${report.warnings} warning(s) in ${report.entryCount} entries`
+  );
+  const { images, videos, news } = report.extensions;
+  if (images + videos + news > 0) {
+    console.log(
+      `Sitemap extensions: ${images} image(s), ${videos} video(s), ${news} news article(s)`
+    );
+  }
+  report.issues.slice(0, 5).forEach((issue) => {
+    console.log(
+      `- [${issue.severity}] ${issue.message}${
+        issue.url ? ` (${issue.url})` : ''
+      }`
+    );
+  });
+  if (report.issues.length > 5) {
+    console.log(`... and ${report.issues.length - 5} more`);
+  }
+}
+
+module.exports = {
+  SITEMAP_NAMESPACE,
+  MAX_URLS_PER_SITEMAP,
+  MAX_SITEMAP_BYTES,
+  CHANGEFREQ_VALUES,
+  VALIDATION_REPORT_FILE,
+  EXTENSIONS_REPORT_FILE,
+  validateSitemap,
+  writeValidationReport,
+  writeExtensionsReport,
+  logValidationReport,
+};
@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+
+// Same as `sf-crawler re-export`, kept for `node re-export.js`
+require('./lib/cli').main(['re-export', ...process.argv.slice(2)]);
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  auditAccessibility,
+  validateAccessibilityExports,
+  readViolationData,
+} = require('../lib/a11y');
+
+test('readViolationData reads quoted values that contain commas', async () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-a11y-'));
+  try {
+    const standardFolder = path.join(folder, 'WCAG_2.0_A_All_Violations');
+    fs.mkdirSync(standardFolder);
+    fs.writeFileSync(
+      path.join(standardFolder, 'all_violations.csv'),
+      'Address,Violation Type,Description\n' +
+        'https://example.com/?a=1,"Images must have alternate text","Missing alt, decorative"\n' +
+        'https://example.com/contact,Color contrast,Low contrast\n'
+    );
+
+    const violationData = await readViolationData(folder);
+
+    const standard = violationData['WCAG 2.0 A'];
+    assert.strictEqual(standard.count, 2);
+    assert.deepStrictEqual(standard.types, {
+      'Images must have alternate text': 1,
+      'Color contrast': 1,
+    });
+    assert.strictEqual(
+      standard.details[0].Description,
+      'Missing alt, decorative'
+    );
+    assert.strictEqual(violationData['WCAG 2.1 AA'].error, 'Folder not found');
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('auditAccessibility writes a manifest when rebuilding from exports', async () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-a11y-'));
+  try {
+    const exportsFolder = path.join(folder, 'exports');
+    const standardFolder = path.join(
+      exportsFolder,
+      'WCAG_2.0_AA_All_Violations'
+    );
+    fs.mkdirSync(standardFolder, { recursive: true });
+    fs.writeFileSync(
+      path.join(standardFolder, 'all_violations.csv'),
+      'Address,Violation Type\nhttps://example.com/,Color contrast\n'
+    );
+
+    const result = await auditAccessibility('https://example.com', {
+      config: {},
+      fromExports: exportsFolder,
+      outputFolder: path.join(folder, 'a11y'),
+    });
+
+    const runFolder = path.dirname(result.summaryFile);
+    assert.strictEqual(
+      runFolder,
+      path.join(folder, 'a11y', 'a11y_example_com', 'replay', result.runId)
+    );
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(runFolder, 'run.json'), 'utf8')
+    );
+    assert.strictEqual(manifest.status, 'done');
+    assert.strictEqual(manifest.exportsFolder, exportsFolder);
+    assert.deepStrictEqual(manifest.files, ['accessibility_summary.html']);
+    assert.strictEqual(manifest.summary.violations['WCAG 2.0 AA'], 1);
+    assert.ok(!fs.existsSync(path.join(exportsFolder, 'run.json')));
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('validateAccessibilityExports needs a violations export', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-a11y-'));
+  try {
+    fs.mkdirSync(path.join(folder, 'WCAG_2.1_AA_All_Violations'));
+
+    assert.throws(
+      () => validateAccessibilityExports(folder),
+      /No accessibility violation exports found/
+    );
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
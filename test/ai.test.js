@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { analyzeSitemaps, generateAIInsights } = require('../lib/ai');
+
+// Answer every prompt without calling the Gemini API
+test.beforeEach(() => {
+  test.mock.method(GoogleGenerativeAI.prototype, 'getGenerativeModel', () => ({
+    generateContent: async () => ({
+      response: { text: () => 'The sitemap looks healthy.' },
+    }),
+  }));
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+// Helper function to build the sitemap data of a small crawl
+function createSitemapData() {
+  return {
+    urls: [
+      { Address: 'https://example.com/blog/post', 'Status Code': '200' },
+      { Address: 'https://example.com/blog/old', 'Status Code': '404' },
+    ],
+    blockedSitemaps: [],
+    gapAnalysis: null,
+    overview: { 'Total URLs': 2 },
+    sitemapStructure: {
+      mainSitemapCount: 1,
+      childSitemapCount: 0,
+      languages: [],
+      contentTypes: [],
+      extensions: { images: 0, videos: 0, news: 0 },
+    },
+  };
+}
+
+test('generateAIInsights returns the insights, the response and the PDF', async () => {
+  const outputFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-ai-'));
+  try {
+    const result = await generateAIInsights(
+      'https://example.com',
+      createSitemapData(),
+      { config: { googleApiKey: 'test-key' }, outputFolder }
+    );
+
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.response, 'The sitemap looks healthy.');
+    assert.strictEqual(
+      result.insightsFile,
+      path.join(outputFolder, 'example_com_ai_insights.md')
+    );
+    assert.strictEqual(
+      result.pdfFile,
+      path.join(outputFolder, 'example_com_status_report.pdf')
+    );
+    assert.match(
+      fs.readFileSync(result.insightsFile, 'utf8'),
+      /The sitemap looks healthy\./
+    );
+    assert.ok(fs.existsSync(result.pdfFile));
+  } finally {
+    fs.rmSync(outputFolder, { recursive: true, force: true });
+  }
+});
+
+test('generateAIInsights returns the error when the model fails', async () => {
+  test.mock.method(GoogleGenerativeAI.prototype, 'getGenerativeModel', () => ({
+    generateContent: async () => {
+      throw new Error('API key not valid');
+    },
+  }));
+  const outputFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-ai-'));
+  try {
+    const result = await generateAIInsights(
+      'https://example.com',
+      createSitemapData(),
+      { config: { googleApiKey: 'test-key' }, outputFolder }
+    );
+
+    assert.strictEqual(result.error, 'API key not valid');
+    assert.strictEqual(result.insightsFile, null);
+    assert.strictEqual(result.pdfFile, null);
+  } finally {
+    fs.rmSync(outputFolder, { recursive: true, force: true });
+  }
+});
+
+test('analyzeSitemaps saves its reports and manifest in a run folder', async () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-ai-'));
+  try {
+    const exportsFolder = path.join(folder, 'exports');
+    fs.mkdirSync(exportsFolder);
+    fs.writeFileSync(
+      path.join(exportsFolder, 'url_all.csv'),
+      'Address,Status Code\nhttps://example.com/blog/post,200\n'
+    );
+
+    const result = await analyzeSitemaps('https://example.com', {
+      config: { googleApiKey: 'test-key' },
+      fromExports: exportsFolder,
+      outputFolder: path.join(folder, 'reports'),
+    });
+
+    assert.strictEqual(
+      result.runFolder,
+      path.join(folder, 'reports', 'ai_example_com', result.runId)
+    );
+    assert.strictEqual(path.dirname(result.insightsFile), result.runFolder);
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(result.runFolder, 'run.json'), 'utf8')
+    );
+    assert.strictEqual(manifest.status, 'done');
+    assert.strictEqual(manifest.runId, result.runId);
+    assert.deepStrictEqual(manifest.files, [
+      'example_com_ai_insights.md',
+      'example_com_status_report.pdf',
+    ]);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
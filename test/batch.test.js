@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeBatchIndex } = require('../lib/batch');
+
+test('writeBatchIndex links the AI insights and status PDF of each site', () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-batch-'));
+  try {
+    const reportFolder = path.join(folder, 'sitemap-ai');
+    const batch = {
+      sitesFile: path.join(folder, 'sites.txt'),
+      startedAt: new Date().toISOString(),
+      finishedAt: new Date().toISOString(),
+      sites: [
+        {
+          url: 'https://example.com',
+          status: 'done',
+          steps: {
+            ai: {
+              status: 'done',
+              insightsFile: path.join(
+                reportFolder,
+                'example_com_ai_insights.md'
+              ),
+              pdfFile: path.join(reportFolder, 'example_com_status_report.pdf'),
+            },
+          },
+        },
+      ],
+      summary: { total: 1, done: 1, partial: 0, failed: 0 },
+    };
+
+    const indexFiles = writeBatchIndex(batch, path.join(folder, 'batch'));
+
+    const html = fs.readFileSync(indexFiles.html, 'utf8');
+    assert.match(
+      html,
+      /<a href="\.\.\/sitemap-ai\/example_com_ai_insights\.md">AI insights<\/a>/
+    );
+    assert.match(
+      html,
+      /<a href="\.\.\/sitemap-ai\/example_com_status_report\.pdf">Status PDF<\/a>/
+    );
+    const json = JSON.parse(fs.readFileSync(indexFiles.json, 'utf8'));
+    assert.deepStrictEqual(json.sites[0].steps.ai, batch.sites[0].steps.ai);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
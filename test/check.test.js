@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  runStatusCheck,
+  checkSitemapUrls,
+  checkUrlStatus,
+} = require('../lib/check');
+const { EXIT_CODES, runCli } = require('../lib/cli');
+
+// Helper function to serve a small website from a map of paths to responses
+async function startServer(routes) {
+  const server = http.createServer((req, res) => {
+    const route = routes[new URL(req.url, 'http://localhost').pathname];
+    if (!route) {
+      res.writeHead(404);
+      return res.end('Not Found');
+    }
+    const {
+      status = 200,
+      headers = {},
+      body = '',
+    } = typeof route === 'function' ? route(origin, req) : route;
+    res.writeHead(status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return { server, origin };
+}
+
+// Helper function to build a urlset sitemap
+function urlset(urls) {
+  return {
+    headers: { 'content-type': 'application/xml' },
+    body: `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map((url) => `<url><loc>${url}</loc></url>`).join('\n')}
+</urlset>`,
+  };
+}
+
+// Helper function to build a sitemap index
+function sitemapindex(sitemaps) {
+  return {
+    headers: { 'content-type': 'application/xml' },
+    body: `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.map((url) => `<sitemap><loc>${url}</loc></sitemap>`).join('\n')}
+</sitemapindex>`,
+  };
+}
+
+test('checkSitemapUrls expands nested sitemap indexes once each', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { server, origin } = await startServer({
+    '/sitemap_index.xml': (origin) =>
+      sitemapindex([`${origin}/ca/sitemap_index.xml`, `${origin}/pages.xml`]),
+    // The nested index links back to the top-level index
+    '/ca/sitemap_index.xml': (origin) =>
+      sitemapindex([`${origin}/ca/pages.xml`, `${origin}/sitemap_index.xml`]),
+    '/ca/pages.xml': (origin) => urlset([`${origin}/ca/`]),
+    '/pages.xml': (origin) => urlset([`${origin}/`]),
+    '/': { body: 'Home' },
+    '/ca/': { body: 'Canada' },
+  });
+  try {
+    const result = await checkSitemapUrls(`${origin}/sitemap_index.xml`, {
+      config: {},
+    });
+    assert.deepStrictEqual(
+      result.checks.map((check) => check.url),
+      [`${origin}/ca/`, `${origin}/`]
+    );
+
+    // Nested indexes past the maximum depth are skipped
+    const shallow = await checkSitemapUrls(`${origin}/sitemap_index.xml`, {
+      config: {},
+      maxDepth: 1,
+    });
+    assert.deepStrictEqual(
+      shallow.checks.map((check) => check.url),
+      [`${origin}/`]
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test('runStatusCheck checks the URLs of locale sitemaps', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { server, origin } = await startServer({
+    '/robots.txt': (origin) => ({ body: `Sitemap: ${origin}/sitemap.xml\n` }),
+    '/sitemap.xml': (origin) => urlset([`${origin}/`, `${origin}/ca/`]),
+    '/ca/sitemap.xml': (origin) => urlset([`${origin}/ca/about`]),
+    '/': { body: 'Home' },
+    '/ca/': { body: 'Canada' },
+    '/ca/about': { body: 'About' },
+  });
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-check-'));
+  try {
+    const result = await runStatusCheck(origin, {
+      config: { outputFolder: folder },
+    });
+
+    assert.deepStrictEqual(result.checks.map((check) => check.url).sort(), [
+      `${origin}/`,
+      `${origin}/ca/`,
+      `${origin}/ca/about`,
+    ]);
+    assert.ok(result.sitemapUrls.includes(`${origin}/ca/sitemap.xml`));
+    assert.strictEqual(result.errors.length, 0);
+  } finally {
+    server.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('checkUrlStatus records the redirect chain of a URL', async () => {
+  const { server, origin } = await startServer({
+    '/old': { status: 301, headers: { location: '/older' } },
+    '/older': (origin) => ({
+      status: 302,
+      headers: { location: `${origin}/new` },
+    }),
+    '/new': { headers: { 'content-type': 'text/html' }, body: 'New' },
+    '/loop': { status: 301, headers: { location: '/loop-back' } },
+    '/loop-back': { status: 301, headers: { location: '/loop' } },
+    '/get-only': (origin, req) =>
+      req.method === 'HEAD' ? { status: 405 } : { body: 'GET only' },
+  });
+  try {
+    const check = await checkUrlStatus(`${origin}/old`);
+    assert.strictEqual(check.statusCode, 301);
+    assert.strictEqual(check.status, 'Moved Permanently');
+    assert.deepStrictEqual(check.redirectChain, [
+      { url: `${origin}/old`, statusCode: 301 },
+      { url: `${origin}/older`, statusCode: 302 },
+      { url: `${origin}/new`, statusCode: 200 },
+    ]);
+    assert.strictEqual(check.finalUrl, `${origin}/new`);
+    assert.strictEqual(check.finalStatusCode, 200);
+    assert.strictEqual(check.contentType, 'text/html');
+    assert.strictEqual(check.error, null);
+
+    const loop = await checkUrlStatus(`${origin}/loop`);
+    assert.strictEqual(loop.error, 'Redirect loop');
+    assert.strictEqual(loop.redirectChain.length, 2);
+
+    // Servers that do not implement HEAD are asked again with GET
+    const getOnly = await checkUrlStatus(`${origin}/get-only`);
+    assert.strictEqual(getOnly.method, 'GET');
+    assert.strictEqual(getOnly.statusCode, 200);
+  } finally {
+    server.close();
+  }
+});
+
+test('the check command exits with the partial code when a URL fails', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const { server, origin } = await startServer({
+    '/sitemap.xml': (origin) => urlset([`${origin}/`, `${origin}/gone`]),
+    '/': { body: 'Home' },
+  });
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-check-'));
+  try {
+    const configPath = path.join(folder, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ outputFolder: folder }));
+
+    const exitCode = await runCli([
+      'check',
+      origin,
+      `${origin}/sitemap.xml`,
+      '--config',
+      configPath,
+    ]);
+    assert.strictEqual(exitCode, EXIT_CODES.partial);
+  } finally {
+    server.close();
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
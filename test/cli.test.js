@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EXIT_CODES, COMMANDS, runCli, parseArgs } = require('../lib/cli');
+
+// Helper function to run the command line tool without printing to the console
+function runQuietly(t, argv) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  return runCli(argv);
+}
+
+test('parseArgs splits positional arguments and options', () => {
+  const definitions = {
+    ...COMMANDS.sitemap.options,
+    config: { value: '<path>' },
+    help: { alias: 'h' },
+  };
+
+  assert.deepStrictEqual(
+    parseArgs(
+      [
+        'https://example.com',
+        '--profile',
+        'quick',
+        '--export-tabs=URL:All,H1:All',
+        '--gap',
+        '--',
+        '--not-an-option',
+      ],
+      definitions
+    ),
+    {
+      args: ['https://example.com', '--not-an-option'],
+      options: {
+        profile: 'quick',
+        'export-tabs': 'URL:All,H1:All',
+        gap: true,
+      },
+    }
+  );
+  assert.deepStrictEqual(parseArgs(['-h'], definitions).options, {
+    help: true,
+  });
+});
+
+test('parseArgs rejects unknown options and missing values', () => {
+  const definitions = { config: { value: '<path>' }, help: { alias: 'h' } };
+
+  assert.throws(() => parseArgs(['--confg'], definitions), {
+    message: 'Unknown option --confg',
+  });
+  assert.throws(() => parseArgs(['-c'], definitions), {
+    message: 'Unknown option -c',
+  });
+  assert.throws(() => parseArgs(['--config'], definitions), {
+    message: 'Option --config needs a value <path>',
+  });
+  assert.throws(() => parseArgs(['--help=yes'], definitions), {
+    message: 'Option --help does not take a value',
+  });
+});
+
+test('runCli exits with the usage code for invalid commands', async (t) => {
+  assert.strictEqual(await runQuietly(t, []), EXIT_CODES.usage);
+  assert.strictEqual(await runQuietly(t, ['crawl']), EXIT_CODES.usage);
+  assert.strictEqual(await runQuietly(t, ['sitemap']), EXIT_CODES.usage);
+  assert.strictEqual(
+    await runQuietly(t, ['check', 'https://example.com', 'a', 'b']),
+    EXIT_CODES.usage
+  );
+  assert.strictEqual(
+    await runQuietly(t, ['sitemap', '--help']),
+    EXIT_CODES.success
+  );
+  assert.strictEqual(await runQuietly(t, ['--version']), EXIT_CODES.success);
+});
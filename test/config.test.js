@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadConfig,
+  validateConfig,
+  requireScreamingFrogPath,
+  requireGoogleApiKey,
+  applyProfile,
+  getProfileArgs,
+} = require('../lib/config');
+
+// Helper function to write a configuration file to a temporary folder
+function writeConfig(settings) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-config-'));
+  const configPath = path.join(folder, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify(settings));
+  return configPath;
+}
+
+test('loadConfig layers the defaults, the file, the environment and overrides', () => {
+  const configPath = writeConfig({ outputFolder: './file', maxUrls: 10 });
+  try {
+    const config = loadConfig(configPath, {
+      env: { SF_PATH: '/opt/sf', SF_OUTPUT_FOLDER: './env' },
+      overrides: { maxUrls: 20 },
+    });
+
+    assert.strictEqual(config.exportFormat, 'csv');
+    assert.strictEqual(config.screamingFrogPath, '/opt/sf');
+    assert.strictEqual(config.outputFolder, './env');
+    assert.strictEqual(config.maxUrls, 20);
+  } finally {
+    fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+  }
+});
+
+test('loadConfig does not need the Screaming Frog path', () => {
+  const configPath = writeConfig({});
+  try {
+    const config = loadConfig(configPath, { env: {} });
+    assert.throws(
+      () => requireScreamingFrogPath(config),
+      /Screaming Frog path is missing/
+    );
+  } finally {
+    fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+  }
+});
+
+test('validateConfig lists every problem in one error', () => {
+  assert.throws(
+    () =>
+      validateConfig(
+        {
+          crawlConcurency: 2,
+          exportFormat: 'pdf',
+          maxUrls: '500',
+          profiles: { quick: { maxUrls: 0 } },
+          domains: { 'example.com': { profile: 'fast' } },
+        },
+        'config.json'
+      ),
+    (error) => {
+      assert.strictEqual(
+        error.message,
+        [
+          'Invalid configuration in config.json:',
+          '- Unknown setting "crawlConcurency", did you mean "crawlConcurrency"?',
+          '- "exportFormat" must be one of csv, xls, xlsx, gsheet',
+          '- "maxUrls" must be a whole number of at least 1',
+          '- "profiles.quick.maxUrls" must be a whole number of at least 1',
+          '- "domains.example.com.profile" refers to the unknown profile "fast"',
+        ].join('\n')
+      );
+      return true;
+    }
+  );
+});
+
+test('loadConfig reports a missing config file given explicitly', () => {
+  assert.throws(
+    () => loadConfig(path.join(os.tmpdir(), 'sf-missing', 'config.json')),
+    /Config file not found/
+  );
+});
+
+test('applyProfile applies the profile, then the overrides of the domain', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const config = {
+    maxUrls: 1000,
+    crawlTimeout: 60000,
+    profiles: {
+      quick: { maxUrls: 50, crawlTimeout: 1000 },
+      full: { maxUrls: 100000 },
+    },
+    domains: { 'example.com': { profile: 'quick', crawlTimeout: 5000 } },
+  };
+
+  const applied = applyProfile(config, { domain: 'shop.example.com' });
+  assert.strictEqual(applied.maxUrls, 50);
+  assert.strictEqual(applied.crawlTimeout, 5000);
+  assert.deepStrictEqual(applied.appliedProfile, {
+    name: 'quick',
+    domain: 'example.com',
+  });
+
+  // A profile given on the command line replaces the profile of the domain
+  const full = applyProfile(config, { domain: 'example.com', profile: 'full' });
+  assert.strictEqual(full.maxUrls, 100000);
+  assert.strictEqual(full.crawlTimeout, 5000);
+
+  const other = applyProfile(config, { domain: 'example.org' });
+  assert.strictEqual(other.maxUrls, 1000);
+  assert.deepStrictEqual(other.appliedProfile, { name: null, domain: null });
+
+  assert.throws(
+    () => applyProfile(config, { profile: 'slow' }),
+    /Unknown profile "slow". Available profiles: quick, full/
+  );
+});
+
+test('getProfileArgs passes the Screaming Frog configuration files', () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-config-'));
+  try {
+    const seoSpiderConfig = path.join(folder, 'crawl.seospiderconfig');
+    fs.writeFileSync(seoSpiderConfig, '');
+
+    assert.deepStrictEqual(getProfileArgs({ seoSpiderConfig }), [
+      '--config',
+      seoSpiderConfig,
+    ]);
+    assert.deepStrictEqual(getProfileArgs({}), []);
+    assert.throws(
+      () => getProfileArgs({ authConfig: path.join(folder, 'auth.config') }),
+      /Screaming Frog configuration file not found/
+    );
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('loadConfig reports a config file that is not valid JSON', () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-config-'));
+  try {
+    const configPath = path.join(folder, 'config.json');
+    fs.writeFileSync(configPath, '{ "maxUrls": 10, }');
+    assert.throws(() => loadConfig(configPath), /^Error: Invalid JSON in /);
+
+    fs.writeFileSync(configPath, '["maxUrls"]');
+    assert.throws(() => loadConfig(configPath), /must contain a JSON object/);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('loadConfig validates the settings of the environment and SF_CONFIG', () => {
+  const configPath = writeConfig({ validateExports: 'yes' });
+  try {
+    assert.throws(
+      () => loadConfig(undefined, { env: { SF_CONFIG: configPath } }),
+      (error) => {
+        assert.strictEqual(
+          error.message,
+          `Invalid configuration in ${configPath}:\n- "validateExports" must be true or false`
+        );
+        return true;
+      }
+    );
+  } finally {
+    fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+  }
+});
+
+test('requireGoogleApiKey rejects a missing or placeholder key', () => {
+  assert.strictEqual(requireGoogleApiKey({ googleApiKey: 'key' }), 'key');
+  assert.throws(() => requireGoogleApiKey({}), /Google API key is missing/);
+  assert.throws(
+    () => requireGoogleApiKey({ googleApiKey: 'your-google-api-key' }),
+    /still the placeholder/
+  );
+});
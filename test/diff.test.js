@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffRuns } = require('../lib/diff');
+
+test('diffRuns needs a type to compare specific runs', async () => {
+  await assert.rejects(
+    diffRuns('https://example.com', {
+      config: { outputFolder: './results/sitemap' },
+      from: '2025-01',
+    }),
+    /Pick the type of runs to compare/
+  );
+});
+
+// Helper function to save the exports of one sitemap of a sitemap run
+function writeSitemapRun(domainFolder, runId, files) {
+  const folder = path.join(domainFolder, runId, 'pages-sitemap');
+  fs.mkdirSync(folder, { recursive: true });
+  Object.entries(files).forEach(([name, content]) =>
+    fs.writeFileSync(path.join(folder, name), content)
+  );
+}
+
+test('diffRuns compares the URL:All exports of two sitemap runs', async () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-diff-'));
+  try {
+    const domainFolder = path.join(folder, 'sitemap', 'sitemap_example_com');
+    // The Response Codes:All export has other status codes, and is not read
+    writeSitemapRun(domainFolder, '2025-01-01T00-00-00', {
+      'url_all.csv':
+        'Address,Status Code\nhttps://example.com/a,200\nhttps://example.com/b,200\n',
+      'response_codes_all.csv':
+        'Address,Status Code\nhttps://example.com/a,500\n',
+    });
+    writeSitemapRun(domainFolder, '2025-02-01T00-00-00', {
+      'url_all.csv':
+        'Address,Status Code\nhttps://example.com/a,200\nhttps://example.com/c,404\n',
+      'response_codes_all.csv':
+        'Address,Status Code\nhttps://example.com/a,301\n',
+    });
+
+    const result = await diffRuns('https://example.com', {
+      config: { outputFolder: path.join(folder, 'sitemap') },
+      type: 'sitemap',
+      outputFolder: path.join(folder, 'diff'),
+    });
+
+    assert.deepStrictEqual(result.sitemaps.totals, {
+      added: 1,
+      removed: 1,
+      statusChanges: 0,
+    });
+    assert.deepStrictEqual(result.sitemaps.sitemaps[0].added, [
+      'https://example.com/c',
+    ]);
+    assert.deepStrictEqual(result.sitemaps.sitemaps[0].removed, [
+      'https://example.com/b',
+    ]);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
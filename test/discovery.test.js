@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const {
+  discoverCmsSitemaps,
+  discoverRelatedSitemaps,
+  collectPathPrefixes,
+} = require('../lib/discovery');
+
+// Helper function to serve a urlset at each of the given paths and 404 otherwise
+async function startServer(paths) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (!paths.includes(req.url)) {
+      res.writeHead(404);
+      return res.end('Not Found');
+    }
+    res.writeHead(200, { 'content-type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc>https://example.com${req.url}</loc></url>
+</urlset>`);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  return { server, origin, requests };
+}
+
+test('discoverCmsSitemaps probes the CMS locations that are not known yet', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { server, origin, requests } = await startServer([
+    '/wp-sitemap.xml',
+    '/sitemap_index.xml',
+  ]);
+  try {
+    const found = await discoverCmsSitemaps(
+      origin,
+      new Set([`${origin}/sitemap_index.xml`])
+    );
+
+    assert.deepStrictEqual(found, [
+      { sitemapUrl: `${origin}/wp-sitemap.xml`, source: 'wordpress' },
+    ]);
+    assert.ok(!requests.includes('/sitemap_index.xml'));
+  } finally {
+    server.close();
+  }
+});
+
+test('discoverRelatedSitemaps finds locale and section sitemaps', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { server, origin, requests } = await startServer([
+    '/ca/sitemap.xml',
+    '/fr-ca/sitemap_index.xml',
+    '/blog/blog-sitemap.xml',
+  ]);
+  try {
+    const pathPrefixes = new Set();
+    collectPathPrefixes(
+      [
+        `${origin}/ca/products/chair`,
+        `${origin}/fr-ca/`,
+        `${origin}/blog/2024/launch`,
+        `${origin}/about/team`,
+        'https://other.example.com/de/',
+      ],
+      pathPrefixes
+    );
+    const found = await discoverRelatedSitemaps(
+      origin,
+      [...pathPrefixes],
+      new Set()
+    );
+
+    assert.deepStrictEqual(found, [
+      { sitemapUrl: `${origin}/ca/sitemap.xml`, source: 'locale' },
+      { sitemapUrl: `${origin}/fr-ca/sitemap_index.xml`, source: 'locale' },
+      { sitemapUrl: `${origin}/blog/blog-sitemap.xml`, source: 'section' },
+    ]);
+    // Folders that are neither a locale nor a section are not probed
+    assert.ok(!requests.some((url) => url.startsWith('/about/')));
+    assert.ok(!requests.some((url) => url.startsWith('/de/')));
+  } finally {
+    server.close();
+  }
+});
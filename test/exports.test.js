@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getExportOptions,
+  applyExportOverrides,
+  checkExportFiles,
+} = require('../lib/exports');
+
+test('getExportOptions builds the export arguments of a crawl', () => {
+  const { args, exports } = getExportOptions({
+    saveOptions: '--headless --save-crawl --save-report "Crawl Overview"',
+    exportTabs: 'URL:All, Page Titles:Missing',
+    'bulk-export': ['Links:All Inlinks'],
+    saveReport: 'Crawl Overview,Redirects:Redirect Chains',
+  });
+
+  assert.deepStrictEqual(args, [
+    '--headless',
+    '--save-crawl',
+    '--export-tabs',
+    'URL:All,Page Titles:Missing',
+    '--bulk-export',
+    'Links:All Inlinks',
+    '--save-report',
+    'Crawl Overview,Redirects:Redirect Chains',
+  ]);
+  assert.strictEqual(exports.length, 5);
+});
+
+test('getExportOptions suggests the closest name of unknown exports', () => {
+  assert.throws(
+    () =>
+      getExportOptions({
+        exportTabs: 'Page Title:All',
+        'bulk-export': 'All Inlink',
+      }),
+    (error) => {
+      assert.match(
+        error.message,
+        /^Unknown export tab "Page Title:All", did you mean "Page Titles:All"\?\nUnknown bulk export "All Inlink", did you mean "All Inlinks"\?/
+      );
+      return true;
+    }
+  );
+
+  // Names that are not in the built-in list can be allowed
+  assert.deepStrictEqual(
+    getExportOptions({ exportTabs: 'New Tab:All', validateExports: false })
+      .args,
+    ['--export-tabs', 'New Tab:All']
+  );
+});
+
+test('applyExportOverrides replaces only the exports given on the command line', () => {
+  const config = applyExportOverrides(
+    { exportTabs: 'URL:All', saveReport: 'Crawl Overview' },
+    { bulkExport: 'All Inlinks', saveReport: '' }
+  );
+
+  assert.strictEqual(config.exportTabs, 'URL:All');
+  assert.strictEqual(config['bulk-export'], 'All Inlinks');
+  assert.strictEqual(config.saveReport, '');
+});
+
+test('checkExportFiles matches the exports with the files of a crawl', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const check = checkExportFiles(
+    [
+      { type: 'tab', name: 'URL:All' },
+      { type: 'bulk', name: 'Links:All Inlinks' },
+      { type: 'report', name: 'Redirects:Redirect Chains' },
+    ],
+    ['url_all.csv', 'all_inlinks.csv', 'crawl_overview.csv']
+  );
+
+  assert.deepStrictEqual(
+    check.requested.map((result) => result.file),
+    ['url_all.csv', 'all_inlinks.csv', null]
+  );
+  assert.deepStrictEqual(check.missing, [
+    { type: 'report', name: 'Redirects:Redirect Chains', file: null },
+  ]);
+});
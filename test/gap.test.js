@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareCrawlWithSitemaps } = require('../lib/gap');
+
+// Helper function to build a row of Screaming Frog's Internal:All export
+function row(address, indexabilityStatus = '', contentType = 'text/html') {
+  return {
+    Address: address,
+    'Content Type': contentType,
+    Indexability: indexabilityStatus ? 'Non-Indexable' : 'Indexable',
+    'Indexability Status': indexabilityStatus,
+  };
+}
+
+test('compareCrawlWithSitemaps finds missing, orphan and non-indexable URLs', () => {
+  const sitemapUrls = new Map([
+    ['https://example.com/', 'https://example.com/sitemap.xml'],
+    ['https://example.com/orphan', 'https://example.com/sitemap.xml'],
+    ['https://example.com/old', 'https://example.com/sitemap.xml'],
+    ['https://example.com/draft', 'https://example.com/sitemap.xml'],
+    ['https://cdn.example.com/file', 'https://example.com/sitemap.xml'],
+  ]);
+
+  const gap = compareCrawlWithSitemaps(
+    [
+      row('https://example.com'),
+      row('https://example.com/unlisted'),
+      row('https://example.com/style.css', '', 'text/css'),
+      row('https://example.com/old', 'Canonicalised'),
+      row('https://example.com/draft', 'noindex'),
+    ],
+    sitemapUrls
+  );
+
+  assert.strictEqual(gap.crawledUrls, 5);
+  assert.strictEqual(gap.sitemapUrls, 5);
+  assert.strictEqual(gap.outOfScope, 1);
+  assert.deepStrictEqual(
+    gap.missing.map((page) => page.Address),
+    ['https://example.com/unlisted']
+  );
+  assert.deepStrictEqual(gap.orphans, [
+    {
+      Address: 'https://example.com/orphan',
+      Sitemap: 'https://example.com/sitemap.xml',
+    },
+  ]);
+  assert.deepStrictEqual(
+    gap.nonIndexable.map((page) => `${page.Address} ${page.Issue}`),
+    [
+      'https://example.com/old Canonicalised',
+      'https://example.com/draft Noindex',
+    ]
+  );
+});
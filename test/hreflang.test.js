@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSitemap } = require('../lib/sitemap-parser');
+const {
+  collectHreflangAlternates,
+  checkHreflangCode,
+  auditHreflang,
+} = require('../lib/hreflang');
+
+// Helper function to collect the alternates of a sitemap with the given url entries
+function collect(urls) {
+  const sitemap = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+  xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>`);
+  const alternatesByUrl = new Map();
+  collectHreflangAlternates(
+    sitemap,
+    'https://example.com/sitemap.xml',
+    alternatesByUrl
+  );
+  return alternatesByUrl;
+}
+
+// Helper function to build a url entry with hreflang alternates
+function url(loc, alternates) {
+  const links = Object.entries(alternates).map(
+    ([hreflang, href]) =>
+      `<xhtml:link rel="alternate" hreflang="${hreflang}" href="${href}"/>`
+  );
+  return `<url><loc>${loc}</loc>${links.join('')}</url>`;
+}
+
+test('auditHreflang accepts reciprocal alternates', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const alternates = {
+    en: 'https://example.com/en/',
+    'fr-CA': 'https://example.com/fr/',
+    'x-default': 'https://example.com/en/',
+  };
+  const audit = auditHreflang(
+    collect([
+      url('https://example.com/en/', alternates),
+      url('https://example.com/fr/', alternates),
+    ])
+  );
+
+  assert.strictEqual(audit.urlCount, 2);
+  assert.strictEqual(audit.clusterCount, 1);
+  assert.deepStrictEqual(audit.languages, ['en', 'fr-ca', 'x-default']);
+  assert.deepStrictEqual(audit.issues, []);
+});
+
+test('auditHreflang reports missing return tags and self references', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const audit = auditHreflang(
+    collect([
+      url('https://example.com/en/', {
+        en: 'https://example.com/en/',
+        fr: 'https://example.com/fr/',
+        de: 'https://example.com/de/',
+        'x-default': 'https://example.com/en/',
+      }),
+      url('https://example.com/fr/', {
+        en: 'https://example.com/',
+        'x-default': 'https://example.com/',
+      }),
+    ])
+  );
+  const issues = audit.issues.map(
+    (issue) => `${issue.url} ${issue.issue} ${issue.alternateUrl}`
+  );
+
+  assert.deepStrictEqual(issues, [
+    'https://example.com/en/ missing-return-tag https://example.com/fr/',
+    'https://example.com/en/ alternate-not-in-sitemap https://example.com/de/',
+    'https://example.com/fr/ alternate-not-in-sitemap https://example.com/',
+    'https://example.com/fr/ alternate-not-in-sitemap https://example.com/',
+    'https://example.com/fr/ missing-self-reference ',
+  ]);
+});
+
+test('checkHreflangCode suggests fixes for common mistakes', () => {
+  assert.strictEqual(checkHreflangCode('en-GB'), null);
+  assert.strictEqual(checkHreflangCode('es-419'), null);
+  assert.strictEqual(checkHreflangCode('zh-Hant-TW'), null);
+  assert.strictEqual(checkHreflangCode('x-default'), null);
+  assert.strictEqual(checkHreflangCode('en_GB').suggestion, 'en-GB');
+  assert.strictEqual(checkHreflangCode('en-UK').suggestion, 'en-GB');
+  assert.strictEqual(checkHreflangCode('en-EU').suggestion, 'en');
+  assert.match(checkHreflangCode('gb').message, /is a region/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const zlib = require('zlib');
+const {
+  fetchWithRetry,
+  validateHttpUrl,
+  filterHttpUrls,
+  decodeBody,
+} = require('../lib/http');
+
+const SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc>https://example.com/café</loc></url>
+</urlset>`;
+
+test('decodeBody decompresses gzipped sitemap files and encodings', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const gzipped = zlib.gzipSync(SITEMAP);
+
+  // A .gz file served as is, and a .gz file served with Content-Encoding: gzip
+  assert.strictEqual(
+    decodeBody(gzipped, { url: 'https://example.com/sitemap.xml.gz' }),
+    SITEMAP
+  );
+  assert.strictEqual(
+    decodeBody(zlib.gzipSync(gzipped), { contentEncoding: 'gzip' }),
+    SITEMAP
+  );
+  assert.strictEqual(
+    decodeBody(zlib.deflateRawSync(SITEMAP), { contentEncoding: 'deflate' }),
+    SITEMAP
+  );
+  assert.strictEqual(
+    decodeBody(zlib.brotliCompressSync(SITEMAP), {
+      url: 'https://example.com/sitemap.xml.br',
+    }),
+    SITEMAP
+  );
+});
+
+test('fetchWithRetry fetches a gzipped sitemap over HTTP', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/x-gzip' });
+    res.end(zlib.gzipSync(SITEMAP));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const content = await fetchWithRetry(
+      `http://127.0.0.1:${server.address().port}/sitemap.xml.gz`
+    );
+    assert.strictEqual(content, SITEMAP);
+  } finally {
+    server.close();
+  }
+});
+
+test('validateHttpUrl only accepts plain http(s) URLs', () => {
+  assert.strictEqual(
+    validateHttpUrl('https://example.com/sitemap.xml').hostname,
+    'example.com'
+  );
+  assert.throws(() => validateHttpUrl('', 'Website URL'), {
+    message: 'Website URL is missing',
+  });
+  assert.throws(() => validateHttpUrl('example.com'), /is not a valid URL/);
+  assert.throws(
+    () => validateHttpUrl('file:///etc/passwd'),
+    /must use http or https, got file:/
+  );
+  assert.throws(
+    () => validateHttpUrl('https://example.com/\nrm -rf /'),
+    /contains control characters/
+  );
+});
+
+test('filterHttpUrls drops the URLs that are not plain http(s) URLs', (t) => {
+  t.mock.method(console, 'log', () => {});
+
+  assert.deepStrictEqual(
+    filterHttpUrls([
+      'https://example.com/',
+      'javascript:alert(1)',
+      'https://example.com/a"; rm -rf /',
+    ]),
+    ['https://example.com/', 'https://example.com/a"; rm -rf /']
+  );
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mapWithConcurrency, createCrawlPool } = require('../lib/pool');
+
+// Helper function to wait for a number of milliseconds
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('mapWithConcurrency keeps the order of the items', async () => {
+  let running = 0;
+  let maxRunning = 0;
+
+  const results = await mapWithConcurrency(
+    [30, 10, 20, 0],
+    2,
+    async (ms, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(ms);
+      running--;
+      return `${index}:${ms}`;
+    }
+  );
+
+  assert.deepStrictEqual(results, ['0:30', '1:10', '2:20', '3:0']);
+  assert.strictEqual(maxRunning, 2);
+});
+
+test('createCrawlPool limits the crawls running at the same time', async () => {
+  // A 1 MB budget is always free, so only the concurrency limits the crawls
+  const pool = createCrawlPool({ concurrency: 2, memoryBudgetMb: 1 });
+  let running = 0;
+  let maxRunning = 0;
+  const crawl = async (name) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await delay(10);
+    running--;
+    return name;
+  };
+
+  const results = await Promise.all(
+    ['a', 'b', 'c', 'd', 'e'].map((name) => pool.run(() => crawl(name)))
+  );
+
+  assert.deepStrictEqual(results, ['a', 'b', 'c', 'd', 'e']);
+  assert.strictEqual(maxRunning, 2);
+});
+
+test('createCrawlPool starts the next crawl when one fails', async () => {
+  const pool = createCrawlPool({ concurrency: 1, memoryBudgetMb: 1 });
+
+  const [failed, done] = await Promise.allSettled([
+    pool.run(async () => {
+      throw new Error('Crawl failed');
+    }),
+    pool.run(async () => 'done'),
+  ]);
+
+  assert.strictEqual(failed.reason.message, 'Crawl failed');
+  assert.strictEqual(done.value, 'done');
+});
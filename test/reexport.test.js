@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findSavedCrawls, runReExport } = require('../lib/reexport');
+
+// Helper function to write a script that exports like Screaming Frog, writing
+// one CSV into the --output-folder it is given
+function writeFakeScreamingFrog(folder) {
+  const scriptPath = path.join(folder, 'screamingfrogseospider');
+  fs.writeFileSync(
+    scriptPath,
+    `#!${process.execPath}
+const args = process.argv.slice(2);
+const outputFolder = args[args.indexOf('--output-folder') + 1];
+require('fs').writeFileSync(outputFolder + '/internal_all.csv', 'Address\\n');
+`
+  );
+  fs.chmodSync(scriptPath, 0o755);
+  return scriptPath;
+}
+
+test('findSavedCrawls finds the saved crawls in nested sitemap folders', () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-reexport-'));
+  try {
+    const nested = path.join(folder, 'sitemap_index', 'pages-sitemap');
+    fs.mkdirSync(nested, { recursive: true });
+    fs.writeFileSync(path.join(folder, 'crawl.seospider'), '');
+    fs.writeFileSync(path.join(nested, 'crawl.dbseospider'), '');
+    fs.writeFileSync(path.join(nested, 'url_all.csv'), '');
+
+    assert.deepStrictEqual(findSavedCrawls(folder).sort(), [
+      path.join(folder, 'crawl.seospider'),
+      path.join(nested, 'crawl.dbseospider'),
+    ]);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('runReExport lists only the files written by the export', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-reexport-'));
+  try {
+    const crawlFolder = path.join(folder, 'crawl');
+    fs.mkdirSync(crawlFolder);
+    const crawlFile = path.join(crawlFolder, 'crawl.seospider');
+    fs.writeFileSync(crawlFile, '');
+    fs.writeFileSync(path.join(crawlFolder, 'url_all.csv'), 'Address\n');
+
+    const result = await runReExport(
+      crawlFile,
+      ['--export-tabs', 'Internal:All'],
+      {
+        config: {
+          screamingFrogPath: writeFakeScreamingFrog(folder),
+          exportFormat: 'csv',
+        },
+      }
+    );
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.outputFolder, crawlFolder);
+    assert.deepStrictEqual(result.files, ['internal_all.csv']);
+    assert.match(result.command, /--load-crawl \S+crawl\.seospider/);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
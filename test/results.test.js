@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateSitemapExports } = require('../lib/results');
+
+test('validateSitemapExports finds the exports in nested sitemap folders', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-results-'));
+  try {
+    const sitemapFolder = path.join(folder, 'sitemap_index', 'pages-sitemap');
+    fs.mkdirSync(sitemapFolder, { recursive: true });
+    fs.writeFileSync(
+      path.join(sitemapFolder, 'url_all.csv'),
+      'Address,Status Code\n'
+    );
+    fs.writeFileSync(
+      path.join(sitemapFolder, 'crawl_overview.csv'),
+      'Name,Value\n'
+    );
+
+    const exports = validateSitemapExports(folder);
+
+    assert.strictEqual(
+      exports.urlFile,
+      path.join(sitemapFolder, 'url_all.csv')
+    );
+    assert.strictEqual(
+      exports.overviewFile,
+      path.join(sitemapFolder, 'crawl_overview.csv')
+    );
+    assert.strictEqual(exports.robotsFile, undefined);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('validateSitemapExports uses the export of the status check', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-results-'));
+  try {
+    fs.writeFileSync(
+      path.join(folder, 'response_codes_all.csv'),
+      'Address,Status Code\n'
+    );
+
+    assert.strictEqual(
+      validateSitemapExports(folder).urlFile,
+      path.join(folder, 'response_codes_all.csv')
+    );
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('validateSitemapExports says which exports are missing', () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-results-'));
+  try {
+    assert.throws(
+      () => validateSitemapExports(path.join(folder, 'missing')),
+      /^Error: Exports folder not found/
+    );
+    assert.throws(
+      () => validateSitemapExports(folder),
+      /No url_all\.csv or response_codes_all\.csv export found/
+    );
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseRobotsTxt,
+  getRobotsGroup,
+  isAllowedByRobots,
+  checkUrlsAgainstRobots,
+} = require('../lib/robots');
+
+const ROBOTS_TXT = `# Example robots.txt
+User-agent: *
+Disallow: /private/
+Crawl-delay: 2
+
+User-agent: Googlebot
+User-agent: bingbot
+Disallow: /ca/*.xml$
+Allow: /ca/sitemap_index.xml
+
+Sitemap: https://example.com/sitemap_index.xml
+`;
+
+test('parseRobotsTxt reads user-agent groups, rules and sitemaps', () => {
+  const robots = parseRobotsTxt(ROBOTS_TXT);
+
+  assert.deepStrictEqual(robots.groups, [
+    {
+      userAgents: ['*'],
+      rules: [{ type: 'disallow', path: '/private/' }],
+      crawlDelay: 2,
+    },
+    {
+      userAgents: ['googlebot', 'bingbot'],
+      rules: [
+        { type: 'disallow', path: '/ca/*.xml$' },
+        { type: 'allow', path: '/ca/sitemap_index.xml' },
+      ],
+      crawlDelay: null,
+    },
+  ]);
+  assert.deepStrictEqual(robots.sitemaps, [
+    'https://example.com/sitemap_index.xml',
+  ]);
+});
+
+test('getRobotsGroup picks the group of the agent or the wildcard group', () => {
+  const robots = parseRobotsTxt(ROBOTS_TXT);
+
+  assert.strictEqual(
+    getRobotsGroup(robots, 'Googlebot').userAgent,
+    'googlebot'
+  );
+  assert.strictEqual(
+    getRobotsGroup(robots, 'Bingbot/2.0').userAgent,
+    'bingbot'
+  );
+  assert.strictEqual(getRobotsGroup(robots, 'DuckDuckBot').userAgent, '*');
+  assert.strictEqual(getRobotsGroup(robots, 'DuckDuckBot').crawlDelay, 2);
+});
+
+test('isAllowedByRobots applies the longest matching rule', () => {
+  const robots = parseRobotsTxt(ROBOTS_TXT);
+  const check = (url, userAgent) => isAllowedByRobots(robots, url, userAgent);
+
+  assert.strictEqual(
+    check('https://example.com/ca/pages.xml', 'Googlebot').rule,
+    'Disallow: /ca/*.xml$'
+  );
+  assert.strictEqual(
+    check('https://example.com/ca/pages.xml', 'Googlebot').allowed,
+    false
+  );
+  assert.strictEqual(
+    check('https://example.com/ca/sitemap_index.xml', 'Googlebot').allowed,
+    true
+  );
+  // The $ anchors the pattern to the end of the URL
+  assert.strictEqual(
+    check('https://example.com/ca/pages.xml?page=2', 'Googlebot').allowed,
+    true
+  );
+  // Googlebot only follows its own group, not the wildcard group
+  assert.strictEqual(
+    check('https://example.com/private/page', 'Googlebot').allowed,
+    true
+  );
+  assert.strictEqual(
+    check('https://example.com/private/page', 'DuckDuckBot').allowed,
+    false
+  );
+  assert.strictEqual(
+    check('https://example.com/robots.txt', 'DuckDuckBot').allowed,
+    true
+  );
+});
+
+test('checkUrlsAgainstRobots lists the agents that are blocked', () => {
+  const robots = parseRobotsTxt(ROBOTS_TXT);
+  const [check] = checkUrlsAgainstRobots(
+    robots,
+    ['https://example.com/ca/pages.xml'],
+    ['Googlebot', 'Bingbot', 'Screaming Frog SEO Spider']
+  );
+
+  assert.strictEqual(check.blocked, true);
+  assert.deepStrictEqual(check.blockedFor, ['Googlebot', 'Bingbot']);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  runCommand,
+  splitArgs,
+  formatCommand,
+  parseProgress,
+} = require('../lib/runner');
+
+// Helper function to run a Node.js script as if it was Screaming Frog
+function runScript(script, options = {}) {
+  return runCommand(process.execPath, ['-e', script], options);
+}
+
+test('runCommand streams the progress of a command', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const result = await runScript(
+    `console.log('Starting');
+console.log('SpiderProgress [mActive=2, mCompleted=120, mWaiting=80, mCompleted=60.0%]');`
+  );
+
+  assert.strictEqual(result.exitCode, 0);
+  assert.strictEqual(result.error, null);
+  assert.deepStrictEqual(result.progress, {
+    active: 2,
+    completed: 120,
+    waiting: 80,
+    percent: 60,
+  });
+  assert.strictEqual(result.output[0], 'Starting');
+});
+
+test('runCommand reports the exit code and last output of a failed command', async () => {
+  const result = await runScript(
+    `console.error('License expired'); process.exit(3);`
+  );
+
+  assert.strictEqual(result.exitCode, 3);
+  assert.match(
+    result.error,
+    /^Command failed with exit code 3: License expired/
+  );
+});
+
+test('runCommand stops a command that runs past its timeout', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const result = await runScript('setTimeout(() => {}, 60000);', {
+    timeout: 200,
+  });
+
+  assert.strictEqual(result.timedOut, true);
+  assert.strictEqual(result.signal, 'SIGTERM');
+  assert.match(result.error, /^Crawl timed out/);
+});
+
+test('runCommand reports a command that cannot be started', async () => {
+  const result = await runCommand('/nonexistent/ScreamingFrogSEOSpiderCli', []);
+
+  assert.match(result.error, /ENOENT/);
+});
+
+test('parseProgress ignores other output lines', () => {
+  assert.strictEqual(parseProgress('Crawl finished'), null);
+});
+
+test('splitArgs splits an option string without shell expansion', () => {
+  assert.deepStrictEqual(
+    splitArgs(
+      `--headless "--config" "C:\\My Configs\\crawl.seospiderconfig" '$HOME' *.csv`
+    ),
+    [
+      '--headless',
+      '--config',
+      'C:\\My Configs\\crawl.seospiderconfig',
+      '$HOME',
+      '*.csv',
+    ]
+  );
+  assert.deepStrictEqual(splitArgs('"say \\"hi\\"" ; rm -rf /'), [
+    'say "hi"',
+    ';',
+    'rm',
+    '-rf',
+    '/',
+  ]);
+  assert.deepStrictEqual(splitArgs(['--timeout', 30]), ['--timeout', '30']);
+  assert.deepStrictEqual(splitArgs(''), []);
+  assert.deepStrictEqual(splitArgs(undefined), []);
+});
+
+test('formatCommand quotes the arguments that contain spaces or quotes', () => {
+  assert.strictEqual(
+    formatCommand('/usr/bin/screamingfrogseospider', [
+      '--crawl',
+      'https://example.com/a b',
+      '--headless',
+    ]),
+    '/usr/bin/screamingfrogseospider --crawl "https://example.com/a b" --headless'
+  );
+});
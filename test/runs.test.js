@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRun, listRuns, findRun, pruneRuns } = require('../lib/runs');
+
+// Helper function to create the folders of runs with the given ids
+function makeRuns(baseFolder, ids) {
+  ids.forEach((id) =>
+    fs.mkdirSync(path.join(baseFolder, id), { recursive: true })
+  );
+}
+
+test('createRun names runs after their start time and counts same-second runs', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-runs-'));
+  try {
+    const date = new Date('2025-01-31T09:30:00.500Z');
+    const first = createRun(folder, date);
+    const second = createRun(folder, date);
+
+    assert.strictEqual(first.id, '2025-01-31T09-30-00');
+    assert.strictEqual(second.id, '2025-01-31T09-30-00-2');
+    assert.strictEqual(second.folder, path.join(folder, second.id));
+    assert.strictEqual(findRun(folder).id, second.id);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('listRuns sorts runs by time and ignores other folders', () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-runs-'));
+  try {
+    makeRuns(folder, [
+      '2025-02-01T00-00-00',
+      '2025-01-31T09-30-00-10',
+      '2025-01-31T09-30-00-2',
+      '2025-01-31T09-30-00',
+      'status_check',
+    ]);
+
+    assert.deepStrictEqual(listRuns(folder), [
+      '2025-01-31T09-30-00',
+      '2025-01-31T09-30-00-2',
+      '2025-01-31T09-30-00-10',
+      '2025-02-01T00-00-00',
+    ]);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('findRun finds a run by its id or a unique start of it', () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-runs-'));
+  try {
+    assert.strictEqual(findRun(folder), null);
+    assert.throws(() => findRun(folder, '2025-01'), /No runs found in/);
+
+    makeRuns(folder, [
+      '2025-01-30T08-00-00',
+      '2025-01-31T09-30-00',
+      '2025-01-31T10-00-00',
+    ]);
+
+    assert.strictEqual(findRun(folder).id, '2025-01-31T10-00-00');
+    assert.strictEqual(findRun(folder, '2025-01-30').id, '2025-01-30T08-00-00');
+    assert.throws(
+      () => findRun(folder, '2025-01-31'),
+      /Run "2025-01-31" matches 2 runs/
+    );
+    assert.throws(() => findRun(folder, '2024'), /No run "2024" found/);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('pruneRuns keeps the newest runs, the recent runs and the latest run', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-runs-'));
+  try {
+    const toId = (daysAgo) =>
+      new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000)
+        .toISOString()
+        .replace(/:/g, '-')
+        .split('.')[0];
+    const [old, older, recent, newest] = [20, 30, 1, 0].map(toId);
+    makeRuns(folder, [old, older, recent, newest]);
+
+    // With both settings, only runs that are too many and too old are deleted
+    assert.deepStrictEqual(pruneRuns(folder, { keepRuns: 1, keepDays: 7 }), [
+      older,
+      old,
+    ]);
+    assert.deepStrictEqual(pruneRuns(folder, { keepRuns: 1 }), [recent]);
+    assert.deepStrictEqual(listRuns(folder), [newest]);
+    assert.deepStrictEqual(pruneRuns(folder, {}), []);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSitemap } = require('../lib/sitemap-parser');
+
+test('parseSitemap reads a plain-text sitemap with one URL per line', () => {
+  const sitemap = parseSitemap(
+    'https://example.com/\r\nhttps://example.com/about\n\n'
+  );
+
+  assert.strictEqual(sitemap.type, 'urlset');
+  assert.strictEqual(sitemap.format, 'text');
+  assert.deepStrictEqual(sitemap.urls, [
+    'https://example.com/',
+    'https://example.com/about',
+  ]);
+});
+
+test('parseSitemap does not treat other text as a sitemap', () => {
+  ['Not Found', 'https://example.com/\nPage moved', 'OK'].forEach((content) => {
+    const sitemap = parseSitemap(content);
+    assert.strictEqual(sitemap.type, 'unknown', content);
+    assert.deepStrictEqual(sitemap.urls, []);
+  });
+});
+
+test('parseSitemap reads the item links of an RSS 2.0 feed', () => {
+  const sitemap = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Blog</title>
+    <item><link>https://example.com/first</link></item>
+    <item><guid isPermaLink="true">https://example.com/second</guid></item>
+    <item><guid isPermaLink="false">post-3</guid></item>
+  </channel>
+</rss>`);
+
+  assert.strictEqual(sitemap.type, 'urlset');
+  assert.strictEqual(sitemap.format, 'rss');
+  assert.deepStrictEqual(sitemap.urls, [
+    'https://example.com/first',
+    'https://example.com/second',
+  ]);
+});
+
+test('parseSitemap reads the alternate links of an Atom 1.0 feed', () => {
+  const sitemap = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Blog</title>
+  <entry>
+    <link rel="edit" href="https://example.com/edit/1"/>
+    <link rel="alternate" href="https://example.com/first"/>
+  </entry>
+  <entry><link href="https://example.com/second"/></entry>
+</feed>`);
+
+  assert.strictEqual(sitemap.type, 'urlset');
+  assert.strictEqual(sitemap.format, 'atom');
+  assert.deepStrictEqual(sitemap.urls, [
+    'https://example.com/first',
+    'https://example.com/second',
+  ]);
+});
+
+test('parseSitemap reads the image, video and news extensions', () => {
+  const sitemap = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+  xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+  xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"
+  xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+  <url>
+    <loc>https://example.com/article</loc>
+    <image:image><image:loc>https://example.com/a.jpg</image:loc></image:image>
+    <image:image><image:loc>https://example.com/b.jpg</image:loc></image:image>
+    <video:video>
+      <video:thumbnail_loc>https://example.com/thumb.jpg</video:thumbnail_loc>
+      <video:title>Launch</video:title>
+      <video:description>The launch video</video:description>
+      <video:content_loc>https://example.com/launch.mp4</video:content_loc>
+      <video:duration>600</video:duration>
+    </video:video>
+    <news:news>
+      <news:publication>
+        <news:name>Example News</news:name>
+        <news:language>en</news:language>
+      </news:publication>
+      <news:publication_date>2024-01-01</news:publication_date>
+      <news:title>Launch day</news:title>
+    </news:news>
+  </url>
+</urlset>`);
+  const { images, videos, news } = sitemap.extensions;
+
+  assert.deepStrictEqual(
+    images.map((image) => image.loc),
+    ['https://example.com/a.jpg', 'https://example.com/b.jpg']
+  );
+  assert.strictEqual(images[0].pageUrl, 'https://example.com/article');
+  assert.strictEqual(videos.length, 1);
+  assert.strictEqual(videos[0].title, 'Launch');
+  assert.strictEqual(videos[0].contentLoc, 'https://example.com/launch.mp4');
+  assert.strictEqual(videos[0].duration, '600');
+  assert.deepStrictEqual(news, [
+    {
+      pageUrl: 'https://example.com/article',
+      publicationName: 'Example News',
+      publicationLanguage: 'en',
+      publicationDate: '2024-01-01',
+      title: 'Launch day',
+    },
+  ]);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSitemapFolderName } = require('../lib/sitemap');
+
+test('getSitemapFolderName names folders after the sitemap path', () => {
+  [
+    ['https://example.com/sitemap_index.xml', 'sitemap_index'],
+    ['https://example.com/en/pages-sitemap.xml.gz', 'en_pages-sitemap'],
+    ['https://example.com/pages.txt', 'pages'],
+    ['https://example.com/feed.rss', 'feed'],
+    ['https://example.com/news.atom', 'news'],
+    ['https://example.com/', 'main'],
+  ].forEach(([sitemapUrl, folderName]) =>
+    assert.strictEqual(getSitemapFolderName(sitemapUrl), folderName)
+  );
+});
+
+test('getSitemapFolderName gives paged sitemaps their own folder', () => {
+  assert.strictEqual(
+    getSitemapFolderName('https://example.com/sitemap.php?page=1'),
+    'sitemap.php_page_1'
+  );
+  assert.strictEqual(
+    getSitemapFolderName('https://example.com/sitemap.php?page=2&type=posts'),
+    'sitemap.php_page_2_type_posts'
+  );
+});
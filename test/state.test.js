@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunState, readRunState } = require('../lib/state');
+
+test('createRunState saves every change to the run state file', () => {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-state-'));
+  try {
+    const filePath = path.join(folder, 'run_state.json');
+    const state = createRunState(filePath, {
+      command: 'sitemap',
+      target: 'https://example.com',
+    });
+    state.add('https://example.com/sitemap.xml', { source: 'robots' });
+    state.update('https://example.com/sitemap.xml', 'failed', {
+      error: 'Crawl timed out',
+    });
+
+    const saved = readRunState(filePath);
+    assert.strictEqual(saved.command, 'sitemap');
+    assert.strictEqual(saved.resumed, false);
+    assert.deepStrictEqual(
+      { ...saved.entries['https://example.com/sitemap.xml'], updatedAt: null },
+      {
+        source: 'robots',
+        status: 'failed',
+        error: 'Crawl timed out',
+        updatedAt: null,
+      }
+    );
+    assert.ok(!fs.existsSync(`${filePath}.tmp`));
+    assert.throws(() => state.update('other', 'skipped'), {
+      message: 'Unknown run status "skipped"',
+    });
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
+
+test('createRunState resumes the entries that are not done', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sf-state-'));
+  try {
+    const filePath = path.join(folder, 'run_state.json');
+    const first = createRunState(filePath);
+    first.update('done.xml', 'done');
+    first.update('failed.xml', 'failed', { error: 'Exit code 1' });
+    first.add('pending.xml');
+
+    const resumed = createRunState(filePath, { resume: true });
+    assert.strictEqual(resumed.resumed, true);
+    assert.strictEqual(resumed.isDone('done.xml'), true);
+    assert.strictEqual(resumed.isDone('failed.xml'), false);
+    assert.deepStrictEqual(resumed.counts(), {
+      pending: 1,
+      running: 0,
+      done: 1,
+      failed: 1,
+    });
+
+    // A retry that succeeds clears the error of the last attempt
+    resumed.update('failed.xml', 'done');
+    assert.strictEqual(resumed.get('failed.xml').error, undefined);
+
+    // Without resume, a new run starts from scratch
+    assert.deepStrictEqual(createRunState(filePath).counts(), {
+      pending: 0,
+      running: 0,
+      done: 0,
+      failed: 0,
+    });
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+});
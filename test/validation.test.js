@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSitemap } = require('../lib/sitemap-parser');
+const { validateSitemap } = require('../lib/validation');
+
+// Helper function to validate sitemap content served at a URL
+function validate(content, sitemapUrl = 'https://example.com/sitemap.xml') {
+  return validateSitemap(content, parseSitemap(content), sitemapUrl);
+}
+
+// Helper function to list the rules that a validation report broke
+function getRules(report) {
+  return report.issues.map((issue) => `${issue.severity}:${issue.rule}`);
+}
+
+test('validateSitemap accepts a sitemap that follows the protocol', () => {
+  const report = validate(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://example.com/?a=1&amp;b=2</loc>
+    <lastmod>2024-01-01T10:00:00+01:00</lastmod>
+    <changefreq>weekly</changefreq>
+    <priority>0.8</priority>
+  </url>
+</urlset>`);
+
+  assert.strictEqual(report.valid, true);
+  assert.strictEqual(report.entryCount, 1);
+  assert.deepStrictEqual(report.issues, []);
+});
+
+test('validateSitemap reports every entry that breaks the protocol', () => {
+  const report = validate(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset>
+  <url><loc>/relative</loc></url>
+  <url><loc>http://example.com/insecure</loc></url>
+  <url><loc>https://other.example.com/</loc></url>
+  <url>
+    <loc>https://example.com/page</loc>
+    <lastmod>01/02/2024</lastmod>
+    <changefreq>sometimes</changefreq>
+    <priority>1.5</priority>
+  </url>
+  <url><loc>https://example.com/next</loc><lastmod>2999-01-01</lastmod></url>
+</urlset>`);
+
+  assert.strictEqual(report.valid, false);
+  assert.deepStrictEqual(getRules(report), [
+    'error:namespace',
+    'error:loc',
+    'error:loc-protocol',
+    'error:loc-host',
+    'error:lastmod',
+    'error:changefreq',
+    'error:priority',
+    'warning:lastmod',
+  ]);
+  assert.strictEqual(report.errors, 7);
+  assert.strictEqual(report.warnings, 1);
+});
+
+test('validateSitemap finds unescaped ampersands in the raw XML', () => {
+  const report = validate(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.com/?a=1&b=2</loc></url>
+</urlset>`);
+
+  assert.deepStrictEqual(getRules(report), ['error:entity-escaping']);
+  assert.strictEqual(report.issues[0].line, 3);
+});
+
+test('validateSitemap needs a urlset or sitemapindex root element', () => {
+  const report = validate('<html><body>Not Found</body></html>');
+
+  assert.deepStrictEqual(getRules(report), ['error:root-element']);
+});
+
+test('validateSitemap checks the required fields of the extensions', () => {
+  const report = validate(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+  xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+  xmlns:video="http://www.google.com/schemas/sitemap-video/1.1">
+  <url>
+    <loc>https://example.com/article</loc>
+    <image:image><image:loc>/relative.jpg</image:loc></image:image>
+    <video:video>
+      <video:title>Launch</video:title>
+      <video:content_loc>https://example.com/launch.mp4</video:content_loc>
+    </video:video>
+  </url>
+</urlset>`);
+
+  assert.deepStrictEqual(report.extensions, { images: 1, videos: 1, news: 0 });
+  assert.deepStrictEqual(getRules(report), [
+    'error:image',
+    'error:video',
+    'error:video',
+  ]);
+});